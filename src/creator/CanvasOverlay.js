@@ -1,12 +1,18 @@
 /**
  * CanvasOverlay.js — Mouse interaction system for drawing/editing rectangles
- * on a 320x140 pixel-art preview canvas in the game creator tool.
+ * and polygons on a 320x140 pixel-art preview canvas in the game creator tool.
  *
- * Uses DOM divs positioned over the canvas wrapper for visual overlays.
+ * Uses DOM divs positioned over the canvas wrapper for visual overlays;
+ * polygons are drawn as SVG inside a div covering their bounding box.
  * All coordinates are translated between screen pixels and the 320x140
  * internal coordinate system via a configurable scale factor.
+ *
+ * Shapes are `{x, y, width, height}` rects. Polygon shapes also carry a
+ * `polygon` array of `{x, y}` points, and x/y/width/height is their bounding box.
  */
 
+import { NavGraph } from '../engine/NavGraph.js';
+
 const RECT_TYPES = ['hotspot', 'exit', 'walkable'];
 
 const TYPE_STYLES = {
@@ -19,6 +25,11 @@ const HANDLE_DIRS = ['nw', 'ne', 'sw', 'se'];
 
 const MIN_RECT_SIZE = 4; // minimum rect dimension in internal coords
 
+const POLYGON_TYPES = ['hotspot', 'exit']; // types that can be drawn as polygons
+const CLOSE_DISTANCE = 4; // clicking this close to the first point closes a polygon
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
 export class CanvasOverlay {
   /**
    * @param {HTMLElement} canvasWrapper - The .creator-canvas-wrapper div
@@ -27,11 +38,13 @@ export class CanvasOverlay {
     this.wrapper = canvasWrapper;
     this.scale = 3;
     this.mode = 'select';
+    this.drawShape = 'rect'; // 'rect' | 'polygon' for hotspots and exits
 
     // Rect data: { hotspot: [], exit: [], walkable: [] }
     this._rects = { hotspot: [], exit: [], walkable: [] };
     this._npcMarkers = [];
-    this._visibility = { hotspot: true, exit: true, walkable: true, npc: true };
+    this._guideLines = [];
+    this._visibility = { hotspot: true, exit: true, walkable: true, npc: true, guides: true };
 
     // Selection state
     this._selectedType = null;
@@ -39,11 +52,17 @@ export class CanvasOverlay {
 
     // Drag state
     this._dragging = false;
-    this._dragAction = null; // 'create' | 'move' | 'resize'
+    this._dragAction = null; // 'create' | 'move' | 'resize' | 'vertex'
     this._dragHandle = null; // 'nw' | 'ne' | 'sw' | 'se'
+    this._dragVertex = -1;
     this._dragStart = { x: 0, y: 0 };
     this._dragOrigRect = null;
 
+    // Polygon being drawn (points placed so far)
+    this._polyPoints = null;
+    this._polyType = null;
+    this._polyPreviewEl = null;
+
     // Callbacks
     this.onRectCreated = null;
     this.onRectMoved = null;
@@ -91,19 +110,31 @@ export class CanvasOverlay {
 
     this._rectEls = { hotspot: [], exit: [], walkable: [] };
     this._npcEls = [];
+    this._guideEls = [];
   }
 
   // --- Public API ---
 
   setMode(mode) {
     this.mode = mode;
+    this._cancelPolygon();
     this._deselect();
     this._updateCursor();
     this._updateInstructionBar();
   }
 
+  /**
+   * Choose what the draw modes create for hotspots and exits.
+   * @param {'rect'|'polygon'} shape
+   */
+  setDrawShape(shape) {
+    this.drawShape = shape;
+    this._cancelPolygon();
+    this._updateInstructionBar();
+  }
+
   setRects(type, rects) {
-    this._rects[type] = rects.map(r => ({ ...r }));
+    this._rects[type] = rects.map(r => this._copyShape(r));
     this._rebuildType(type);
     this._updateLegend();
   }
@@ -113,6 +144,15 @@ export class CanvasOverlay {
     this._rebuildNpcs();
   }
 
+  /**
+   * Show horizontal reference lines (e.g. depth scaling).
+   * @param {Array<{y: number, label?: string, color?: string}>} lines
+   */
+  setGuideLines(lines) {
+    this._guideLines = lines.map(l => ({ ...l }));
+    this._rebuildGuides();
+  }
+
   setScale(scale) {
     this.scale = scale;
     this._rebuildAll();
@@ -122,6 +162,8 @@ export class CanvasOverlay {
     this._visibility[type] = visible;
     if (type === 'npc') {
       this._npcEls.forEach(el => { el.style.display = visible ? '' : 'none'; });
+    } else if (type === 'guides') {
+      this._guideEls.forEach(el => { el.style.display = visible ? '' : 'none'; });
     } else {
       this._rectEls[type].forEach(el => { el.style.display = visible ? '' : 'none'; });
     }
@@ -132,6 +174,7 @@ export class CanvasOverlay {
     document.removeEventListener('mousemove', this._onMouseMove);
     document.removeEventListener('mouseup', this._onMouseUp);
     document.removeEventListener('keydown', this._onKeyDown);
+    this._cancelPolygon();
     this._overlay.remove();
     this._instructionBar.remove();
     this._legend.remove();
@@ -154,6 +197,7 @@ export class CanvasOverlay {
       this._rebuildType(type);
     }
     this._rebuildNpcs();
+    this._rebuildGuides();
   }
 
   _rebuildType(type) {
@@ -202,13 +246,60 @@ export class CanvasOverlay {
     el.style.top = (rect.y * s) + 'px';
     el.style.width = (rect.width * s) + 'px';
     el.style.height = (rect.height * s) + 'px';
+    if (rect.polygon) {
+      el.classList.add('creator-hotspot-rect--polygon');
+      this._drawPolygonSvg(el, rect, style);
+      return;
+    }
     el.style.background = style.bg;
     el.style.borderColor = style.border;
   }
 
+  /**
+   * Draw a polygon shape as SVG inside its bounding-box element and keep
+   * any vertex handles on their points.
+   */
+  _drawPolygonSvg(el, rect, style) {
+    const s = this.scale;
+    let svg = el.querySelector('svg');
+    if (!svg) {
+      svg = document.createElementNS(SVG_NS, 'svg');
+      svg.setAttribute('class', 'creator-hotspot-rect__polygon');
+      svg.appendChild(document.createElementNS(SVG_NS, 'polygon'));
+      el.prepend(svg);
+    }
+    svg.setAttribute('width', rect.width * s);
+    svg.setAttribute('height', rect.height * s);
+
+    const poly = svg.firstChild;
+    poly.setAttribute('points', rect.polygon.map(p => `${(p.x - rect.x) * s},${(p.y - rect.y) * s}`).join(' '));
+    poly.setAttribute('fill', style.bg);
+    poly.setAttribute('stroke', style.border);
+
+    el.querySelectorAll('[data-vertex]').forEach(handle => {
+      const p = rect.polygon[handle.dataset.vertex];
+      handle.style.left = ((p.x - rect.x) * s - 4) + 'px';
+      handle.style.top = ((p.y - rect.y) * s - 4) + 'px';
+    });
+  }
+
   _applySelectedStyle(el) {
     el.classList.add('creator-hotspot-rect--selected');
 
+    // Polygons get one handle per vertex instead of corners
+    const type = el.dataset.type;
+    const rect = this._rects[type]?.[el.dataset.index];
+    if (rect?.polygon) {
+      rect.polygon.forEach((p, i) => {
+        const handle = document.createElement('div');
+        handle.className = 'creator-hotspot-rect__handle creator-hotspot-rect__handle--vertex';
+        handle.dataset.vertex = i;
+        el.appendChild(handle);
+      });
+      this._drawPolygonSvg(el, rect, TYPE_STYLES[type]);
+      return;
+    }
+
     // Add corner resize handles
     for (const dir of HANDLE_DIRS) {
       const handle = document.createElement('div');
@@ -249,6 +340,38 @@ export class CanvasOverlay {
     }
   }
 
+  _rebuildGuides() {
+    this._guideEls.forEach(el => el.remove());
+    this._guideEls = [];
+
+    const visible = this._visibility.guides;
+
+    for (const line of this._guideLines) {
+      const el = document.createElement('div');
+      const s = this.scale;
+      const color = line.color || '#ffc857';
+      el.style.cssText = `
+        position:absolute;
+        left:0;
+        right:0;
+        top:${line.y * s}px;
+        border-top:1px dashed ${color};
+        pointer-events:none;
+        z-index:4;
+      `;
+      if (line.label) {
+        const label = document.createElement('div');
+        label.className = 'creator-rect-label';
+        label.style.color = color;
+        label.textContent = line.label;
+        el.appendChild(label);
+      }
+      if (!visible) el.style.display = 'none';
+      this._overlay.appendChild(el);
+      this._guideEls.push(el);
+    }
+  }
+
   // --- Selection ---
 
   _select(type, index) {
@@ -289,7 +412,7 @@ export class CanvasOverlay {
     for (const handle of handles) {
       const hb = handle.getBoundingClientRect();
       if (screenX >= hb.left && screenX <= hb.right && screenY >= hb.top && screenY <= hb.bottom) {
-        return handle.dataset.handle;
+        return handle;
       }
     }
     return null;
@@ -304,8 +427,11 @@ export class CanvasOverlay {
       const rects = this._rects[type];
       for (let i = rects.length - 1; i >= 0; i--) {
         const r = rects[i];
-        if (internalX >= r.x && internalX <= r.x + r.width &&
-            internalY >= r.y && internalY <= r.y + r.height) {
+        const inside = r.polygon
+          ? NavGraph.pointInPolygon(internalX, internalY, r.polygon)
+          : internalX >= r.x && internalX <= r.x + r.width &&
+            internalY >= r.y && internalY <= r.y + r.height;
+        if (inside) {
           return { type, index: i };
         }
       }
@@ -335,23 +461,45 @@ export class CanvasOverlay {
 
     // Drawing modes
     if (this.mode === 'drawHotspot' || this.mode === 'drawExit' || this.mode === 'drawWalkable') {
+      const type = this.mode.replace('draw', '').toLowerCase();
+      if (this.drawShape === 'polygon' && POLYGON_TYPES.includes(type)) {
+        this._addPolygonPoint(type, internal);
+        return;
+      }
       this._dragging = true;
       this._dragAction = 'create';
       this._dragStart = { ...internal };
-      this._dragCreateType = this.mode.replace('draw', '').toLowerCase();
+      this._dragCreateType = type;
       return;
     }
 
     // Select mode
     if (this.mode === 'select') {
-      // Check resize handles first
+      // Check resize and vertex handles first
       const handle = this._hitTestHandle(e.clientX, e.clientY);
       if (handle) {
+        const shape = this._rects[this._selectedType][this._selectedIndex];
+        if (handle.dataset.vertex !== undefined) {
+          // Alt+click removes a vertex, plain drag moves it
+          if (e.altKey) {
+            this._removeVertex(Number(handle.dataset.vertex));
+            return;
+          }
+          this._dragAction = 'vertex';
+          this._dragVertex = Number(handle.dataset.vertex);
+        } else {
+          this._dragAction = 'resize';
+          this._dragHandle = handle.dataset.handle;
+        }
         this._dragging = true;
-        this._dragAction = 'resize';
-        this._dragHandle = handle;
         this._dragStart = { ...internal };
-        this._dragOrigRect = { ...this._rects[this._selectedType][this._selectedIndex] };
+        this._dragOrigRect = this._copyShape(shape);
+        return;
+      }
+
+      // Shift+click adds a vertex to the selected polygon's nearest edge
+      if (e.shiftKey && this._rects[this._selectedType]?.[this._selectedIndex]?.polygon) {
+        this._insertVertex(internal);
         return;
       }
 
@@ -362,7 +510,7 @@ export class CanvasOverlay {
         this._dragging = true;
         this._dragAction = 'move';
         this._dragStart = { ...internal };
-        this._dragOrigRect = { ...this._rects[hit.type][hit.index] };
+        this._dragOrigRect = this._copyShape(this._rects[hit.type][hit.index]);
         return;
       }
 
@@ -372,6 +520,10 @@ export class CanvasOverlay {
   }
 
   _onMouseMove(e) {
+    if (this._polyPoints) {
+      this._updatePolygonPreview(this._screenToInternal(e.clientX, e.clientY));
+      return;
+    }
     if (!this._dragging) return;
 
     const internal = this._screenToInternal(e.clientX, e.clientY);
@@ -382,6 +534,8 @@ export class CanvasOverlay {
       this._updateMove(internal);
     } else if (this._dragAction === 'resize') {
       this._updateResize(internal);
+    } else if (this._dragAction === 'vertex') {
+      this._updateVertex(internal);
     }
   }
 
@@ -395,16 +549,31 @@ export class CanvasOverlay {
       this._finishCreate(internal);
     } else if (this._dragAction === 'move') {
       this._finishMove();
-    } else if (this._dragAction === 'resize') {
+    } else if (this._dragAction === 'resize' || this._dragAction === 'vertex') {
       this._finishResize();
     }
 
     this._dragAction = null;
     this._dragHandle = null;
+    this._dragVertex = -1;
     this._dragOrigRect = null;
   }
 
   _onKeyDown(e) {
+    // While drawing a polygon: Enter closes it, Backspace undoes a point, Escape cancels
+    if (this._polyPoints) {
+      if (e.key === 'Enter') {
+        this._finishPolygon();
+      } else if (e.key === 'Backspace' || e.key === 'Delete') {
+        this._polyPoints.pop();
+        if (this._polyPoints.length === 0) this._cancelPolygon();
+        else this._updatePolygonPreview(this._polyPoints[this._polyPoints.length - 1]);
+      } else if (e.key === 'Escape') {
+        this._cancelPolygon();
+      }
+      return;
+    }
+
     if (e.key === 'Delete' || e.key === 'Backspace') {
       if (this._selectedType !== null && this._selectedIndex >= 0 && this.mode === 'select') {
         const type = this._selectedType;
@@ -466,6 +635,9 @@ export class CanvasOverlay {
     const rect = this._rects[type][index];
     rect.x = Math.max(0, Math.min(320 - orig.width, orig.x + dx));
     rect.y = Math.max(0, Math.min(140 - orig.height, orig.y + dy));
+    if (orig.polygon) {
+      rect.polygon = orig.polygon.map(p => ({ x: p.x + rect.x - orig.x, y: p.y + rect.y - orig.y }));
+    }
 
     const el = this._rectEls[type][index];
     if (el) this._positionRectEl(el, rect, TYPE_STYLES[type]);
@@ -477,7 +649,7 @@ export class CanvasOverlay {
     if (type === null || index < 0) return;
 
     const rect = this._rects[type][index];
-    if (this.onRectMoved) this.onRectMoved(type, index, { ...rect });
+    if (this.onRectMoved) this.onRectMoved(type, index, this._copyShape(rect));
   }
 
   // --- Drag: Resize ---
@@ -531,7 +703,118 @@ export class CanvasOverlay {
     if (type === null || index < 0) return;
 
     const rect = this._rects[type][index];
-    if (this.onRectResized) this.onRectResized(type, index, { ...rect });
+    if (this.onRectResized) this.onRectResized(type, index, this._copyShape(rect));
+  }
+
+  // --- Polygon vertices ---
+
+  _updateVertex(internal) {
+    const type = this._selectedType;
+    const index = this._selectedIndex;
+    const shape = this._rects[type][index];
+    const point = this._clampPoint(internal);
+
+    shape.polygon = shape.polygon.map((p, i) => (i === this._dragVertex ? point : p));
+    Object.assign(shape, this._polygonBounds(shape.polygon));
+
+    const el = this._rectEls[type][index];
+    if (el) this._positionRectEl(el, shape, TYPE_STYLES[type]);
+  }
+
+  _insertVertex(internal) {
+    const type = this._selectedType;
+    const index = this._selectedIndex;
+    const shape = this._rects[type][index];
+    const point = this._clampPoint(internal);
+    const poly = shape.polygon;
+
+    let edge = 0;
+    let bestDist = Infinity;
+    for (let i = 0; i < poly.length; i++) {
+      const dist = this._distanceToSegment(point, poly[i], poly[(i + 1) % poly.length]);
+      if (dist < bestDist) {
+        bestDist = dist;
+        edge = i;
+      }
+    }
+
+    shape.polygon = [...poly.slice(0, edge + 1), point, ...poly.slice(edge + 1)];
+    this._applyVertexChange(type, index, shape);
+  }
+
+  _removeVertex(vertex) {
+    const type = this._selectedType;
+    const index = this._selectedIndex;
+    const shape = this._rects[type][index];
+    if (shape.polygon.length <= 3) return;
+
+    shape.polygon = shape.polygon.filter((p, i) => i !== vertex);
+    this._applyVertexChange(type, index, shape);
+  }
+
+  /** Rebuild after the vertex count changed, keeping the selection. */
+  _applyVertexChange(type, index, shape) {
+    Object.assign(shape, this._polygonBounds(shape.polygon));
+    this._rebuildType(type);
+    if (this.onRectResized) this.onRectResized(type, index, this._copyShape(shape));
+  }
+
+  // --- Polygon drawing ---
+
+  _addPolygonPoint(type, internal) {
+    const point = this._clampPoint(internal);
+    if (!this._polyPoints) {
+      this._polyPoints = [];
+      this._polyType = type;
+    }
+
+    const first = this._polyPoints[0];
+    if (this._polyPoints.length >= 3 &&
+        Math.hypot(point.x - first.x, point.y - first.y) <= CLOSE_DISTANCE) {
+      this._finishPolygon();
+      return;
+    }
+
+    this._polyPoints.push(point);
+    this._updatePolygonPreview(point);
+  }
+
+  _updatePolygonPreview(cursor) {
+    if (!this._polyPreviewEl) {
+      this._polyPreviewEl = document.createElementNS(SVG_NS, 'svg');
+      this._polyPreviewEl.setAttribute('class', 'creator-polygon-preview');
+      this._polyPreviewEl.appendChild(document.createElementNS(SVG_NS, 'polyline'));
+      this._overlay.appendChild(this._polyPreviewEl);
+    }
+
+    const s = this.scale;
+    const style = TYPE_STYLES[this._polyType];
+    const line = this._polyPreviewEl.firstChild;
+    line.setAttribute('points', [...this._polyPoints, cursor].map(p => `${p.x * s},${p.y * s}`).join(' '));
+    line.setAttribute('fill', style.bg);
+    line.setAttribute('stroke', style.border);
+  }
+
+  _finishPolygon() {
+    const points = this._polyPoints;
+    const type = this._polyType;
+    this._cancelPolygon();
+    if (!points || points.length < 3) return;
+
+    const shape = { ...this._polygonBounds(points), polygon: points };
+    this._rects[type].push(this._copyShape(shape));
+    this._rebuildType(type);
+
+    if (this.onRectCreated) this.onRectCreated(type, shape);
+  }
+
+  _cancelPolygon() {
+    this._polyPoints = null;
+    this._polyType = null;
+    if (this._polyPreviewEl) {
+      this._polyPreviewEl.remove();
+      this._polyPreviewEl = null;
+    }
   }
 
   // --- Helpers ---
@@ -544,11 +827,40 @@ export class CanvasOverlay {
     return { x, y, width: x2 - x, height: y2 - y };
   }
 
+  _polygonBounds(points) {
+    const xs = points.map(p => p.x);
+    const ys = points.map(p => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+
+  _clampPoint(p) {
+    return { x: Math.max(0, Math.min(320, p.x)), y: Math.max(0, Math.min(140, p.y)) };
+  }
+
+  _distanceToSegment(p, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lenSq = dx * dx + dy * dy;
+    const t = lenSq ? Math.max(0, Math.min(1, ((p.x - a.x) * dx + (p.y - a.y) * dy) / lenSq)) : 0;
+    return Math.hypot(p.x - (a.x + t * dx), p.y - (a.y + t * dy));
+  }
+
+  /** Copy a shape, including its polygon points so edits don't leak into state. */
+  _copyShape(shape) {
+    const copy = { ...shape };
+    if (shape.polygon) copy.polygon = shape.polygon.map(p => ({ x: p.x, y: p.y }));
+    return copy;
+  }
+
   _updateInstructionBar() {
+    const polygonHint = 'Click to place points \u00b7 Click the first point or press Enter to close \u00b7 Esc to cancel';
+    const polygon = this.drawShape === 'polygon';
     const instructions = {
-      select: 'Click to select \u00b7 Drag to move \u00b7 Corners to resize \u00b7 Del to remove',
-      drawHotspot: 'Click and drag to draw a hotspot rectangle',
-      drawExit: 'Click and drag to draw an exit rectangle',
+      select: 'Click to select \u00b7 Drag to move \u00b7 Corners or vertices to reshape \u00b7 Shift+click adds a vertex, Alt+click removes one \u00b7 Del to remove',
+      drawHotspot: polygon ? `Hotspot polygon: ${polygonHint}` : 'Click and drag to draw a hotspot rectangle',
+      drawExit: polygon ? `Exit polygon: ${polygonHint}` : 'Click and drag to draw an exit rectangle',
       drawWalkable: 'Click and drag to define a walkable area',
       placeProp: 'Select a prop type, then click to place it on the canvas',
       placeNpc: 'Click on the canvas to place NPC',
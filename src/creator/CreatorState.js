@@ -18,6 +18,22 @@ function _clone(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
+/**
+ * Clone an imported hotspot or exit. Polygon areas get a `rect` holding
+ * their bounding box, which the editors and canvas overlay work from.
+ */
+function _cloneArea(area) {
+  const copy = _clone(area);
+  if (copy.polygon) {
+    const xs = copy.polygon.map(p => p.x);
+    const ys = copy.polygon.map(p => p.y);
+    const x = Math.min(...xs);
+    const y = Math.min(...ys);
+    copy.rect = { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+  }
+  return copy;
+}
+
 /** Generate a short pseudo-random id (8 hex chars). */
 function _uid() {
   return Math.random().toString(16).slice(2, 10);
@@ -49,6 +65,10 @@ export class CreatorState {
         { id: 'push',    label: 'Push' },
         { id: 'pull',    label: 'Pull' },
       ],
+      speechStyle: 'panel',   // 'panel' or 'overhead' (SCUMM-style lines above heads)
+      hotspotHints: true,     // hover highlight and the Space/Tab reveal key
+      // Right-click verb per object kind, unless the object sets `defaultVerb`
+      defaultVerbs: { hotspot: 'look_at', exit: 'open', npc: 'talk_to', item: 'look_at' },
       defaultResponses: {
         look_at: "Nothing special about it.",
         pick_up: "I can't pick that up.",
@@ -140,9 +160,13 @@ export class CreatorState {
       background: { type: 'procedural', generator: null, palette: null, paletteOverrides: {} },
       lighting: null,
       walkableArea: { rects: [] },
+      scaling: null,
       hotspots: [],
       exits: [],
       visuals: [],
+      onFirstEnter: null,
+      onEnter: null,
+      onExit: null,
     }, _clone(room));
 
     this.rooms.push(r);
@@ -202,6 +226,9 @@ export class CreatorState {
       name: 'Unnamed NPC',
       traits: {},
       placements: [],
+      textColor: null,
+      voice: null,
+      defaultVerb: null,
       dialogue: null,
       dialogueOverrides: [],
       barks: [],
@@ -253,6 +280,9 @@ export class CreatorState {
       name: 'Unnamed Item',
       description: '',
       icon: { generator: null },
+      stackable: false,
+      defaultVerb: null,
+      closeup: null,
       useOn: {},
       useDefault: "I can't use that here.",
       responses: {},
@@ -442,6 +472,9 @@ export class CreatorState {
         startPosition:    { x: g.startPosition.x, y: g.startPosition.y },
         verbs:            g.verbs.map(v => ({ id: v.id, label: v.label })),
         defaultResponses: { ...g.defaultResponses },
+        speechStyle:      g.speechStyle || 'panel',
+        hotspotHints:     g.hotspotHints !== false,
+        defaultVerbs:     { ...g.defaultVerbs },
         protagonist:      'protagonist.yaml',
         items:            'items.yaml',
         npcs:             'npcs.yaml',
@@ -489,16 +522,25 @@ export class CreatorState {
       out.room.walkableArea = _clone(room.walkableArea);
     }
 
+    // Depth scaling
+    if (room.scaling) {
+      out.room.scaling = _clone(room.scaling);
+    }
+
+    // Enter/exit events
+    for (const key of ['onFirstEnter', 'onEnter', 'onExit']) {
+      if (room[key]) out.room[key] = _clone(room[key]);
+    }
+
     // Hotspots
     if (room.hotspots && room.hotspots.length > 0) {
       out.room.hotspots = room.hotspots.map(h => {
-        const obj = {
-          id:   h.id,
-          name: h.name,
-          rect: { x: h.rect.x, y: h.rect.y, width: h.rect.width, height: h.rect.height },
-        };
+        const obj = { id: h.id, name: h.name };
+        if (h.polygon) obj.polygon = h.polygon.map(p => ({ x: p.x, y: p.y }));
+        else           obj.rect    = { x: h.rect.x, y: h.rect.y, width: h.rect.width, height: h.rect.height };
         if (h.walkTo)    obj.walkTo    = { x: h.walkTo.x, y: h.walkTo.y };
         if (h.visible === false) obj.visible = false;
+        if (h.defaultVerb) obj.defaultVerb = h.defaultVerb;
         if (h.responses) obj.responses = { ...h.responses };
         return obj;
       });
@@ -507,15 +549,15 @@ export class CreatorState {
     // Exits
     if (room.exits && room.exits.length > 0) {
       out.room.exits = room.exits.map(e => {
-        const obj = {
-          id:     e.id,
-          rect:   { x: e.rect.x, y: e.rect.y, width: e.rect.width, height: e.rect.height },
-          target: e.target,
-          name:   e.name,
-        };
+        const obj = { id: e.id };
+        if (e.polygon) obj.polygon = e.polygon.map(p => ({ x: p.x, y: p.y }));
+        else           obj.rect    = { x: e.rect.x, y: e.rect.y, width: e.rect.width, height: e.rect.height };
+        obj.target = e.target;
+        obj.name   = e.name;
         if (e.walkTo)  obj.walkTo  = { x: e.walkTo.x, y: e.walkTo.y };
         if (e.spawnAt) obj.spawnAt = { x: e.spawnAt.x, y: e.spawnAt.y };
         if (e.lookAt)  obj.lookAt  = e.lookAt;
+        if (e.defaultVerb) obj.defaultVerb = e.defaultVerb;
         return obj;
       });
     }
@@ -544,9 +586,16 @@ export class CreatorState {
             };
             if (p.walkTo) placement.walkTo = { x: p.walkTo.x, y: p.walkTo.y };
             if (p.facing) placement.facing = p.facing;
+            if (p.when) placement.when = _clone(p.when);
+            if (p.patrol && p.patrol.length > 0) placement.patrol = _clone(p.patrol);
+            if (p.wander) placement.wander = p.wander;
+            if (p.pause != null) placement.pause = p.pause;
             return placement;
           });
         }
+        if (npc.textColor) obj.textColor = npc.textColor;
+        if (npc.voice && Object.keys(npc.voice).length > 0) obj.voice = { ...npc.voice };
+        if (npc.defaultVerb) obj.defaultVerb = npc.defaultVerb;
         if (npc.dialogue) obj.dialogue = npc.dialogue;
         if (npc.dialogueOverrides && npc.dialogueOverrides.length > 0) {
           obj.dialogueOverrides = _clone(npc.dialogueOverrides);
@@ -573,6 +622,9 @@ export class CreatorState {
           description: item.description,
           icon:        _clone(item.icon),
         };
+        if (item.stackable)                                           obj.stackable = true;
+        if (item.defaultVerb)                                         obj.defaultVerb = item.defaultVerb;
+        if (item.closeup?.generator)                                  obj.closeup = _clone(item.closeup);
         if (item.useOn && Object.keys(item.useOn).length > 0)       obj.useOn = { ...item.useOn };
         if (item.useDefault)                                          obj.useDefault = item.useDefault;
         if (item.responses && Object.keys(item.responses).length > 0) obj.responses = { ...item.responses };
@@ -601,6 +653,11 @@ export class CreatorState {
             if (c.type === '!hasItem')  return { notItem: c.value };
             if (c.type === 'hasFlag')   return { hasFlag: c.value };
             if (c.type === '!hasFlag')  return { notFlag: c.value };
+            if (c.type === 'var')       return { var: c.var, [c.op || 'eq']: c.value };
+            if (c.type === 'itemCount') return { itemCount: { item: c.item, [c.op || 'gte']: c.value } };
+            if (c.type === 'visited')   return { visited: c.value };
+            if (c.type === 'inRoom')    return { inRoom: c.value };
+            if (c.type === 'timeOfDay') return { timeOfDay: c.value };
             return _clone(c); // fallback for unknown formats
           });
         }
@@ -609,15 +666,27 @@ export class CreatorState {
         if (p.actions && p.actions.length > 0) {
           obj.actions = p.actions.map(a => {
             if (a.type === 'say')          return { say: a.text };
-            if (a.type === 'addItem')      return { addItem: a.itemId };
-            if (a.type === 'removeItem')   return { removeItem: a.itemId };
+            if (a.type === 'addItem')      return { addItem: a.count > 1 ? { id: a.itemId, count: a.count } : a.itemId };
+            if (a.type === 'removeItem')   return { removeItem: a.count > 1 ? { id: a.itemId, count: a.count } : a.itemId };
             if (a.type === 'setFlag')      return { setFlag: a.flag };
             if (a.type === 'removeFlag')   return { removeFlag: a.flag };
-            if (a.type === 'walkTo')       return { walkTo: { x: a.x, y: a.y } };
+            if (a.type === 'setVar')       return { setVar: { var: a.var, value: a.value } };
+            if (a.type === 'incVar')       return { incVar: { var: a.var, by: a.amount ?? 1 } };
+            if (a.type === 'decVar')       return { decVar: { var: a.var, by: a.amount ?? 1 } };
+            if (a.type === 'walkTo')       return { walkTo: a.npc ? { npc: a.npc, x: a.x, y: a.y } : { x: a.x, y: a.y } };
+            if (a.type === 'face')         return { face: a.npc ? { npc: a.npc, direction: a.direction || 'right' } : (a.direction || 'right') };
+            if (a.type === 'npcSay')       return { npcSay: { npc: a.npc, text: a.text } };
+            if (a.type === 'follow')       return { follow: a.npc };
+            if (a.type === 'unfollow')     return { unfollow: a.npc };
             if (a.type === 'changeRoom')   return { changeRoom: { room: a.roomId, spawnX: a.spawnX, spawnY: a.spawnY } };
             if (a.type === 'showHotspot')  return { showHotspot: { id: a.hotspotId } };
             if (a.type === 'hideHotspot')  return { hideHotspot: { id: a.hotspotId } };
-            if (a.type === 'playSound')    return { playSound: a.sound };
+            if (a.type === 'playSound')    return { playSfx: a.sound || 'door' };
+            if (a.type === 'playMusic')    return { playMusic: a.track || null };
+            if (a.type === 'fadeOut')      return { fadeOut: true };
+            if (a.type === 'fadeIn')       return { fadeIn: true };
+            if (a.type === 'shakeScreen')  return { shakeScreen: { frames: a.frames ?? 30, intensity: a.intensity ?? 2 } };
+            if (a.type === 'wait')         return { wait: a.frames ?? 60 };
             return _clone(a); // fallback for unknown formats
           });
         }
@@ -664,6 +733,9 @@ export class CreatorState {
     state.game.version        = g.version          || state.game.version;
     state.game.startRoom      = g.startRoom        || null;
     state.game.viewportHeight = g.viewportHeight   || state.game.viewportHeight;
+    state.game.speechStyle    = g.speechStyle      || state.game.speechStyle;
+    state.game.hotspotHints   = g.hotspotHints     !== false;
+    if (g.defaultVerbs) state.game.defaultVerbs = { ...state.game.defaultVerbs, ...g.defaultVerbs };
 
     if (g.resolution) {
       state.game.resolution = { width: g.resolution.width, height: g.resolution.height };
@@ -688,9 +760,13 @@ export class CreatorState {
         background:   r.background   ? _clone(r.background)   : { type: 'procedural', generator: null },
         lighting:     r.lighting != null ? _clone(r.lighting) : null,
         walkableArea: r.walkableArea ? _clone(r.walkableArea) : { rects: [] },
-        hotspots:     r.hotspots     ? _clone(r.hotspots)     : [],
-        exits:        r.exits        ? _clone(r.exits)        : [],
+        scaling:      r.scaling      ? _clone(r.scaling)      : null,
+        hotspots:     r.hotspots     ? r.hotspots.map(_cloneArea) : [],
+        exits:        r.exits        ? r.exits.map(_cloneArea)    : [],
         visuals:      r.visuals      ? _clone(r.visuals)      : [],
+        onFirstEnter: r.onFirstEnter ? _clone(r.onFirstEnter) : null,
+        onEnter:      r.onEnter      ? _clone(r.onEnter)      : null,
+        onExit:       r.onExit       ? _clone(r.onExit)       : null,
       });
     }
 
@@ -704,6 +780,9 @@ export class CreatorState {
             name:              npc.name              || npc.id,
             traits:            npc.traits            ? _clone(npc.traits) : {},
             placements:        npc.placements        ? _clone(npc.placements) : [],
+            textColor:         npc.textColor          || null,
+            voice:             npc.voice             ? { ...npc.voice } : null,
+            defaultVerb:       npc.defaultVerb        || null,
             dialogue:          npc.dialogue           || null,
             dialogueOverrides: npc.dialogueOverrides ? _clone(npc.dialogueOverrides) : [],
             barks:             npc.barks             ? [...npc.barks] : [],
@@ -723,6 +802,9 @@ export class CreatorState {
             name:        item.name        || item.id,
             description: item.description || '',
             icon:        item.icon        ? _clone(item.icon) : { generator: null },
+            stackable:   !!item.stackable,
+            defaultVerb: item.defaultVerb || null,
+            closeup:     item.closeup     ? _clone(item.closeup) : null,
             useOn:       item.useOn       ? { ...item.useOn } : {},
             useDefault:  item.useDefault  || "I can't use that here.",
             responses:   item.responses   ? { ...item.responses } : {},
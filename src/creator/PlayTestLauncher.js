@@ -7,7 +7,8 @@
  * The output of _buildGameData() MUST exactly match the object shape
  * returned by GameLoader.load() so the engine can consume it directly.
  * Key normalizations:
- *   - rooms → keyed map, hotspots/exits flattened (rect → x/y/width/height)
+ *   - rooms → keyed map, hotspots/exits flattened (rect → x/y/width/height,
+ *     polygon kept as-is; the creator keeps its bounding box in rect)
  *   - items → keyed map
  *   - puzzles → array with _key field, conditions/actions in engine DSL
  *   - dialogues → keyed map
@@ -64,6 +65,9 @@ export class PlayTestLauncher {
       startPosition:    game.startPosition || { x: 160, y: 120 },
       verbs:            game.verbs || [],
       defaultResponses: game.defaultResponses || {},
+      speechStyle:      game.speechStyle || 'panel',
+      hotspotHints:     game.hotspotHints !== false,
+      defaultVerbs:     game.defaultVerbs || null,
       protagonist:      PlayTestLauncher._buildProtagonist(game.setting),
       items:            PlayTestLauncher._buildItems(state.items || []),
       npcs:             state.npcs || [],
@@ -71,6 +75,7 @@ export class PlayTestLauncher {
       rooms:            PlayTestLauncher._buildRooms(state.rooms || []),
       dialogues:        PlayTestLauncher._buildDialogues(state.dialogues || {}),
       music:            null,
+      migrations:       null,
     };
   }
 
@@ -89,7 +94,11 @@ export class PlayTestLauncher {
         background:   room.background || {},
         lighting:     room.lighting || null,
         walkableArea: room.walkableArea || { rects: [] },
+        scaling:      room.scaling || null,
         visuals:      room.visuals || [],
+        onFirstEnter: room.onFirstEnter || null,
+        onEnter:      room.onEnter || null,
+        onExit:       room.onExit || null,
         npcs:         [],  // NPCs managed by CharacterSystem, not rooms
         hotspots:     (room.hotspots || []).map(hs => ({
           id:       hs.id,
@@ -98,9 +107,11 @@ export class PlayTestLauncher {
           y:        hs.rect?.y ?? 0,
           width:    hs.rect?.width ?? 10,
           height:   hs.rect?.height ?? 10,
+          polygon:  hs.polygon || undefined,
           walkToX:  hs.walkTo?.x,
           walkToY:  hs.walkTo?.y,
           visible:  hs.visible !== undefined ? hs.visible : undefined,
+          defaultVerb: hs.defaultVerb || null,
           lookAt:   hs.responses?.look_at || null,
           pickUp:   hs.responses?.pick_up || null,
           use:      hs.responses?.use || null,
@@ -116,11 +127,13 @@ export class PlayTestLauncher {
           y:      exit.rect?.y ?? 0,
           width:  exit.rect?.width ?? 10,
           height: exit.rect?.height ?? 10,
+          polygon: exit.polygon || undefined,
           target: exit.target || '',
           spawnX: exit.spawnAt?.x,
           spawnY: exit.spawnAt?.y,
           name:   exit.name,
           lookAt: exit.lookAt || null,
+          defaultVerb: exit.defaultVerb || null,
         })),
       };
     }
@@ -153,7 +166,9 @@ export class PlayTestLauncher {
 
       // Build lookup key matching GameLoader._normalizePuzzles
       let key;
-      if (trigger.item) {
+      if (trigger.withItem) {
+        key = `${trigger.verb}:${trigger.item}+${trigger.withItem}`;
+      } else if (trigger.item) {
         key = `${trigger.verb}:${trigger.item}:${trigger.target}`;
       } else {
         key = `${trigger.verb}:${trigger.target}`;
@@ -172,6 +187,11 @@ export class PlayTestLauncher {
           if (c.type === '!hasItem') return { notItem: c.value };
           if (c.type === 'hasFlag')  return { hasFlag: c.value };
           if (c.type === '!hasFlag') return { notFlag: c.value };
+          if (c.type === 'var')      return { var: c.var, [c.op || 'eq']: c.value };
+          if (c.type === 'itemCount') return { itemCount: { item: c.item, [c.op || 'gte']: c.value } };
+          if (c.type === 'visited')  return { visited: c.value };
+          if (c.type === 'inRoom')   return { inRoom: c.value };
+          if (c.type === 'timeOfDay') return { timeOfDay: c.value };
           return { ...c };
         });
       }
@@ -180,15 +200,27 @@ export class PlayTestLauncher {
       if (p.actions && p.actions.length > 0) {
         obj.actions = p.actions.map(a => {
           if (a.type === 'say')         return { say: a.text };
-          if (a.type === 'addItem')     return { addItem: a.itemId };
-          if (a.type === 'removeItem')  return { removeItem: a.itemId };
+          if (a.type === 'addItem')     return { addItem: a.count > 1 ? { id: a.itemId, count: a.count } : a.itemId };
+          if (a.type === 'removeItem')  return { removeItem: a.count > 1 ? { id: a.itemId, count: a.count } : a.itemId };
           if (a.type === 'setFlag')     return { setFlag: a.flag };
           if (a.type === 'removeFlag')  return { removeFlag: a.flag };
-          if (a.type === 'walkTo')      return { walkTo: { x: a.x, y: a.y } };
+          if (a.type === 'setVar')      return { setVar: { var: a.var, value: a.value } };
+          if (a.type === 'incVar')      return { incVar: { var: a.var, by: a.amount ?? 1 } };
+          if (a.type === 'decVar')      return { decVar: { var: a.var, by: a.amount ?? 1 } };
+          if (a.type === 'walkTo')      return { walkTo: a.npc ? { npc: a.npc, x: a.x, y: a.y } : { x: a.x, y: a.y } };
+          if (a.type === 'face')        return { face: a.npc ? { npc: a.npc, direction: a.direction || 'right' } : (a.direction || 'right') };
+          if (a.type === 'npcSay')      return { npcSay: { npc: a.npc, text: a.text } };
+          if (a.type === 'follow')      return { follow: a.npc };
+          if (a.type === 'unfollow')    return { unfollow: a.npc };
           if (a.type === 'changeRoom')  return { changeRoom: { room: a.roomId, spawnX: a.spawnX, spawnY: a.spawnY } };
           if (a.type === 'showHotspot') return { showHotspot: { id: a.hotspotId } };
           if (a.type === 'hideHotspot') return { hideHotspot: { id: a.hotspotId } };
-          if (a.type === 'playSound')   return { playSound: a.sound };
+          if (a.type === 'playSound')   return { playSfx: a.sound || 'door' };
+          if (a.type === 'playMusic')   return { playMusic: a.track || null };
+          if (a.type === 'fadeOut')     return { fadeOut: true };
+          if (a.type === 'fadeIn')      return { fadeIn: true };
+          if (a.type === 'shakeScreen') return { shakeScreen: { frames: a.frames ?? 30, intensity: a.intensity ?? 2 } };
+          if (a.type === 'wait')        return { wait: a.frames ?? 60 };
           return { ...a };
         });
       }
@@ -271,6 +303,9 @@ export class PlayTestLauncher {
         give:    "I don't think they want that.",
         talk_to: "I don't think talking to that will help.",
       },
+      speechStyle: 'panel',
+      hotspotHints: true,
+      defaultVerbs: null,
       protagonist: {
         bodyType: 'average',
         skinTone: 'fair',
@@ -301,6 +336,7 @@ export class PlayTestLauncher {
       },
       dialogues: {},
       music: null,
+      migrations: null,
     };
   }
 }
@@ -78,6 +78,18 @@ export class Validator {
       }
     }
 
+    // Check: polygon hotspots and exits have at least three points
+    for (const room of state.rooms) {
+      for (const area of [...(room.hotspots || []), ...(room.exits || [])]) {
+        if (area.polygon && area.polygon.length < 3) {
+          issues.push({
+            level: 'error',
+            message: `"${area.name || area.id}" in room "${room.name}" has a polygon with fewer than 3 points.`,
+          });
+        }
+      }
+    }
+
     // Check: all NPC dialogue references exist in state.dialogues
     for (const npc of state.npcs) {
       if (npc.dialogue && !state.getDialogue(npc.dialogue)) {
@@ -131,7 +143,24 @@ export class Validator {
         });
       }
 
-      if (!puzzle.trigger || !puzzle.trigger.target) {
+      if (puzzle.trigger && puzzle.trigger.withItem !== undefined) {
+        // Item + item triggers combine two inventory items instead of a target
+        for (const id of [puzzle.trigger.item, puzzle.trigger.withItem]) {
+          if (!id) {
+            issues.push({
+              level: 'error',
+              message: `Puzzle "${puzzle.id}" needs two items to combine.`,
+            });
+            break;
+          }
+          if (!state.getItem(id)) {
+            issues.push({
+              level: 'warning',
+              message: `Puzzle "${puzzle.id}" combines non-existent item "${id}".`,
+            });
+          }
+        }
+      } else if (!puzzle.trigger || !puzzle.trigger.target) {
         issues.push({
           level: 'error',
           message: `Puzzle "${puzzle.id}" has no target specified in trigger.`,
@@ -0,0 +1,66 @@
+/**
+ * AreaFields.js
+ *
+ * Form fields shared by the hotspot and exit editors, which edit the same
+ * kind of clickable room area.
+ */
+
+export class AreaFields {
+  /**
+   * Point count of a polygon area, with a button to turn it back into
+   * its bounding rectangle.
+   * @param {{ polygon: {x: number, y: number}[] }} area
+   * @param {() => void} onChange - Called after the polygon is removed
+   */
+  static createPolygonSummary(area, onChange) {
+    const wrapper = document.createElement('div');
+
+    const info = document.createElement('div');
+    info.className = 'creator-hint';
+    info.textContent = `${area.polygon.length} points \u2014 drag vertices on the canvas in Info mode`;
+    wrapper.appendChild(info);
+
+    const btn = document.createElement('button');
+    btn.className = 'creator-btn creator-btn--small';
+    btn.textContent = 'Convert to Rectangle';
+    btn.style.cssText = 'margin-top:4px;';
+    btn.addEventListener('click', () => {
+      delete area.polygon;
+      onChange();
+    });
+    wrapper.appendChild(btn);
+
+    return wrapper;
+  }
+
+  /**
+   * Create the right-click default verb dropdown. Empty uses the game-wide default.
+   * @param {string|null} value - Current verb ID
+   * @param {{ id: string, label: string }[]} verbs
+   * @param {(verbId: string|null) => void} onChange
+   */
+  static createDefaultVerbSelect(value, verbs, onChange) {
+    const field = document.createElement('div');
+    field.className = 'creator-field';
+    field.style.cssText = 'margin-top:8px;';
+
+    const labelEl = document.createElement('label');
+    labelEl.className = 'creator-field__label';
+    labelEl.textContent = 'Default Verb (right-click)';
+    field.appendChild(labelEl);
+
+    const select = document.createElement('select');
+    select.className = 'creator-select';
+    for (const verb of [{ id: '', label: '(game default)' }, ...verbs]) {
+      const option = document.createElement('option');
+      option.value = verb.id;
+      option.textContent = verb.label;
+      if (verb.id === (value || '')) option.selected = true;
+      select.appendChild(option);
+    }
+    select.addEventListener('change', () => onChange(select.value || null));
+    field.appendChild(select);
+
+    return field;
+  }
+}
@@ -5,6 +5,8 @@
  * Displays a list of exit cards and provides editing forms for each exit.
  */
 
+import { AreaFields } from './AreaFields.js';
+
 export class ExitEditor {
   constructor(app) {
     this.app = app;
@@ -49,7 +51,7 @@ export class ExitEditor {
     if (exits.length === 0) {
       const empty = document.createElement('div');
       empty.className = 'creator-empty';
-      empty.innerHTML = '<span class="creator-empty__text">No exits</span><span class="creator-empty__hint">Exits connect rooms. Draw a rectangle where players walk to leave, or click + Add.</span>';
+      empty.innerHTML = '<span class="creator-empty__text">No exits</span><span class="creator-empty__hint">Exits connect rooms. Draw a rectangle or polygon where players walk to leave, or click + Add.</span>';
       container.appendChild(empty);
       return;
     }
@@ -121,35 +123,39 @@ export class ExitEditor {
       });
       form.appendChild(targetField);
 
-      // Rect fields (x, y, width, height)
+      // Rect fields (x, y, width, height); polygons are reshaped on the canvas
       const rectSection = document.createElement('div');
       rectSection.style.cssText = 'margin-top:8px;';
 
       const rectTitle = document.createElement('div');
       rectTitle.className = 'creator-field__label';
-      rectTitle.textContent = 'Rectangle';
+      rectTitle.textContent = exit.polygon ? 'Polygon' : 'Rectangle';
       rectTitle.style.cssText = 'margin-bottom:4px;';
       rectSection.appendChild(rectTitle);
 
-      const rectFields = document.createElement('div');
-      rectFields.className = 'creator-field--coords';
-      rectFields.appendChild(this._createNumberInput('X', exit.rect.x, (val) => {
-        exit.rect.x = val;
-        this._updateExits(roomId, exits);
-      }));
-      rectFields.appendChild(this._createNumberInput('Y', exit.rect.y, (val) => {
-        exit.rect.y = val;
-        this._updateExits(roomId, exits);
-      }));
-      rectFields.appendChild(this._createNumberInput('W', exit.rect.width, (val) => {
-        exit.rect.width = val;
-        this._updateExits(roomId, exits);
-      }));
-      rectFields.appendChild(this._createNumberInput('H', exit.rect.height, (val) => {
-        exit.rect.height = val;
-        this._updateExits(roomId, exits);
-      }));
-      rectSection.appendChild(rectFields);
+      if (exit.polygon) {
+        rectSection.appendChild(AreaFields.createPolygonSummary(exit, () => this._updateExits(roomId, exits)));
+      } else {
+        const rectFields = document.createElement('div');
+        rectFields.className = 'creator-field--coords';
+        rectFields.appendChild(this._createNumberInput('X', exit.rect.x, (val) => {
+          exit.rect.x = val;
+          this._updateExits(roomId, exits);
+        }));
+        rectFields.appendChild(this._createNumberInput('Y', exit.rect.y, (val) => {
+          exit.rect.y = val;
+          this._updateExits(roomId, exits);
+        }));
+        rectFields.appendChild(this._createNumberInput('W', exit.rect.width, (val) => {
+          exit.rect.width = val;
+          this._updateExits(roomId, exits);
+        }));
+        rectFields.appendChild(this._createNumberInput('H', exit.rect.height, (val) => {
+          exit.rect.height = val;
+          this._updateExits(roomId, exits);
+        }));
+        rectSection.appendChild(rectFields);
+      }
       form.appendChild(rectSection);
 
       // WalkTo fields
@@ -210,6 +216,12 @@ export class ExitEditor {
         this._updateExits(roomId, exits);
       }));
 
+      form.appendChild(AreaFields.createDefaultVerbSelect(exit.defaultVerb, this.app.state.game.verbs, (val) => {
+        if (val) exit.defaultVerb = val;
+        else delete exit.defaultVerb;
+        this._updateExits(roomId, exits);
+      }));
+
       // Delete button
       const divider = document.createElement('div');
       divider.className = 'creator-divider';
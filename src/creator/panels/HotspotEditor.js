@@ -5,6 +5,8 @@
  * Displays a list of hotspot cards and provides editing forms for each hotspot.
  */
 
+import { AreaFields } from './AreaFields.js';
+
 export class HotspotEditor {
   constructor(app) {
     this.app = app;
@@ -49,7 +51,7 @@ export class HotspotEditor {
     if (hotspots.length === 0) {
       const empty = document.createElement('div');
       empty.className = 'creator-empty';
-      empty.innerHTML = '<span class="creator-empty__text">No hotspots</span><span class="creator-empty__hint">Hotspots are interactive areas \u2014 doors, items, furniture. Draw rectangles on the canvas or click + Add.</span>';
+      empty.innerHTML = '<span class="creator-empty__text">No hotspots</span><span class="creator-empty__hint">Hotspots are interactive areas \u2014 doors, items, furniture. Draw rectangles or polygons on the canvas, or click + Add.</span>';
       container.appendChild(empty);
       return;
     }
@@ -86,7 +88,7 @@ export class HotspotEditor {
     cardHeader.style.cssText = 'cursor:pointer;padding:8px 10px;';
     cardHeader.innerHTML = `
       <div class="creator-card__name">${this._esc(hotspot.name || hotspot.id)}</div>
-      <div class="creator-card__desc">Rect: ${hotspot.rect.x},${hotspot.rect.y} ${hotspot.rect.width}×${hotspot.rect.height}</div>
+      <div class="creator-card__desc">${hotspot.polygon ? `Polygon: ${hotspot.polygon.length} points` : `Rect: ${hotspot.rect.x},${hotspot.rect.y} ${hotspot.rect.width}×${hotspot.rect.height}`}</div>
     `;
     cardHeader.addEventListener('click', () => {
       this.selectedIndex = index;
@@ -112,35 +114,39 @@ export class HotspotEditor {
         this._updateHotspots(roomId, hotspots);
       }));
 
-      // Rect fields (x, y, width, height)
+      // Rect fields (x, y, width, height); polygons are reshaped on the canvas
       const rectSection = document.createElement('div');
       rectSection.style.cssText = 'margin-top:8px;';
 
       const rectTitle = document.createElement('div');
       rectTitle.className = 'creator-field__label';
-      rectTitle.textContent = 'Rectangle';
+      rectTitle.textContent = hotspot.polygon ? 'Polygon' : 'Rectangle';
       rectTitle.style.cssText = 'margin-bottom:4px;';
       rectSection.appendChild(rectTitle);
 
-      const rectFields = document.createElement('div');
-      rectFields.className = 'creator-field--coords';
-      rectFields.appendChild(this._createNumberInput('X', hotspot.rect.x, (val) => {
-        hotspot.rect.x = val;
-        this._updateHotspots(roomId, hotspots);
-      }));
-      rectFields.appendChild(this._createNumberInput('Y', hotspot.rect.y, (val) => {
-        hotspot.rect.y = val;
-        this._updateHotspots(roomId, hotspots);
-      }));
-      rectFields.appendChild(this._createNumberInput('W', hotspot.rect.width, (val) => {
-        hotspot.rect.width = val;
-        this._updateHotspots(roomId, hotspots);
-      }));
-      rectFields.appendChild(this._createNumberInput('H', hotspot.rect.height, (val) => {
-        hotspot.rect.height = val;
-        this._updateHotspots(roomId, hotspots);
-      }));
-      rectSection.appendChild(rectFields);
+      if (hotspot.polygon) {
+        rectSection.appendChild(AreaFields.createPolygonSummary(hotspot, () => this._updateHotspots(roomId, hotspots)));
+      } else {
+        const rectFields = document.createElement('div');
+        rectFields.className = 'creator-field--coords';
+        rectFields.appendChild(this._createNumberInput('X', hotspot.rect.x, (val) => {
+          hotspot.rect.x = val;
+          this._updateHotspots(roomId, hotspots);
+        }));
+        rectFields.appendChild(this._createNumberInput('Y', hotspot.rect.y, (val) => {
+          hotspot.rect.y = val;
+          this._updateHotspots(roomId, hotspots);
+        }));
+        rectFields.appendChild(this._createNumberInput('W', hotspot.rect.width, (val) => {
+          hotspot.rect.width = val;
+          this._updateHotspots(roomId, hotspots);
+        }));
+        rectFields.appendChild(this._createNumberInput('H', hotspot.rect.height, (val) => {
+          hotspot.rect.height = val;
+          this._updateHotspots(roomId, hotspots);
+        }));
+        rectSection.appendChild(rectFields);
+      }
       form.appendChild(rectSection);
 
       // WalkTo fields
@@ -175,6 +181,12 @@ export class HotspotEditor {
         this._updateHotspots(roomId, hotspots);
       }));
 
+      form.appendChild(AreaFields.createDefaultVerbSelect(hotspot.defaultVerb, verbs, (val) => {
+        if (val) hotspot.defaultVerb = val;
+        else delete hotspot.defaultVerb;
+        this._updateHotspots(roomId, hotspots);
+      }));
+
       // Responses collapsible section
       const responsesCollapse = this._createResponsesSection(hotspot, roomId, hotspots, verbs);
       form.appendChild(responsesCollapse);
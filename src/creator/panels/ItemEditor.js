@@ -5,6 +5,7 @@
  * Displays a list of item cards in the left panel and item properties in the right panel.
  */
 
+import yaml from 'js-yaml';
 import { settings } from '../../settings/index.js';
 
 export class ItemEditor {
@@ -127,6 +128,11 @@ export class ItemEditor {
       this.app.state.updateItem(item.id, { description: val });
     }));
 
+    // Stackable items are carried as a count ("3 gold coins") in one slot
+    infoSection.appendChild(this._createCheckbox('Stackable (carry several in one slot)', !!item.stackable, (val) => {
+      this.app.state.updateItem(item.id, { stackable: val });
+    }));
+
     form.appendChild(infoSection);
 
     // Icon Section
@@ -194,6 +200,10 @@ export class ItemEditor {
       }));
     }
 
+    responsesSection.appendChild(this._createSelect('Default Verb (right-click; empty = game default)', verbs.map(v => v.id), item.defaultVerb || '', (val) => {
+      this.app.state.updateItem(item.id, { defaultVerb: val || null });
+    }));
+
     form.appendChild(responsesSection);
 
     // Use Default Section
@@ -204,6 +214,9 @@ export class ItemEditor {
 
     form.appendChild(useDefaultSection);
 
+    // Close-up Section (examine view)
+    form.appendChild(this._createCloseupSection(item));
+
     // Use On Targets Section (collapsible)
     const useOnSection = this._createSection('Use On Targets');
     const useOnEntries = Object.entries(item.useOn || {});
@@ -363,6 +376,79 @@ export class ItemEditor {
     return field;
   }
 
+  /**
+   * Close-up image for the examine view: generator, overlaid text and
+   * clickable hotspots (edited as YAML, coordinates relative to the image).
+   * @private
+   */
+  _createCloseupSection(item) {
+    const section = this._createSection('Close-up (Examine View)');
+    const closeup = item.closeup || {};
+
+    const update = (changes) => {
+      const next = { ...(item.closeup || {}), ...changes };
+      this.app.state.updateItem(item.id, { closeup: next.generator ? next : null });
+    };
+
+    section.appendChild(this._createSelect('Generator (empty = icon at 4x)', ['parchment', 'map'], closeup.generator || '', (val) => {
+      update({ generator: val || null });
+    }));
+    section.appendChild(this._createTextarea('Text on the close-up', closeup.text || '', (val) => {
+      update({ text: val || undefined });
+    }));
+
+    const error = document.createElement('div');
+    error.style.cssText = 'font-size:11px;color:var(--color-error);min-height:14px;';
+    const hotspotsField = this._createTextarea('Hotspots (YAML list)', closeup.hotspots ? yaml.dump(closeup.hotspots) : '', (val) => {
+      let hotspots;
+      try {
+        hotspots = val.trim() ? yaml.load(val) : [];
+      } catch (e) {
+        hotspots = undefined;
+      }
+      if (!Array.isArray(hotspots)) {
+        error.textContent = 'Invalid YAML: expected a list (one "- " entry per hotspot).';
+        return;
+      }
+      error.textContent = '';
+      update({ hotspots: hotspots.length > 0 ? hotspots : undefined });
+    });
+    const textarea = hotspotsField.querySelector('textarea');
+    textarea.style.cssText = 'font-family:monospace;font-size:11px;';
+    textarea.placeholder = '- { id: secret, name: "Smudge", x: 10, y: 10, width: 20, height: 12, lookAt: "..." }';
+    section.appendChild(hotspotsField);
+    section.appendChild(error);
+
+    return section;
+  }
+
+  /**
+   * Create a checkbox field.
+   * @private
+   */
+  _createCheckbox(label, checked, onChange) {
+    const field = document.createElement('div');
+    field.className = 'creator-field';
+    field.style.cssText = 'margin-top:8px;';
+
+    const checkbox = document.createElement('label');
+    checkbox.className = 'creator-checkbox';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+
+    const span = document.createElement('span');
+    span.textContent = label;
+
+    checkbox.appendChild(input);
+    checkbox.appendChild(span);
+    field.appendChild(checkbox);
+
+    return field;
+  }
+
   /**
    * Create a select dropdown.
    * @private
@@ -190,6 +190,7 @@ export class NpcEditor {
   // ==========================================================================
 
   _appendInfoSection(container, npc, leftPanel, rightPanel) {
+    const voice = npc.voice || {};
     const section = document.createElement('div');
     section.className = 'creator-form-section';
     section.innerHTML = `
@@ -202,6 +203,30 @@ export class NpcEditor {
         <label class="creator-field__label">Name</label>
         <input class="creator-input" id="npc-name" value="${this._esc(npc.name || '')}" />
       </div>
+      <div class="creator-field">
+        <label class="creator-field__label">Speech Text Color (overhead speech)</label>
+        <input class="creator-input" id="npc-text-color" type="color" value="${this._esc(npc.textColor || '#ffdd57')}" style="height:28px;padding:2px;" />
+      </div>
+      <div class="creator-field">
+        <label class="creator-field__label">Voice Waveform</label>
+        <select class="creator-select" id="npc-voice-waveform">
+          ${['', 'sine', 'triangle', 'square', 'sawtooth'].map(w =>
+            `<option value="${w}"${(voice.waveform || '') === w ? ' selected' : ''}>${w || '(from traits)'}</option>`
+          ).join('')}
+        </select>
+      </div>
+      <div class="creator-field">
+        <label class="creator-field__label">Voice Pitch in Hz (blank = from traits)</label>
+        <input class="creator-input" id="npc-voice-pitch" type="number" min="40" max="800" value="${this._esc(voice.pitch ?? '')}" />
+      </div>
+      <div class="creator-field">
+        <label class="creator-field__label">Default Verb (right-click)</label>
+        <select class="creator-select" id="npc-default-verb">
+          ${[{ id: '', label: '(game default)' }, ...this.app.state.game.verbs].map(v =>
+            `<option value="${v.id}"${(npc.defaultVerb || '') === v.id ? ' selected' : ''}>${this._esc(v.label)}</option>`
+          ).join('')}
+        </select>
+      </div>
     `;
     container.appendChild(section);
 
@@ -209,6 +234,26 @@ export class NpcEditor {
       this.app.state.updateNpc(npc.id, { name: e.target.value });
       this.render(leftPanel, rightPanel);
     });
+    section.querySelector('#npc-text-color').addEventListener('change', (e) => {
+      this.app.state.updateNpc(npc.id, { textColor: e.target.value });
+    });
+    section.querySelector('#npc-default-verb').addEventListener('change', (e) => {
+      this.app.state.updateNpc(npc.id, { defaultVerb: e.target.value || null });
+    });
+
+    // Voice fields left empty fall back to the trait-derived voice
+    const setVoice = (key, value) => {
+      const next = { ...(npc.voice || {}) };
+      if (value === '' || value === null) delete next[key];
+      else next[key] = value;
+      this.app.state.updateNpc(npc.id, { voice: Object.keys(next).length > 0 ? next : null });
+    };
+    section.querySelector('#npc-voice-waveform').addEventListener('change', (e) => {
+      setVoice('waveform', e.target.value);
+    });
+    section.querySelector('#npc-voice-pitch').addEventListener('change', (e) => {
+      setVoice('pitch', e.target.value === '' ? null : parseInt(e.target.value, 10) || null);
+    });
   }
 
   // ==========================================================================
@@ -514,6 +559,12 @@ export class NpcEditor {
     }));
     card.appendChild(walkFields);
 
+    // Schedule: when this placement applies
+    this._appendScheduleFields(card, placement, npc);
+
+    // Movement: patrol route or wander radius
+    this._appendMovementFields(card, placement, npc);
+
     // Place on Canvas button
     const placeBtn = document.createElement('button');
     placeBtn.className = 'creator-btn creator-btn--small creator-btn--primary';
@@ -544,6 +595,124 @@ export class NpcEditor {
     this.app.state.updateNpc(npc.id, { placements: [...(npc.placements || [])] });
   }
 
+  /**
+   * Schedule fields for a placement's `when` condition: time-of-day
+   * checkboxes plus required/forbidden flags. `when` is kept as a list of
+   * conditions so entries authored in YAML survive editing.
+   */
+  _appendScheduleFields(card, placement, npc) {
+    const whenList = () => {
+      if (!placement.when) return [];
+      return Array.isArray(placement.when) ? placement.when : [placement.when];
+    };
+    const getPart = (key) => whenList().find(c => c && key in c)?.[key];
+    const setPart = (key, value) => {
+      const list = whenList().filter(c => !(c && key in c));
+      const empty = value === '' || value == null || (Array.isArray(value) && value.length === 0);
+      if (!empty) list.push({ [key]: value });
+      if (list.length > 0) placement.when = list;
+      else delete placement.when;
+      this._updatePlacements(npc);
+    };
+
+    const label = document.createElement('div');
+    label.className = 'creator-field__label';
+    label.textContent = 'Present When (none checked = always)';
+    label.style.cssText = 'margin-top:6px;margin-bottom:4px;';
+    card.appendChild(label);
+
+    const periodsRaw = getPart('timeOfDay');
+    const periods = periodsRaw ? (Array.isArray(periodsRaw) ? periodsRaw : [periodsRaw]) : [];
+    const row = document.createElement('div');
+    row.style.cssText = 'display:flex;flex-wrap:wrap;gap:6px;';
+    for (const period of ['morning', 'afternoon', 'evening', 'night']) {
+      const checkbox = document.createElement('label');
+      checkbox.className = 'creator-checkbox';
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.checked = periods.includes(period);
+      input.addEventListener('change', () => {
+        const next = ['morning', 'afternoon', 'evening', 'night'].filter(p =>
+          p === period ? input.checked : periods.includes(p)
+        );
+        periods.splice(0, periods.length, ...next);
+        setPart('timeOfDay', [...next]);
+      });
+      const span = document.createElement('span');
+      span.textContent = period;
+      checkbox.appendChild(input);
+      checkbox.appendChild(span);
+      row.appendChild(checkbox);
+    }
+    card.appendChild(row);
+
+    for (const [key, text] of [['hasFlag', 'Requires Flag'], ['notFlag', 'Unless Flag']]) {
+      const field = document.createElement('div');
+      field.className = 'creator-field';
+      field.style.cssText = 'margin-top:6px;';
+      const fieldLabel = document.createElement('label');
+      fieldLabel.className = 'creator-field__label';
+      fieldLabel.textContent = text;
+      field.appendChild(fieldLabel);
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.className = 'creator-input';
+      input.value = getPart(key) || '';
+      input.addEventListener('change', () => setPart(key, input.value.trim()));
+      field.appendChild(input);
+      card.appendChild(field);
+    }
+  }
+
+  /**
+   * Movement fields for a placement: patrol waypoints (written as
+   * "x,y x,y ..."), a wander radius, and the pause at each stop.
+   */
+  _appendMovementFields(card, placement, npc) {
+    const label = document.createElement('div');
+    label.className = 'creator-field__label';
+    label.textContent = 'Movement';
+    label.style.cssText = 'margin-top:6px;margin-bottom:4px;';
+    card.appendChild(label);
+
+    const field = document.createElement('div');
+    field.className = 'creator-field';
+    const fieldLabel = document.createElement('label');
+    fieldLabel.className = 'creator-field__label';
+    fieldLabel.textContent = 'Patrol Points (x,y x,y ...)';
+    field.appendChild(fieldLabel);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'creator-input';
+    input.placeholder = '120,60 200,60';
+    input.value = (placement.patrol || []).map(p => `${p.x},${p.y}`).join(' ');
+    input.addEventListener('change', () => {
+      const points = input.value.trim().split(/\s+/)
+        .map(pair => pair.split(',').map(n => parseInt(n, 10)))
+        .filter(([x, y]) => Number.isFinite(x) && Number.isFinite(y))
+        .map(([x, y]) => ({ x, y }));
+      if (points.length > 0) placement.patrol = points;
+      else delete placement.patrol;
+      this._updatePlacements(npc);
+    });
+    field.appendChild(input);
+    card.appendChild(field);
+
+    const fields = document.createElement('div');
+    fields.className = 'creator-field--coords';
+    fields.style.cssText = 'margin-top:6px;';
+    fields.appendChild(this._createNumberInput('Wander', placement.wander, (val) => {
+      if (val > 0) placement.wander = val;
+      else delete placement.wander;
+      this._updatePlacements(npc);
+    }));
+    fields.appendChild(this._createNumberInput('Pause', placement.pause ?? 60, (val) => {
+      placement.pause = val;
+      this._updatePlacements(npc);
+    }));
+    card.appendChild(fields);
+  }
+
   // ==========================================================================
   // Responses section (per-verb, like HotspotEditor)
   // ==========================================================================
@@ -72,9 +72,10 @@ export class PuzzleEditor {
     }
 
     const trigger = puzzle.trigger || {};
-    const triggerText = trigger.item
-      ? `${trigger.verb} ${trigger.item} on ${trigger.target}`
-      : `${trigger.verb} ${trigger.target}`;
+    let triggerText;
+    if (trigger.withItem) triggerText = `${trigger.verb} ${trigger.item} + ${trigger.withItem}`;
+    else if (trigger.item) triggerText = `${trigger.verb} ${trigger.item} on ${trigger.target}`;
+    else triggerText = `${trigger.verb} ${trigger.target}`;
 
     card.style.cssText = 'cursor:pointer;padding:8px 10px;';
     card.innerHTML = `
@@ -118,21 +119,46 @@ export class PuzzleEditor {
     const triggerSection = this._createSection('Trigger');
     const trigger = puzzle.trigger || { verb: null, target: null };
 
-    const verbs = this.app.state.game.verbs;
-    triggerSection.appendChild(this._createSelect('Verb', verbs.map(v => ({ value: v.id, label: v.label })), trigger.verb, (val) => {
-      const newTrigger = { ...trigger, verb: val };
+    // "item + item" triggers combine two inventory items and have no target
+    const isCombine = trigger.withItem !== undefined;
+    triggerSection.appendChild(this._createSelect('Trigger Type', [
+      { value: 'target', label: 'Verb on hotspot / NPC' },
+      { value: 'combine', label: 'Item + item (inventory)' },
+    ], isCombine ? 'combine' : 'target', (val) => {
+      const newTrigger = val === 'combine'
+        ? { verb: 'use', item: trigger.item || '', withItem: '' }
+        : { verb: trigger.verb, target: '' };
       this.app.state.updatePuzzle(puzzle.id, { trigger: newTrigger });
+      this._renderRightPanel(container);
     }));
 
-    triggerSection.appendChild(this._createField('Target', 'text', trigger.target || '', (val) => {
-      const newTrigger = { ...trigger, target: val };
+    const verbs = this.app.state.game.verbs;
+    triggerSection.appendChild(this._createSelect('Verb', verbs.map(v => ({ value: v.id, label: v.label })), trigger.verb, (val) => {
+      const newTrigger = { ...puzzle.trigger, verb: val };
       this.app.state.updatePuzzle(puzzle.id, { trigger: newTrigger });
     }));
 
-    triggerSection.appendChild(this._createField('Secondary Target (optional)', 'text', trigger.item || '', (val) => {
-      const newTrigger = { ...trigger, item: val || undefined };
-      this.app.state.updatePuzzle(puzzle.id, { trigger: newTrigger });
-    }));
+    if (isCombine) {
+      const items = this.app.state.items.map(i => ({ value: i.id, label: i.name || i.id }));
+      triggerSection.appendChild(this._createSelect('Item', items, trigger.item, (val) => {
+        const newTrigger = { ...puzzle.trigger, item: val };
+        this.app.state.updatePuzzle(puzzle.id, { trigger: newTrigger });
+      }));
+      triggerSection.appendChild(this._createSelect('With Item (either order)', items, trigger.withItem, (val) => {
+        const newTrigger = { ...puzzle.trigger, withItem: val };
+        this.app.state.updatePuzzle(puzzle.id, { trigger: newTrigger });
+      }));
+    } else {
+      triggerSection.appendChild(this._createField('Target', 'text', trigger.target || '', (val) => {
+        const newTrigger = { ...trigger, target: val };
+        this.app.state.updatePuzzle(puzzle.id, { trigger: newTrigger });
+      }));
+
+      triggerSection.appendChild(this._createField('Secondary Target (optional)', 'text', trigger.item || '', (val) => {
+        const newTrigger = { ...trigger, item: val || undefined };
+        this.app.state.updatePuzzle(puzzle.id, { trigger: newTrigger });
+      }));
+    }
 
     form.appendChild(triggerSection);
 
@@ -241,19 +267,50 @@ export class PuzzleEditor {
       { value: '!hasItem', label: 'Does NOT Have Item' },
       { value: 'hasFlag', label: 'Has Flag' },
       { value: '!hasFlag', label: 'Does NOT Have Flag' },
+      { value: 'var', label: 'Compare Variable' },
+      { value: 'itemCount', label: 'Item Count' },
+      { value: 'visited', label: 'Has Visited Room' },
+      { value: 'inRoom', label: 'Is In Room' },
+      { value: 'timeOfDay', label: 'Time of Day Is' },
     ];
 
     form.appendChild(this._createSelect('Type', typeOptions, condition.type, (val) => {
       const newConditions = [...conditions];
-      newConditions[index] = { ...condition, type: val };
+      if (val === 'var') newConditions[index] = { type: val, var: '', op: 'eq', value: '' };
+      else if (val === 'itemCount') newConditions[index] = { type: val, item: '', op: 'gte', value: 1 };
+      else newConditions[index] = { type: val, value: '' };
       this.app.state.updatePuzzle(puzzle.id, { conditions: newConditions });
+      this._renderRightPanel(card.closest('.creator-right-panel__body'));
     }));
 
-    form.appendChild(this._createField('Value', 'text', condition.value || '', (val) => {
-      const newConditions = [...conditions];
-      newConditions[index] = { ...condition, value: val };
-      this.app.state.updatePuzzle(puzzle.id, { conditions: newConditions });
-    }));
+    if (condition.type === 'var' || condition.type === 'itemCount') {
+      const updateVar = (patch) => {
+        const newConditions = [...conditions];
+        newConditions[index] = { ...condition, ...patch };
+        this.app.state.updatePuzzle(puzzle.id, { conditions: newConditions });
+      };
+      const opOptions = [
+        { value: 'eq', label: '= equals' },
+        { value: 'ne', label: '≠ not equal' },
+        { value: 'gt', label: '> greater than' },
+        { value: 'gte', label: '≥ at least' },
+        { value: 'lt', label: '< less than' },
+        { value: 'lte', label: '≤ at most' },
+      ];
+      if (condition.type === 'var') {
+        form.appendChild(this._createField('Variable', 'text', condition.var || '', (val) => updateVar({ var: val })));
+      } else {
+        form.appendChild(this._createField('Item ID', 'text', condition.item || '', (val) => updateVar({ item: val })));
+      }
+      form.appendChild(this._createSelect('Operator', opOptions, condition.op || 'eq', (val) => updateVar({ op: val })));
+      form.appendChild(this._createField('Value', 'text', String(condition.value ?? ''), (val) => updateVar({ value: this._parseVarValue(val) })));
+    } else {
+      form.appendChild(this._createField('Value', 'text', condition.value || '', (val) => {
+        const newConditions = [...conditions];
+        newConditions[index] = { ...condition, value: val };
+        this.app.state.updatePuzzle(puzzle.id, { conditions: newConditions });
+      }));
+    }
 
     const deleteBtn = document.createElement('button');
     deleteBtn.className = 'creator-btn creator-btn--small creator-btn--danger';
@@ -345,11 +402,23 @@ export class PuzzleEditor {
       { value: 'removeItem', label: 'Remove Item' },
       { value: 'setFlag', label: 'Set Flag' },
       { value: 'removeFlag', label: 'Remove Flag' },
+      { value: 'setVar', label: 'Set Variable' },
+      { value: 'incVar', label: 'Increase Variable' },
+      { value: 'decVar', label: 'Decrease Variable' },
       { value: 'walkTo', label: 'Walk To' },
+      { value: 'face', label: 'Face Direction' },
+      { value: 'npcSay', label: 'NPC Says' },
+      { value: 'follow', label: 'NPC Follows Player' },
+      { value: 'unfollow', label: 'NPC Stops Following' },
       { value: 'changeRoom', label: 'Change Room' },
       { value: 'showHotspot', label: 'Show Hotspot' },
       { value: 'hideHotspot', label: 'Hide Hotspot' },
       { value: 'playSound', label: 'Play Sound' },
+      { value: 'playMusic', label: 'Play Music' },
+      { value: 'fadeOut', label: 'Fade Out' },
+      { value: 'fadeIn', label: 'Fade In' },
+      { value: 'shakeScreen', label: 'Shake Screen' },
+      { value: 'wait', label: 'Wait' },
     ];
 
     form.appendChild(this._createSelect('Type', typeOptions, action.type, (val) => {
@@ -363,6 +432,16 @@ export class PuzzleEditor {
     const fieldsContainer = document.createElement('div');
     fieldsContainer.style.cssText = 'margin-top:8px;';
 
+    const updateAction = (patch) => {
+      const newActions = [...actions];
+      newActions[index] = { ...action, ...patch };
+      this.app.state.updatePuzzle(puzzle.id, { actions: newActions });
+    };
+    const actorOptions = [
+      { value: '', label: 'Player' },
+      ...this.app.state.npcs.map(n => ({ value: n.id, label: n.name || n.id })),
+    ];
+
     switch (action.type) {
       case 'say':
         fieldsContainer.appendChild(this._createField('Speaker', 'text', action.speaker || '', (val) => {
@@ -384,6 +463,12 @@ export class PuzzleEditor {
           newActions[index] = { ...action, itemId: val };
           this.app.state.updatePuzzle(puzzle.id, { actions: newActions });
         }));
+        // Only matters for stackable items
+        fieldsContainer.appendChild(this._createNumberField('Count', action.count ?? 1, (val) => {
+          const newActions = [...actions];
+          newActions[index] = { ...action, count: Math.max(1, val) };
+          this.app.state.updatePuzzle(puzzle.id, { actions: newActions });
+        }));
         break;
 
       case 'setFlag':
@@ -395,7 +480,35 @@ export class PuzzleEditor {
         }));
         break;
 
+      case 'setVar':
+        fieldsContainer.appendChild(this._createField('Variable', 'text', action.var || '', (val) => {
+          const newActions = [...actions];
+          newActions[index] = { ...action, var: val };
+          this.app.state.updatePuzzle(puzzle.id, { actions: newActions });
+        }));
+        fieldsContainer.appendChild(this._createField('Value', 'text', String(action.value ?? ''), (val) => {
+          const newActions = [...actions];
+          newActions[index] = { ...action, value: this._parseVarValue(val) };
+          this.app.state.updatePuzzle(puzzle.id, { actions: newActions });
+        }));
+        break;
+
+      case 'incVar':
+      case 'decVar':
+        fieldsContainer.appendChild(this._createField('Variable', 'text', action.var || '', (val) => {
+          const newActions = [...actions];
+          newActions[index] = { ...action, var: val };
+          this.app.state.updatePuzzle(puzzle.id, { actions: newActions });
+        }));
+        fieldsContainer.appendChild(this._createNumberField('Amount', action.amount ?? 1, (val) => {
+          const newActions = [...actions];
+          newActions[index] = { ...action, amount: val };
+          this.app.state.updatePuzzle(puzzle.id, { actions: newActions });
+        }));
+        break;
+
       case 'walkTo':
+        fieldsContainer.appendChild(this._createSelect('Who', actorOptions, action.npc || '', (val) => updateAction({ npc: val })));
         fieldsContainer.appendChild(this._createNumberField('X', action.x || 0, (val) => {
           const newActions = [...actions];
           newActions[index] = { ...action, x: val };
@@ -436,12 +549,41 @@ export class PuzzleEditor {
         }));
         break;
 
-      case 'playSound':
-        fieldsContainer.appendChild(this._createField('Sound', 'text', action.sound || '', (val) => {
-          const newActions = [...actions];
-          newActions[index] = { ...action, sound: val };
-          this.app.state.updatePuzzle(puzzle.id, { actions: newActions });
-        }));
+      case 'playSound': {
+        const sounds = ['door', 'pickup', 'talk', 'footstep', 'ui_click'].map(s => ({ value: s, label: s }));
+        fieldsContainer.appendChild(this._createSelect('Sound', sounds, action.sound || 'door', (val) => updateAction({ sound: val })));
+        break;
+      }
+
+      case 'face':
+        fieldsContainer.appendChild(this._createSelect('Who', actorOptions, action.npc || '', (val) => updateAction({ npc: val })));
+        fieldsContainer.appendChild(this._createSelect('Direction', [
+          { value: 'left', label: 'Left' },
+          { value: 'right', label: 'Right' },
+        ], action.direction || 'right', (val) => updateAction({ direction: val })));
+        break;
+
+      case 'npcSay':
+        fieldsContainer.appendChild(this._createSelect('NPC', actorOptions.slice(1), action.npc || '', (val) => updateAction({ npc: val })));
+        fieldsContainer.appendChild(this._createTextarea('Text', action.text || '', (val) => updateAction({ text: val })));
+        break;
+
+      case 'follow':
+      case 'unfollow':
+        fieldsContainer.appendChild(this._createSelect('NPC', actorOptions.slice(1), action.npc || '', (val) => updateAction({ npc: val })));
+        break;
+
+      case 'playMusic':
+        fieldsContainer.appendChild(this._createField('Track ID (blank = stop)', 'text', action.track || '', (val) => updateAction({ track: val })));
+        break;
+
+      case 'shakeScreen':
+        fieldsContainer.appendChild(this._createNumberField('Frames', action.frames ?? 30, (val) => updateAction({ frames: val })));
+        fieldsContainer.appendChild(this._createNumberField('Intensity (px)', action.intensity ?? 2, (val) => updateAction({ intensity: val })));
+        break;
+
+      case 'wait':
+        fieldsContainer.appendChild(this._createNumberField('Frames (60 = 1s)', action.frames ?? 60, (val) => updateAction({ frames: val })));
         break;
     }
 
@@ -497,6 +639,15 @@ export class PuzzleEditor {
     return card;
   }
 
+  /**
+   * Variable values are numbers when they look like numbers, otherwise strings.
+   * @private
+   */
+  _parseVarValue(text) {
+    const trimmed = text.trim();
+    return trimmed !== '' && !isNaN(Number(trimmed)) ? Number(trimmed) : text;
+  }
+
   /**
    * Create a form section with title.
    * @private
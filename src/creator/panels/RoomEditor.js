@@ -5,6 +5,7 @@ import { HotspotEditor } from './HotspotEditor.js';
 import { ExitEditor } from './ExitEditor.js';
 import { WalkableAreaEditor } from './WalkableAreaEditor.js';
 import { PropPlacer } from './PropPlacer.js';
+import { RoomEventEditor } from './RoomEventEditor.js';
 import { CanvasOverlay } from '../CanvasOverlay.js';
 import { TemplateRegistry } from '../../engine/TemplateRegistry.js';
 
@@ -14,6 +15,7 @@ const MODES = [
   { id: 'exits',     label: 'Exits' },
   { id: 'walkable',  label: 'Walkable' },
   { id: 'props',     label: 'Props' },
+  { id: 'events',    label: 'Events' },
 ];
 
 export class RoomEditor {
@@ -21,6 +23,7 @@ export class RoomEditor {
     this.app = app;
     this.selectedRoomId = null;
     this.editMode = 'info';
+    this.drawShape = 'rect'; // shape drawn for hotspots and exits
 
     // Sub-editors
     this.templatePicker = new TemplatePicker(app);
@@ -30,6 +33,7 @@ export class RoomEditor {
     this.exitEditor = new ExitEditor(app);
     this.walkableEditor = new WalkableAreaEditor(app);
     this.propPlacer = new PropPlacer(app);
+    this.eventEditor = new RoomEventEditor(app);
 
     // Canvas overlay (initialized lazily when canvas wrapper is available)
     this.overlay = null;
@@ -180,6 +184,7 @@ export class RoomEditor {
       exits: 'Doorways connecting this room to other rooms',
       walkable: 'Floor areas where the player character can walk',
       props: 'Decorative scene elements from the setting catalog',
+      events: 'Scripts that run when the player enters or leaves this room',
     };
     const hint = document.createElement('div');
     hint.className = 'creator-hint';
@@ -187,6 +192,30 @@ export class RoomEditor {
     hint.textContent = hints[this.editMode] || '';
     body.appendChild(hint);
 
+    // Draw shape toggle for hotspots and exits
+    if (this.editMode === 'hotspots' || this.editMode === 'exits') {
+      const shapeBar = document.createElement('div');
+      shapeBar.style.cssText = 'display:flex;gap:2px;align-items:center;padding:6px 10px;border-bottom:1px solid var(--color-border);';
+      const shapeLabel = document.createElement('span');
+      shapeLabel.className = 'creator-field__label';
+      shapeLabel.style.cssText = 'margin:0 6px 0 0;';
+      shapeLabel.textContent = 'Draw';
+      shapeBar.appendChild(shapeLabel);
+      for (const shape of [{ id: 'rect', label: 'Rectangle' }, { id: 'polygon', label: 'Polygon' }]) {
+        const btn = document.createElement('button');
+        btn.className = 'creator-btn creator-btn--small';
+        if (shape.id === this.drawShape) btn.classList.add('creator-btn--primary');
+        btn.textContent = shape.label;
+        btn.addEventListener('click', () => {
+          this.drawShape = shape.id;
+          if (this.overlay) this.overlay.setDrawShape(shape.id);
+          this._renderRight();
+        });
+        shapeBar.appendChild(btn);
+      }
+      body.appendChild(shapeBar);
+    }
+
     // Content area
     const content = document.createElement('div');
     content.style.cssText = 'padding:12px 14px;';
@@ -197,14 +226,10 @@ export class RoomEditor {
         this._renderInfoMode(content, room);
         break;
       case 'hotspots':
-        this.hotspotEditor.render(content, this.selectedRoomId, (index) => {
-          if (this.overlay) this.overlay.onRectSelected && this.overlay.setRects('hotspot', room.hotspots || []);
-        });
+        this.hotspotEditor.render(content, this.selectedRoomId, () => this._syncOverlay());
         break;
       case 'exits':
-        this.exitEditor.render(content, this.selectedRoomId, (index) => {
-          if (this.overlay) this.overlay.setRects('exit', room.exits || []);
-        });
+        this.exitEditor.render(content, this.selectedRoomId, () => this._syncOverlay());
         break;
       case 'walkable':
         this.walkableEditor.render(content, this.selectedRoomId, (index) => {
@@ -221,6 +246,9 @@ export class RoomEditor {
           }
         });
         break;
+      case 'events':
+        this.eventEditor.render(content, this.selectedRoomId);
+        break;
     }
 
     rightPanel.appendChild(body);
@@ -324,15 +352,18 @@ export class RoomEditor {
     if (!wrapper) return;
 
     this.overlay = new CanvasOverlay(wrapper);
+    this.overlay.setDrawShape(this.drawShape);
 
-    this.overlay.onRectCreated = (type, rect) => {
+    this.overlay.onRectCreated = (type, shape) => {
       const room = this.app.state.getRoom(this.selectedRoomId);
       if (!room) return;
+      const area = this._splitShape(shape);
+      const rect = area.rect;
       if (type === 'hotspot') {
         const hotspots = [...(room.hotspots || []), {
           id: 'hotspot_' + Date.now(),
           name: 'New Hotspot',
-          rect,
+          ...area,
           walkTo: { x: rect.x + Math.floor(rect.width / 2), y: rect.y + rect.height },
           visible: true,
           responses: {},
@@ -342,7 +373,7 @@ export class RoomEditor {
         const exits = [...(room.exits || []), {
           id: 'exit_' + Date.now(),
           name: 'New Exit',
-          rect,
+          ...area,
           target: null,
           spawnAt: { x: 160, y: 120 },
           walkTo: { x: rect.x + Math.floor(rect.width / 2), y: rect.y + rect.height },
@@ -402,24 +433,40 @@ export class RoomEditor {
     };
   }
 
-  _updateRectInRoom(type, index, rect) {
+  _updateRectInRoom(type, index, shape) {
     const room = this.app.state.getRoom(this.selectedRoomId);
     if (!room) return;
     if (type === 'hotspot' && room.hotspots[index]) {
       const hotspots = [...room.hotspots];
-      hotspots[index] = { ...hotspots[index], rect };
+      hotspots[index] = { ...hotspots[index], ...this._splitShape(shape) };
       this.app.state.updateRoom(this.selectedRoomId, { hotspots });
     } else if (type === 'exit' && room.exits[index]) {
       const exits = [...room.exits];
-      exits[index] = { ...exits[index], rect };
+      exits[index] = { ...exits[index], ...this._splitShape(shape) };
       this.app.state.updateRoom(this.selectedRoomId, { exits });
     } else if (type === 'walkable') {
       const rects = [...(room.walkableArea?.rects || [])];
-      rects[index] = rect;
+      rects[index] = this._splitShape(shape).rect;
       this.app.state.updateRoom(this.selectedRoomId, { walkableArea: { rects } });
     }
   }
 
+  /**
+   * Split an overlay shape into the `rect` stored on hotspots and exits
+   * and, for polygons, their `polygon` points (rect is then the bounding box).
+   */
+  _splitShape(shape) {
+    const rect = { x: shape.x, y: shape.y, width: shape.width, height: shape.height };
+    return shape.polygon ? { rect, polygon: shape.polygon } : { rect };
+  }
+
+  /**
+   * Overlay shape for a hotspot or exit (inverse of _splitShape).
+   */
+  _toShape(area) {
+    return area.polygon ? { ...area.rect, polygon: area.polygon } : area.rect;
+  }
+
   _syncOverlayMode() {
     if (!this.overlay) return;
     const modeMap = {
@@ -439,14 +486,22 @@ export class RoomEditor {
     if (!room) return;
 
     // Update overlay rects from room data
-    this.overlay.setRects('hotspot', (room.hotspots || []).map(h => h.rect));
-    this.overlay.setRects('exit', (room.exits || []).map(e => e.rect));
+    this.overlay.setRects('hotspot', (room.hotspots || []).map(h => this._toShape(h)));
+    this.overlay.setRects('exit', (room.exits || []).map(e => this._toShape(e)));
     this.overlay.setRects('walkable', room.walkableArea?.rects || []);
 
+    // Depth scaling reference lines
+    const scaling = room.scaling;
+    this.overlay.setGuideLines(scaling ? [
+      { y: scaling.far.y, label: `Far ×${scaling.far.scale}` },
+      { y: scaling.near.y, label: `Near ×${scaling.near.scale}` },
+    ] : []);
+
     // Show relevant overlay types based on edit mode
     this.overlay.setVisible('hotspot', this.editMode === 'hotspots' || this.editMode === 'info');
     this.overlay.setVisible('exit', this.editMode === 'exits' || this.editMode === 'info');
     this.overlay.setVisible('walkable', this.editMode === 'walkable' || this.editMode === 'info');
+    this.overlay.setVisible('guides', this.editMode === 'walkable');
   }
 
   _showRoomContextMenu(e, room) {
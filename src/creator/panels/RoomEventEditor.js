@@ -0,0 +1,138 @@
+/**
+ * RoomEventEditor.js
+ *
+ * Panel for editing a room's onFirstEnter, onEnter and onExit events.
+ * Each event has optional conditions and an action list, written as YAML
+ * in the same DSL as puzzle conditions and actions.
+ */
+
+import yaml from 'js-yaml';
+
+const EVENTS = [
+  { key: 'onFirstEnter', label: 'On First Enter', hint: 'Runs once, the first time the player enters this room.' },
+  { key: 'onEnter',      label: 'On Enter',       hint: 'Runs every time the player enters, after the fade-in.' },
+  { key: 'onExit',       label: 'On Exit',        hint: 'Runs before the player leaves through an exit.' },
+];
+
+export class RoomEventEditor {
+  constructor(app) {
+    this.app = app;
+  }
+
+  /**
+   * Render the room event editor panel.
+   * @param {HTMLElement} container
+   * @param {string} roomId
+   */
+  render(container, roomId) {
+    container.innerHTML = '';
+
+    const room = this.app.state.getRoom(roomId);
+    if (!room) {
+      container.innerHTML = '<span style="font-size:11px;color:var(--color-muted);">Room not found.</span>';
+      return;
+    }
+
+    for (const event of EVENTS) {
+      container.appendChild(this._renderEvent(room, roomId, event));
+    }
+  }
+
+  /**
+   * Render one event section with conditions and actions textareas.
+   * @private
+   */
+  _renderEvent(room, roomId, event) {
+    const section = document.createElement('div');
+    section.className = 'creator-form-section';
+    section.style.cssText = 'margin-bottom:16px;';
+
+    const title = document.createElement('div');
+    title.className = 'creator-form-section__title';
+    title.textContent = event.label;
+    section.appendChild(title);
+
+    const hint = document.createElement('div');
+    hint.className = 'creator-hint';
+    hint.style.cssText = 'margin-bottom:6px;';
+    hint.textContent = event.hint;
+    section.appendChild(hint);
+
+    const current = room[event.key] || null;
+    const error = document.createElement('div');
+    error.style.cssText = 'font-size:11px;color:var(--color-error);min-height:14px;';
+
+    // Both fields are parsed together so a half-edited event is never saved
+    let conditionsText = current?.conditions ? yaml.dump(current.conditions) : '';
+    let actionsText = current?.actions ? yaml.dump(current.actions) : '';
+
+    const save = () => {
+      const conditions = this._parseList(conditionsText);
+      const actions = this._parseList(actionsText);
+      if (conditions === undefined || actions === undefined) {
+        error.textContent = 'Invalid YAML: expected a list (one "- " entry per line).';
+        return;
+      }
+      error.textContent = '';
+      let value = null;
+      if (actions.length > 0) {
+        value = { actions };
+        if (conditions.length > 0) value.conditions = conditions;
+      }
+      this.app.state.updateRoom(roomId, { [event.key]: value });
+    };
+
+    section.appendChild(this._createTextarea('Conditions (optional)', conditionsText, '- hasFlag: met_hermit', (val) => {
+      conditionsText = val;
+      save();
+    }));
+    section.appendChild(this._createTextarea('Actions', actionsText, '- say: "It smells of old incense."', (val) => {
+      actionsText = val;
+      save();
+    }));
+    section.appendChild(error);
+
+    return section;
+  }
+
+  /**
+   * Parse a YAML list. Empty text is an empty list; anything else that
+   * isn't a list returns undefined.
+   * @private
+   */
+  _parseList(text) {
+    if (!text.trim()) return [];
+    try {
+      const parsed = yaml.load(text);
+      return Array.isArray(parsed) ? parsed : undefined;
+    } catch (e) {
+      return undefined;
+    }
+  }
+
+  /**
+   * Create a labelled monospace textarea.
+   * @private
+   */
+  _createTextarea(label, value, placeholder, onChange) {
+    const field = document.createElement('div');
+    field.className = 'creator-field';
+    field.style.cssText = 'margin-top:8px;';
+
+    const labelEl = document.createElement('label');
+    labelEl.className = 'creator-field__label';
+    labelEl.textContent = label;
+    field.appendChild(labelEl);
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'creator-textarea';
+    textarea.style.cssText = 'font-family:monospace;font-size:11px;';
+    textarea.value = value || '';
+    textarea.placeholder = placeholder;
+    textarea.rows = 4;
+    textarea.addEventListener('change', () => onChange(textarea.value));
+    field.appendChild(textarea);
+
+    return field;
+  }
+}
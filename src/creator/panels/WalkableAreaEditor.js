@@ -35,6 +35,7 @@ export class WalkableAreaEditor {
       empty.className = 'creator-empty';
       empty.innerHTML = '<span class="creator-empty__text">No walkable areas</span><span class="creator-empty__hint">Walkable areas define where your character can move. Add at least one rectangle covering the floor.</span>';
       container.appendChild(empty);
+      this._renderScaling(container, room, roomId, onSelect);
       return;
     }
 
@@ -122,13 +123,65 @@ export class WalkableAreaEditor {
     });
 
     container.appendChild(list);
+    this._renderScaling(container, room, roomId, onSelect);
+  }
+
+  /**
+   * Depth scaling: two reference lines (far and near) with a character
+   * scale at each. Characters are interpolated between them by position Y.
+   * @private
+   */
+  _renderScaling(container, room, roomId, onSelect) {
+    const section = document.createElement('div');
+    section.className = 'creator-form-section';
+    section.style.cssText = 'margin-top:16px;';
+
+    const title = document.createElement('div');
+    title.className = 'creator-form-section__title';
+    title.textContent = 'Depth Scaling';
+    section.appendChild(title);
+
+    const scaling = room.scaling;
+
+    const toggle = this._createCheckbox('Scale characters by depth', !!scaling, (enabled) => {
+      const value = enabled
+        ? { far: { y: 80, scale: 0.6 }, near: { y: 140, scale: 1 } }
+        : null;
+      this.app.state.updateRoom(roomId, { scaling: value });
+      this.render(container, roomId, onSelect);
+    });
+    section.appendChild(toggle);
+
+    if (scaling) {
+      const update = (line, key, val) => {
+        const next = {
+          far: { ...scaling.far },
+          near: { ...scaling.near },
+        };
+        next[line][key] = val;
+        this.app.state.updateRoom(roomId, { scaling: next });
+        this.render(container, roomId, onSelect);
+      };
+
+      section.appendChild(this._createNumberField('Far Y', scaling.far.y, (val) => update('far', 'y', val)));
+      section.appendChild(this._createNumberField('Far Scale', scaling.far.scale, (val) => update('far', 'scale', val), 0.05));
+      section.appendChild(this._createNumberField('Near Y', scaling.near.y, (val) => update('near', 'y', val)));
+      section.appendChild(this._createNumberField('Near Scale', scaling.near.scale, (val) => update('near', 'scale', val), 0.05));
+
+      const hint = document.createElement('div');
+      hint.style.cssText = 'font-size:11px;color:var(--color-muted);margin-top:6px;';
+      hint.textContent = 'Characters standing on a line (same Y as the walkable rects) are drawn at its scale; in between they are interpolated.';
+      section.appendChild(hint);
+    }
+
+    container.appendChild(section);
   }
 
   setSelectedIndex(index) {
     this.selectedIndex = index;
   }
 
-  _createNumberField(label, value, onChange) {
+  _createNumberField(label, value, onChange, step = 1) {
     const field = document.createElement('div');
     field.className = 'creator-field creator-field--inline creator-field--coords';
 
@@ -140,8 +193,9 @@ export class WalkableAreaEditor {
     input.className = 'creator-input creator-input--number';
     input.type = 'number';
     input.value = value;
+    if (step !== 1) input.step = step;
     input.addEventListener('change', (e) => {
-      const val = parseInt(e.target.value, 10);
+      const val = step === 1 ? parseInt(e.target.value, 10) : parseFloat(e.target.value);
       if (!isNaN(val)) onChange(val);
     });
 
@@ -150,4 +204,26 @@ export class WalkableAreaEditor {
 
     return field;
   }
+
+  _createCheckbox(label, checked, onChange) {
+    const field = document.createElement('div');
+    field.className = 'creator-field';
+
+    const checkbox = document.createElement('label');
+    checkbox.className = 'creator-checkbox';
+
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    input.addEventListener('change', () => onChange(input.checked));
+
+    const span = document.createElement('span');
+    span.textContent = label;
+
+    checkbox.appendChild(input);
+    checkbox.appendChild(span);
+    field.appendChild(checkbox);
+
+    return field;
+  }
 }
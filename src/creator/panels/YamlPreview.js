@@ -126,6 +126,9 @@ export class YamlPreview {
       startPosition: state.game.startPosition,
       verbs: state.game.verbs,
       defaultResponses: state.game.defaultResponses,
+      speechStyle: state.game.speechStyle,
+      hotspotHints: state.game.hotspotHints,
+      defaultVerbs: state.game.defaultVerbs,
       rooms: state.rooms.map(r => `rooms/${r.id}.yaml`),
     };
   }
@@ -145,12 +148,17 @@ export class YamlPreview {
       if (room.background.paletteOverrides && Object.keys(room.background.paletteOverrides).length) {
         obj.background.paletteOverrides = room.background.paletteOverrides;
       }
+      if (room.background.periods) obj.background.periods = room.background.periods;
     }
     if (room.lighting) obj.lighting = room.lighting;
     if (room.walkableArea) obj.walkableArea = room.walkableArea;
+    if (room.scaling) obj.scaling = room.scaling;
     if (room.hotspots && room.hotspots.length) obj.hotspots = room.hotspots;
     if (room.exits && room.exits.length) obj.exits = room.exits;
     if (room.visuals && room.visuals.length) obj.visuals = room.visuals;
+    if (room.onFirstEnter) obj.onFirstEnter = room.onFirstEnter;
+    if (room.onEnter) obj.onEnter = room.onEnter;
+    if (room.onExit) obj.onExit = room.onExit;
     return obj;
   }
 }
@@ -94,6 +94,22 @@ export class CharacterGenerator {
     return { canvas: this._flipCanvas, ctx: this._flipCtx };
   }
 
+  // Reusable scale buffer
+  static _scaleCanvas = null;
+  static _scaleCtx = null;
+
+  static _getScaleBuffer(w, h) {
+    if (!this._scaleCanvas || this._scaleCanvas.width < w || this._scaleCanvas.height < h) {
+      this._scaleCanvas = document.createElement('canvas');
+      this._scaleCanvas.width = w;
+      this._scaleCanvas.height = h;
+      this._scaleCtx = this._scaleCanvas.getContext('2d');
+      this._scaleCtx.imageSmoothingEnabled = false;
+    }
+    this._scaleCtx.clearRect(0, 0, this._scaleCanvas.width, this._scaleCanvas.height);
+    return { canvas: this._scaleCanvas, ctx: this._scaleCtx };
+  }
+
   /**
    * Draw a character sprite directly.
    * @param {object} renderer - Renderer with drawRect and bufCtx
@@ -102,12 +118,18 @@ export class CharacterGenerator {
    * @param {object} traits - Character trait descriptor
    * @param {number} frame - Walk frame 0-7 or idle frame 8-11
    * @param {string} facing - 'left' or 'right'
+   * @param {number} scale - Depth scale; the sprite shrinks towards its feet
    */
-  static draw(renderer, x, y, traits, frame = 0, facing = 'right') {
+  static draw(renderer, x, y, traits, frame = 0, facing = 'right', scale = 1) {
     const template = this.BODY_TEMPLATES[traits.bodyType] || this.BODY_TEMPLATES.average;
     const cellWidth = 24;
     const cellHeight = template.headRy * 2 + template.bodyH + template.legUpper + template.legLower + 4;
 
+    if (scale !== 1) {
+      this._drawScaled(renderer, x, y, traits, frame, facing, scale, cellWidth, cellHeight);
+      return;
+    }
+
     if (facing === 'right') {
       const { canvas: flipBuf, ctx: flipCtx } = this._getFlipBuffer(cellWidth + 8, cellHeight + 16);
 
@@ -133,6 +155,35 @@ export class CharacterGenerator {
     }
   }
 
+  /**
+   * Draw unscaled into the scale buffer, then blit it nearest-neighbour
+   * so the feet (bottom centre of the cell) stay anchored in place.
+   */
+  static _drawScaled(renderer, x, y, traits, frame, facing, scale, cellWidth, cellHeight) {
+    const padX = 4;
+    const padY = 8;
+    const bufW = cellWidth + 8 + padX * 2;
+    const bufH = cellHeight + 16 + padY;
+    const { canvas: scaleBuf, ctx: scaleCtx } = this._getScaleBuffer(bufW, bufH);
+
+    const proxy = {
+      drawRect(rx, ry, rw, rh, color) {
+        scaleCtx.fillStyle = color;
+        scaleCtx.fillRect(Math.floor(rx), Math.floor(ry), rw, rh);
+      },
+      bufCtx: scaleCtx,
+    };
+    this.draw(proxy, padX, padY, traits, frame, facing);
+
+    const anchorX = Math.floor(x) + cellWidth / 2;
+    const anchorY = Math.floor(y) + cellHeight;
+    const dx = Math.round(anchorX - (padX + cellWidth / 2) * scale);
+    const dy = Math.round(anchorY - (padY + cellHeight) * scale);
+    const dw = Math.max(1, Math.round(bufW * scale));
+    const dh = Math.max(1, Math.round(bufH * scale));
+    renderer.bufCtx.drawImage(scaleBuf, 0, 0, bufW, bufH, dx, dy, dw, dh);
+  }
+
   /**
    * Internal character drawing — always draws left-facing.
    */
@@ -0,0 +1,82 @@
+import { Variables } from './Variables.js';
+
+/**
+ * Conditions — The single condition evaluator shared by puzzles,
+ * dialogues and dialogue overrides.
+ *
+ * Conditions are plain objects from the YAML DSL. An array of conditions
+ * is an implicit AND. Unknown condition keys pass, so content written for
+ * newer engines degrades gracefully.
+ *
+ * The state object is built by GameEngine:
+ *   { flags, vars, inventory, roomVisits, currentRoom, timeOfDay }
+ */
+export class Conditions {
+
+  /**
+   * Evaluate a condition (or array of conditions) against game state.
+   * @param {object|Array|null} cond
+   * @param {object} state
+   * @returns {boolean}
+   */
+  static evaluate(cond, state) {
+    if (!cond) return true;
+    if (Array.isArray(cond)) return cond.every(c => this.evaluate(c, state));
+
+    const { flags = {}, vars = {}, inventory = null, roomVisits = {} } = state || {};
+
+    // Logical combinators
+    if (cond.and) return cond.and.every(c => this.evaluate(c, state));
+    if (cond.or) return cond.or.some(c => this.evaluate(c, state));
+    if (cond.not) return !this.evaluate(cond.not, state);
+
+    // Flags
+    if (cond.hasFlag) return !!flags[cond.hasFlag];
+    if (cond.notFlag) return !flags[cond.notFlag];
+
+    // Inventory: an item ID, or { id, count } for "at least count"
+    if (cond.hasItem) {
+      const { id, count } = this.parseItem(cond.hasItem);
+      return this._countItem(inventory, id) >= count;
+    }
+    if (cond.notItem) {
+      const { id, count } = this.parseItem(cond.notItem);
+      return this._countItem(inventory, id) < count;
+    }
+    if (cond.itemCount) {
+      const count = this._countItem(inventory, cond.itemCount.item);
+      return Variables.compareValue(count, cond.itemCount);
+    }
+
+    // Variables
+    if (cond.var !== undefined) return Variables.compare(cond, vars);
+
+    // Rooms
+    if (cond.visited) return (roomVisits[cond.visited] || 0) > 0;
+    if (cond.notVisited) return !roomVisits[cond.notVisited];
+    if (cond.inRoom) return state.currentRoom === cond.inRoom;
+
+    // Time of day: a period name or a list of periods
+    if (cond.timeOfDay) {
+      const periods = Array.isArray(cond.timeOfDay) ? cond.timeOfDay : [cond.timeOfDay];
+      return periods.includes(state.timeOfDay);
+    }
+
+    return true;
+  }
+
+  /**
+   * Normalize an item argument: `coin` or `{ id: coin, count: 3 }`.
+   * Shared by item conditions and the addItem/removeItem actions.
+   * @returns {{ id: string, count: number }}
+   */
+  static parseItem(arg) {
+    if (typeof arg === 'object') return { id: arg.id, count: arg.count !== undefined ? Number(arg.count) : 1 };
+    return { id: arg, count: 1 };
+  }
+
+  static _countItem(inventory, itemId) {
+    if (!inventory) return 0;
+    return inventory.countItem ? inventory.countItem(itemId) : (inventory.hasItem(itemId) ? 1 : 0);
+  }
+}
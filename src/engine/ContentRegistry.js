@@ -1,8 +1,13 @@
+import { Conditions } from './Conditions.js';
+
 /**
  * ContentRegistry — Central store for all loaded game content.
  * Provides lookup APIs for rooms, items, puzzles, dialogues, NPCs.
  */
 export class ContentRegistry {
+  /** Right-click verb per object kind when neither the object nor the game sets one. */
+  static DEFAULT_VERBS = { hotspot: 'look_at', exit: 'open', npc: 'talk_to', item: 'look_at' };
+
   constructor(gameDef) {
     this._gameDef = gameDef;
     this.title = gameDef.title;
@@ -14,6 +19,9 @@ export class ContentRegistry {
     this.startPosition = gameDef.startPosition;
     this.verbs = gameDef.verbs;
     this.defaultResponses = gameDef.defaultResponses;
+    this.defaultVerbs = { ...ContentRegistry.DEFAULT_VERBS, ...(gameDef.defaultVerbs || {}) };
+    this.speechStyle = gameDef.speechStyle || 'panel'; // 'panel' | 'overhead'
+    this.hotspotHints = gameDef.hotspotHints !== false; // hover highlight + reveal key
     this.protagonist = gameDef.protagonist;
     this._items = gameDef.items;       // keyed by ID
     this._npcs = gameDef.npcs;         // array
@@ -21,6 +29,32 @@ export class ContentRegistry {
     this._rooms = gameDef.rooms;       // keyed by ID
     this._dialogues = gameDef.dialogues; // keyed by ID
     this._music = gameDef.music;         // tracks + roomMusic mapping
+    this.migrations = gameDef.migrations || null; // save ID remaps
+    this.contentHash = ContentRegistry._hash(JSON.stringify(gameDef));
+  }
+
+  /**
+   * FNV-1a 32-bit hash, returned as hex. Used to detect content changes in saves.
+   */
+  static _hash(text) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      h ^= text.charCodeAt(i);
+      h = Math.imul(h, 0x01000193);
+    }
+    return (h >>> 0).toString(16).padStart(8, '0');
+  }
+
+  // --- Verbs ---
+
+  /**
+   * Verb ID that right-click runs on an object: its own `defaultVerb`,
+   * else the game's `defaultVerbs` entry for its kind.
+   * @param {'hotspot'|'exit'|'npc'|'item'} kind
+   * @param {object} [def] - Object definition, which may set `defaultVerb`
+   */
+  getDefaultVerb(kind, def) {
+    return def?.defaultVerb || this.defaultVerbs[kind] || null;
   }
 
   // --- Items ---
@@ -47,44 +81,34 @@ export class ContentRegistry {
 
   /**
    * Find a puzzle matching the given trigger key.
-   * Keys: "verb:target" or "verb:item:target"
+   * Keys: "verb:target", "verb:item:target" or "verb:item+withItem"
    */
   findPuzzle(key) {
     return this._puzzles.find(p => p._key === key) || null;
   }
 
   /**
-   * Find a puzzle by checking verb + target with optional flag conditions.
-   * Supports the old "verb:target:flag:value" pattern for flag-gated puzzles.
+   * Find all puzzles triggered by a verb + target (and optional item),
+   * in definition order. Conditions are checked by PuzzleSystem.
    */
-  findPuzzleWithFlags(verb, targetId, flags) {
-    // First try exact flag-gated matches
-    for (const puzzle of this._puzzles) {
-      if (puzzle.trigger.verb !== verb || puzzle.trigger.target !== targetId) continue;
-      if (puzzle.trigger.item) continue; // skip item-based puzzles
-
-      // Check if puzzle has flag conditions
-      if (puzzle.conditions && puzzle.conditions.length > 0) {
-        const allMet = puzzle.conditions.every(cond => {
-          if (cond.hasFlag) return flags[cond.hasFlag];
-          if (cond.notFlag) return !flags[cond.notFlag];
-          return true; // hasItem checked elsewhere
-        });
-        if (allMet) return puzzle;
-      } else {
-        // No conditions — direct match
-        return puzzle;
-      }
-    }
-    return null;
+  findPuzzles(verb, targetId, itemId = null) {
+    return this._puzzles.filter(p =>
+      p.trigger.verb === verb &&
+      p.trigger.target === targetId &&
+      (p.trigger.item || null) === itemId
+    );
   }
 
   /**
-   * Find a puzzle for a verb + item + target combo.
+   * Find all item-on-item puzzles combining two inventory items, in
+   * definition order. Either item may be the one used.
    */
-  findItemPuzzle(verb, itemId, targetId) {
-    const key = `${verb}:${itemId}:${targetId}`;
-    return this._puzzles.find(p => p._key === key) || null;
+  findCombinePuzzles(verb, itemId, otherItemId) {
+    return this._puzzles.filter(p => {
+      const { item, withItem } = p.trigger;
+      return p.trigger.verb === verb && withItem &&
+        ((item === itemId && withItem === otherItemId) || (item === otherItemId && withItem === itemId));
+    });
   }
 
   // --- NPCs ---
@@ -123,13 +147,14 @@ export class ContentRegistry {
 
   /**
    * Get the appropriate dialogue for an NPC, considering overrides.
+   * @param {object} npc - NPC definition
+   * @param {object} state - Condition state (see Conditions.evaluate)
    */
-  getDialogueForNpc(npc, flags, inventory) {
+  getDialogueForNpc(npc, state) {
     // Check dialogue overrides first
     if (npc.dialogueOverrides) {
       for (const override of npc.dialogueOverrides) {
-        const cond = override.condition;
-        if (this._evaluateCondition(cond, flags, inventory)) {
+        if (Conditions.evaluate(override.condition, state)) {
           return this._dialogues[override.dialogue] || null;
         }
       }
@@ -138,24 +163,6 @@ export class ContentRegistry {
     return this._dialogues[npc.dialogue] || null;
   }
 
-  /**
-   * Evaluate a condition object against current game state.
-   */
-  _evaluateCondition(cond, flags, inventory) {
-    if (!cond) return true;
-
-    if (cond.hasFlag) return !!flags[cond.hasFlag];
-    if (cond.notFlag) return !flags[cond.notFlag];
-    if (cond.hasItem) return inventory.hasItem(cond.hasItem);
-
-    // Logical combinators
-    if (cond.and) return cond.and.every(c => this._evaluateCondition(c, flags, inventory));
-    if (cond.or) return cond.or.some(c => this._evaluateCondition(c, flags, inventory));
-    if (cond.not) return !this._evaluateCondition(cond.not, flags, inventory);
-
-    return true;
-  }
-
   // --- Settings & Templates ---
 
   /**
@@ -199,4 +206,12 @@ export class ContentRegistry {
     if (!trackId) return null;
     return this._music.tracks[trackId] || null;
   }
+
+  /**
+   * Get a music track by ID, or null if it doesn't exist.
+   */
+  getMusicTrack(trackId) {
+    if (!this._music || !this._music.tracks) return null;
+    return this._music.tracks[trackId] || null;
+  }
 }
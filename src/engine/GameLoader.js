@@ -43,6 +43,9 @@ export class GameLoader {
       startPosition: game.startPosition,
       verbs: game.verbs,
       defaultResponses: game.defaultResponses,
+      speechStyle: game.speechStyle || 'panel',
+      hotspotHints: game.hotspotHints !== false,
+      defaultVerbs: game.defaultVerbs || null,
       protagonist: protagonist.protagonist,
       items: this._normalizeItems(items.items),
       npcs: npcs.npcs,
@@ -50,6 +53,7 @@ export class GameLoader {
       rooms: this._normalizeRooms(roomResults),
       dialogues: this._normalizeDialogues(dialogueResults),
       music: musicResult ? this._normalizeMusic(musicResult.music) : null,
+      migrations: game.migrations || null,
     };
   }
 
@@ -83,9 +87,11 @@ export class GameLoader {
   static _normalizePuzzles(puzzles) {
     return puzzles.map(puzzle => {
       const trigger = puzzle.trigger;
-      // Build a lookup key: "verb:target" or "verb:item:target"
+      // Build a lookup key: "verb:target", "verb:item:target" or "verb:item+withItem"
       let key;
-      if (trigger.item) {
+      if (trigger.withItem) {
+        key = `${trigger.verb}:${trigger.item}+${trigger.withItem}`;
+      } else if (trigger.item) {
         key = `${trigger.verb}:${trigger.item}:${trigger.target}`;
       } else {
         key = `${trigger.verb}:${trigger.target}`;
@@ -100,6 +106,7 @@ export class GameLoader {
   /**
    * Normalize room definitions into a keyed map.
    * Converts DSL rect format to flat x/y/width/height for engine compat.
+   * Hotspots and exits may give a `polygon` instead of a `rect`.
    */
   static _normalizeRooms(roomResults) {
     const map = {};
@@ -110,13 +117,11 @@ export class GameLoader {
         room.hotspots = room.hotspots.map(hs => ({
           id: hs.id,
           name: hs.name,
-          x: hs.rect.x,
-          y: hs.rect.y,
-          width: hs.rect.width,
-          height: hs.rect.height,
+          ...this._normalizeArea(hs),
           walkToX: hs.walkTo?.x,
           walkToY: hs.walkTo?.y,
           visible: hs.visible !== undefined ? hs.visible : undefined,
+          defaultVerb: hs.defaultVerb || null,
           // Flatten responses into verb properties for engine compat
           lookAt: hs.responses?.look_at || null,
           pickUp: hs.responses?.pick_up || null,
@@ -132,15 +137,13 @@ export class GameLoader {
       if (room.exits) {
         room.exits = room.exits.map(exit => ({
           id: exit.id,
-          x: exit.rect.x,
-          y: exit.rect.y,
-          width: exit.rect.width,
-          height: exit.rect.height,
+          ...this._normalizeArea(exit),
           target: exit.target,
           spawnX: exit.spawnAt?.x,
           spawnY: exit.spawnAt?.y,
           name: exit.name,
           lookAt: exit.lookAt || null,
+          defaultVerb: exit.defaultVerb || null,
         }));
       }
       // Preserve visuals array for Z-sorted prop rendering
@@ -164,6 +167,22 @@ export class GameLoader {
     return map;
   }
 
+  /**
+   * Flatten a hotspot or exit's clickable area. A `polygon` (list of
+   * `{x, y}` points) is kept for hit testing, and its bounding box fills
+   * x/y/width/height so default walk-to points still work.
+   */
+  static _normalizeArea(def) {
+    if (def.polygon) {
+      const xs = def.polygon.map(p => p.x);
+      const ys = def.polygon.map(p => p.y);
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y, polygon: def.polygon };
+    }
+    return { x: def.rect.x, y: def.rect.y, width: def.rect.width, height: def.rect.height };
+  }
+
   /**
    * Normalize dialogues into a keyed map.
    */
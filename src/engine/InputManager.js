@@ -1,6 +1,33 @@
 /**
- * InputManager — Handles mouse input, maps to internal resolution, provides hit-testing.
+ * InputManager — Handles mouse, touch, keyboard and gamepad input, maps to
+ * internal resolution, provides hit-testing. Touch taps arrive as clicks at
+ * the finger and a held finger as `longPressed`; keyboard and gamepad controls
+ * drive the same cursor and clicks as the mouse (see moveCursor / injectClick).
  */
+
+import { NavGraph } from './NavGraph.js';
+
+/** Standard-mapping gamepad buttons by index. */
+const GAMEPAD_BUTTONS = {
+  0: 'a', 1: 'b', 2: 'x', 3: 'y', 4: 'lb', 5: 'rb', 8: 'back', 9: 'start',
+  12: 'up', 13: 'down', 14: 'left', 15: 'right',
+};
+
+/** Stick deflection below this counts as centred. */
+const STICK_DEADZONE = 0.2;
+
+/** A touch held this long (ms) without moving is a long press. */
+const LONG_PRESS_MS = 500;
+
+/** A touch that moves further than this (internal pixels) is a drag, not a tap or long press. */
+const TAP_SLOP = 6;
+
+/** Keys whose browser default (scrolling, focus changes) would fight the game. */
+const PREVENTED_KEYS = [' ', 'Tab', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight'];
+
+/** Keys a focused button or form control handles itself (moving focus, pressing). */
+const CONTROL_KEYS = ['Tab', 'Enter', ' '];
+
 export class InputManager {
   constructor(canvas, internalWidth, internalHeight) {
     this.canvas = canvas;
@@ -16,10 +43,28 @@ export class InputManager {
     this.rightClicked = false;
     this.hoveredObject = null;
 
+    // Touch: set by the last pointer used, so a touchscreen laptop switches back and forth
+    this.touchMode = false;
+    this.longPressed = false;   // a held touch turned into a long press this frame
+    this.longPressX = 0;
+    this.longPressY = 0;
+    this._touch = null;         // { id, x, y, time, moved, long } for the finger on the canvas
+
+    // Let Tab move browser focus (set while the screen-reader layer has buttons to reach)
+    this.passTab = false;
+
     // Escape key
     this.escapePressed = false;
     this._pendingEscape = false;
 
+    // Keys currently held down, and pressed this frame, by normalized key
+    this._heldKeys = new Set();
+    this.keysPressed = [];  // [{ key, shift }]
+    this._pendingKeys = [];
+
+    // First connected gamepad: buttons held/pressed this frame, left stick
+    this.gamepad = { connected: false, held: new Set(), pressed: new Set(), stickX: 0, stickY: 0 };
+
     // Event queue for this frame
     this._pendingClicks = [];
     this._pendingRightClicks = [];
@@ -28,40 +73,106 @@ export class InputManager {
   }
 
   _bindEvents() {
-    this.canvas.addEventListener('mousemove', (e) => {
-      const rect = this.canvas.getBoundingClientRect();
-      const scaleX = this.internalWidth / rect.width;
-      const scaleY = this.internalHeight / rect.height;
-      this.mouseX = Math.floor((e.clientX - rect.left) * scaleX);
-      this.mouseY = Math.floor((e.clientY - rect.top) * scaleY);
+    // Pointer events cover mouse, touch and pen alike
+    this.canvas.addEventListener('pointermove', (e) => {
+      const { x, y } = this._toInternal(e);
+      if (e.pointerType === 'mouse') {
+        this.touchMode = false;
+      } else if (!this._touch || this._touch.id !== e.pointerId) {
+        return;
+      } else if (Math.hypot(x - this._touch.x, y - this._touch.y) > TAP_SLOP) {
+        this._touch.moved = true;
+      }
+      this.mouseX = x;
+      this.mouseY = y;
+    });
+
+    this.canvas.addEventListener('pointerdown', (e) => {
+      if (e.pointerType === 'mouse') {
+        this.touchMode = false;
+        return;
+      }
+      // Touch and pen: the cursor jumps to the finger, so it is "hovered"
+      this.touchMode = true;
+      const { x, y } = this._toInternal(e);
+      this.mouseX = x;
+      this.mouseY = y;
+      this._touch = { id: e.pointerId, x, y, time: performance.now(), moved: false, long: false };
     });
 
+    this.canvas.addEventListener('pointerup', (e) => {
+      const touch = this._touch;
+      if (!touch || touch.id !== e.pointerId) return;
+      this._touch = null;
+      // A long press already fired; lifting elsewhere picks what is under the finger
+      if (touch.long && !touch.moved) return;
+      const { x, y } = this._toInternal(e);
+      this._pendingClicks.push({ x, y });
+    });
+
+    this.canvas.addEventListener('pointercancel', () => {
+      this._touch = null;
+    });
+
+    // Mouse clicks. Taps are handled on pointerup, so the click a browser
+    // fires after a touch or pen tap is ignored (a mouse press clears touchMode)
     this.canvas.addEventListener('click', (e) => {
-      const rect = this.canvas.getBoundingClientRect();
-      const scaleX = this.internalWidth / rect.width;
-      const scaleY = this.internalHeight / rect.height;
-      const x = Math.floor((e.clientX - rect.left) * scaleX);
-      const y = Math.floor((e.clientY - rect.top) * scaleY);
+      if (this.touchMode) return;
+      const { x, y } = this._toInternal(e);
       this._pendingClicks.push({ x, y });
     });
 
     this.canvas.addEventListener('contextmenu', (e) => {
       e.preventDefault();
-      const rect = this.canvas.getBoundingClientRect();
-      const scaleX = this.internalWidth / rect.width;
-      const scaleY = this.internalHeight / rect.height;
-      const x = Math.floor((e.clientX - rect.left) * scaleX);
-      const y = Math.floor((e.clientY - rect.top) * scaleY);
+      // Some browsers also report a long touch as a context menu
+      if (this.touchMode) return;
+      const { x, y } = this._toInternal(e);
       this._pendingRightClicks.push({ x, y });
     });
 
+    // No emulated mouse events or double-tap zoom after a finger lifts
+    this.canvas.addEventListener('touchend', (e) => e.preventDefault(), { passive: false });
+
+    // Safari ignores user-scalable=no; its pinch gestures have their own events
+    document.addEventListener('gesturestart', (e) => e.preventDefault());
+
     window.addEventListener('keydown', (e) => {
+      // A focused control (the screen-reader layer's buttons) keeps the keys it acts on
+      const onControl = e.target instanceof HTMLElement && e.target.matches('button, input, select, textarea');
+      if (onControl && CONTROL_KEYS.includes(e.key)) return;
+      if (e.key === 'Tab' && this.passTab) return;
       if (e.key === 'Escape') {
         this._pendingEscape = true;
       }
+      if (PREVENTED_KEYS.includes(e.key)) e.preventDefault();
+      const key = InputManager.normalizeKey(e.key);
+      if (!e.repeat) this._pendingKeys.push({ key, shift: e.shiftKey });
+      this._heldKeys.add(key);
+    });
+
+    window.addEventListener('keyup', (e) => {
+      this._heldKeys.delete(InputManager.normalizeKey(e.key));
+    });
+
+    // Keys released while the window is unfocused never send keyup
+    window.addEventListener('blur', () => {
+      this._heldKeys.clear();
     });
   }
 
+  /**
+   * Map a mouse/pointer event to internal resolution.
+   */
+  _toInternal(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    const scaleX = this.internalWidth / rect.width;
+    const scaleY = this.internalHeight / rect.height;
+    return {
+      x: Math.floor((e.clientX - rect.left) * scaleX),
+      y: Math.floor((e.clientY - rect.top) * scaleY),
+    };
+  }
+
   /**
    * Called once per frame to consume pending events.
    */
@@ -69,6 +180,16 @@ export class InputManager {
     this.clicked = false;
     this.rightClicked = false;
     this.escapePressed = false;
+    this.longPressed = false;
+
+    // A finger held still turns into a long press once
+    const touch = this._touch;
+    if (touch && !touch.long && !touch.moved && performance.now() - touch.time >= LONG_PRESS_MS) {
+      touch.long = true;
+      this.longPressed = true;
+      this.longPressX = touch.x;
+      this.longPressY = touch.y;
+    }
 
     if (this._pendingEscape) {
       this.escapePressed = true;
@@ -86,6 +207,81 @@ export class InputManager {
       this._pendingRightClicks.shift();
       this.rightClicked = true;
     }
+
+    this.keysPressed = this._pendingKeys;
+    this._pendingKeys = [];
+
+    this._pollGamepad();
+  }
+
+  /**
+   * Read the first connected gamepad (the Gamepad API has no events for
+   * buttons or sticks, so it is polled every frame).
+   */
+  _pollGamepad() {
+    const pad = this.gamepad;
+    const gp = navigator.getGamepads ? [...navigator.getGamepads()].find(Boolean) : null;
+    pad.connected = !!gp;
+    pad.pressed = new Set();
+    if (!gp) {
+      pad.held.clear();
+      pad.stickX = pad.stickY = 0;
+      return;
+    }
+
+    const held = new Set();
+    for (const [index, name] of Object.entries(GAMEPAD_BUTTONS)) {
+      if (!gp.buttons[index]?.pressed) continue;
+      held.add(name);
+      if (!pad.held.has(name)) pad.pressed.add(name);
+    }
+    pad.held = held;
+
+    const x = gp.axes[0] || 0;
+    const y = gp.axes[1] || 0;
+    const centred = Math.hypot(x, y) < STICK_DEADZONE;
+    pad.stickX = centred ? 0 : x;
+    pad.stickY = centred ? 0 : y;
+  }
+
+  /**
+   * Key value as bindings store it: letters lower-case, so Shift and
+   * Caps Lock don't change which action a key triggers.
+   */
+  static normalizeKey(key) {
+    return key.length === 1 ? key.toLowerCase() : key;
+  }
+
+  /**
+   * Check if a key is held down.
+   * @param {string} key - Normalized key, e.g. ' ', 'Tab' or 'w'
+   */
+  isKeyHeld(key) {
+    return this._heldKeys.has(key);
+  }
+
+  /**
+   * Move the cursor (keyboard focus and the gamepad's virtual cursor).
+   */
+  moveCursor(x, y) {
+    this.mouseX = Math.max(0, Math.min(this.internalWidth - 1, Math.round(x)));
+    this.mouseY = Math.max(0, Math.min(this.internalHeight - 1, Math.round(y)));
+  }
+
+  /**
+   * Click at the cursor this frame, as if the mouse had been clicked.
+   */
+  injectClick() {
+    this.clicked = true;
+    this.clickX = this.mouseX;
+    this.clickY = this.mouseY;
+  }
+
+  /**
+   * Right-click this frame.
+   */
+  injectRightClick() {
+    this.rightClicked = true;
   }
 
   /**
@@ -110,17 +306,9 @@ export class InputManager {
   }
 
   /**
-   * Check if a point is inside a polygon (for walkable areas).
+   * Check if a point is inside a polygon (walkable areas, polygon hotspots and exits).
    */
   isPointInPolygon(px, py, polygon) {
-    let inside = false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-      const xi = polygon[i].x, yi = polygon[i].y;
-      const xj = polygon[j].x, yj = polygon[j].y;
-      const intersect = ((yi > py) !== (yj > py)) &&
-        (px < (xj - xi) * (py - yi) / (yj - yi) + xi);
-      if (intersect) inside = !inside;
-    }
-    return inside;
+    return NavGraph.pointInPolygon(px, py, polygon);
   }
 }
@@ -0,0 +1,160 @@
+/**
+ * KeyBindings — Remappable keyboard controls, persisted to localStorage
+ * under a per-game namespace.
+ * Each action has a primary and an alternate key (KeyboardEvent.key values,
+ * single characters lower-cased; see InputManager.normalizeKey). A key only
+ * ever belongs to one action.
+ */
+
+/** Bindable actions in the order the controls screen lists them. */
+export const KEY_ACTIONS = [
+  { id: 'verb_give',    label: 'Give' },
+  { id: 'verb_open',    label: 'Open' },
+  { id: 'verb_close',   label: 'Close' },
+  { id: 'verb_pick_up', label: 'Pick up' },
+  { id: 'verb_look_at', label: 'Look at' },
+  { id: 'verb_talk_to', label: 'Talk to' },
+  { id: 'verb_use',     label: 'Use' },
+  { id: 'verb_push',    label: 'Push' },
+  { id: 'verb_pull',    label: 'Pull' },
+  { id: 'move_up',      label: 'Walk up' },
+  { id: 'move_down',    label: 'Walk down' },
+  { id: 'move_left',    label: 'Walk left' },
+  { id: 'move_right',   label: 'Walk right' },
+  { id: 'next_target',  label: 'Next object' },
+  { id: 'interact',     label: 'Click' },
+  { id: 'default_verb', label: 'Default verb' },
+  { id: 'reveal',       label: 'Show hotspots' },
+];
+
+/**
+ * SCUMM verb letters and arrows for walking. WASD is left unbound because
+ * S is Push; players can bind it on the controls screen.
+ */
+const DEFAULT_BINDINGS = {
+  verb_give:    ['g', null],
+  verb_open:    ['o', null],
+  verb_close:   ['c', null],
+  verb_pick_up: ['p', null],
+  verb_look_at: ['l', null],
+  verb_talk_to: ['t', null],
+  verb_use:     ['u', null],
+  verb_push:    ['s', null],
+  verb_pull:    ['y', null],
+  move_up:      ['ArrowUp', null],
+  move_down:    ['ArrowDown', null],
+  move_left:    ['ArrowLeft', null],
+  move_right:   ['ArrowRight', null],
+  next_target:  ['Tab', null],
+  interact:     ['Enter', null],
+  default_verb: ['e', null],
+  reveal:       [' ', null],
+};
+
+/** Display names for keys whose KeyboardEvent.key value reads badly. */
+const KEY_NAMES = {
+  ' ': 'Space',
+  ArrowUp: 'Up',
+  ArrowDown: 'Down',
+  ArrowLeft: 'Left',
+  ArrowRight: 'Right',
+};
+
+export class KeyBindings {
+  /**
+   * @param {string} namespace - Storage prefix, e.g. the game's save namespace without version
+   */
+  constructor(namespace = 'adventure') {
+    this.storageKey = `${namespace}_keybindings`;
+    this.bindings = KeyBindings._copy(DEFAULT_BINDINGS);
+    this._load();
+  }
+
+  /**
+   * Keys bound to an action (empty slots left out).
+   * @param {string} action - Action ID from KEY_ACTIONS
+   * @returns {string[]}
+   */
+  keysFor(action) {
+    return (this.bindings[action] || []).filter(Boolean);
+  }
+
+  /**
+   * Action bound to a key, or null.
+   * @param {string} key - Normalized key
+   */
+  actionFor(key) {
+    for (const [action, keys] of Object.entries(this.bindings)) {
+      if (keys.includes(key)) return action;
+    }
+    return null;
+  }
+
+  /**
+   * Bind a key to one of an action's slots and save. The key is taken
+   * away from any other action; null clears the slot.
+   * @param {string} action
+   * @param {0|1} slot - 0 primary, 1 alternate
+   * @param {string|null} key
+   */
+  set(action, slot, key) {
+    if (!this.bindings[action]) return;
+    if (key) {
+      for (const keys of Object.values(this.bindings)) {
+        for (let i = 0; i < keys.length; i++) {
+          if (keys[i] === key) keys[i] = null;
+        }
+      }
+    }
+    this.bindings[action][slot] = key;
+    this._save();
+  }
+
+  /**
+   * Restore the default layout and save.
+   */
+  reset() {
+    this.bindings = KeyBindings._copy(DEFAULT_BINDINGS);
+    this._save();
+  }
+
+  /**
+   * Display name for a key ('ArrowUp' → 'Up', 'g' → 'G').
+   */
+  static keyName(key) {
+    if (!key) return '-';
+    return KEY_NAMES[key] || (key.length === 1 ? key.toUpperCase() : key);
+  }
+
+  static _copy(bindings) {
+    const copy = {};
+    for (const [action, keys] of Object.entries(bindings)) copy[action] = [...keys];
+    return copy;
+  }
+
+  /**
+   * Apply saved bindings over the defaults, so actions added since keep theirs.
+   */
+  _load() {
+    try {
+      const data = localStorage.getItem(this.storageKey);
+      if (!data) return;
+      const saved = JSON.parse(data);
+      for (const action of Object.keys(this.bindings)) {
+        if (Array.isArray(saved[action])) {
+          this.bindings[action] = [saved[action][0] || null, saved[action][1] || null];
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load key bindings:', e);
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.bindings));
+    } catch (e) {
+      console.warn('Failed to save key bindings:', e);
+    }
+  }
+}
@@ -8,6 +8,12 @@ export class LightingSystem {
     this.lights = [];
     this._frameCount = 0;
 
+    // Ambient tween (time-of-day changes ease instead of snapping)
+    this._ambientFrom = null;
+    this._ambientTo = null;
+    this._ambientTimer = 0;
+    this._ambientFrames = 0;
+
     // Reusable offscreen buffer for lighting overlay
     this._canvas = null;
     this._ctx = null;
@@ -17,10 +23,11 @@ export class LightingSystem {
    * Configure ambient lighting for the current room.
    * @param {string} color - Hex color for ambient overlay
    * @param {number} intensity - 0.0 to 1.0
+   * @param {number} [frames=0] - Ease from the current ambient over this many frames
    */
-  setAmbient(color, intensity) {
+  setAmbient(color, intensity, frames = 0) {
     const hex = color.replace('#', '');
-    this.ambient = {
+    const target = {
       color: [
         parseInt(hex.slice(0, 2), 16) || 0,
         parseInt(hex.slice(2, 4), 16) || 0,
@@ -28,6 +35,16 @@ export class LightingSystem {
       ],
       intensity: Math.max(0, Math.min(1, intensity)),
     };
+
+    if (frames > 0) {
+      this._ambientFrom = { color: [...this.ambient.color], intensity: this.ambient.intensity };
+      this._ambientTo = target;
+      this._ambientTimer = 0;
+      this._ambientFrames = frames;
+    } else {
+      this.ambient = target;
+      this._ambientTo = null;
+    }
   }
 
   /**
@@ -38,8 +55,9 @@ export class LightingSystem {
    * @param {string} color - Hex color
    * @param {number} intensity - 0.0 to 1.0
    * @param {boolean} flicker - Whether the light should flicker
+   * @param {boolean} [on=true] - Whether the light starts switched on
    */
-  addLight(x, y, radius, color, intensity, flicker = false) {
+  addLight(x, y, radius, color, intensity, flicker = false, on = true) {
     const hex = color.replace('#', '');
     this.lights.push({
       x, y, radius,
@@ -50,15 +68,61 @@ export class LightingSystem {
       ],
       intensity: Math.max(0, Math.min(1, intensity)),
       flicker,
+      level: on ? 1 : 0,   // 0 = off, 1 = full intensity
+      target: on ? 1 : 0,
+      fadeStep: 0,
     });
   }
 
+  /**
+   * Switch a light on or off by index (in the order lights were added).
+   * @param {number} index
+   * @param {boolean} on
+   * @param {number} [frames=0] - Fade over this many frames
+   */
+  setLightOn(index, on, frames = 0) {
+    const light = this.lights[index];
+    if (!light) return;
+    light.target = on ? 1 : 0;
+    if (frames > 0) {
+      light.fadeStep = 1 / frames;
+    } else {
+      light.level = light.target;
+    }
+  }
+
+  /**
+   * Advance ambient and light fades. Call once per frame.
+   */
+  update() {
+    if (this._ambientTo) {
+      this._ambientTimer++;
+      const t = Math.min(1, this._ambientTimer / this._ambientFrames);
+      const from = this._ambientFrom;
+      const to = this._ambientTo;
+      this.ambient = {
+        color: from.color.map((c, i) => Math.round(c + (to.color[i] - c) * t)),
+        intensity: from.intensity + (to.intensity - from.intensity) * t,
+      };
+      if (t >= 1) this._ambientTo = null;
+    }
+
+    for (const light of this.lights) {
+      if (light.level < light.target) {
+        light.level = Math.min(light.target, light.level + light.fadeStep);
+      } else if (light.level > light.target) {
+        light.level = Math.max(light.target, light.level - light.fadeStep);
+      }
+    }
+  }
+
   /**
    * Clear all lights (call on room change).
    */
   clear() {
     this.lights = [];
     this.ambient = { color: [0, 0, 0], intensity: 0 };
+    this._ambientTo = null;
   }
 
   /**
@@ -68,7 +132,8 @@ export class LightingSystem {
    * @param {number} frameCount - Global frame counter for flicker
    */
   render(renderer, frameCount) {
-    if (this.ambient.intensity <= 0 && this.lights.length === 0) return;
+    const lights = this.lights.filter(l => l.level > 0);
+    if (this.ambient.intensity <= 0 && lights.length === 0) return;
 
     this._frameCount = frameCount || 0;
 
@@ -92,13 +157,13 @@ export class LightingSystem {
 
     // Subtract light areas using 'destination-out' to create bright spots
     ctx.globalCompositeOperation = 'destination-out';
-    for (const light of this.lights) {
-      let intensity = light.intensity;
+    for (const light of lights) {
+      let intensity = light.intensity * light.level;
       if (light.flicker) {
         // Subtle random flicker
         const flick = Math.sin(this._frameCount * 0.15 + light.x) * 0.1
                     + Math.sin(this._frameCount * 0.08 + light.y) * 0.05;
-        intensity = Math.max(0.05, Math.min(1, intensity + flick));
+        intensity = Math.max(0.05 * light.level, Math.min(1, intensity + flick * light.level));
       }
 
       const grad = ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, light.radius);
@@ -112,11 +177,11 @@ export class LightingSystem {
     ctx.globalCompositeOperation = 'source-over';
 
     // Add warm glow for light sources
-    for (const light of this.lights) {
-      let intensity = light.intensity * 0.15;
+    for (const light of lights) {
+      let intensity = light.intensity * light.level * 0.15;
       if (light.flicker) {
         const flick = Math.sin(this._frameCount * 0.12 + light.x) * 0.03;
-        intensity += flick;
+        intensity += flick * light.level;
       }
       const [r, g, b] = light.color;
       const grad = ctx.createRadialGradient(light.x, light.y, 0, light.x, light.y, light.radius * 0.7);
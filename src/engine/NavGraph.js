@@ -0,0 +1,374 @@
+/**
+ * NavGraph — Navigation graph built from a room's walkable area.
+ * Rasterizes walkable rects and polygons into a grid of cells, routes
+ * between cells with A*, then smooths the result by string-pulling
+ * waypoints that have a clear line of sight.
+ */
+export class NavGraph {
+  /**
+   * @param {object|null} walkableArea - { rects?: [], polygon?: [], polygons?: [[]] }
+   * @param {number} width - Area width in game pixels
+   * @param {number} height - Area height in game pixels
+   * @param {number} cellSize - Grid cell size in game pixels
+   */
+  constructor(walkableArea, width = 320, height = 140, cellSize = 4) {
+    this.width = width;
+    this.height = height;
+    this.cellSize = cellSize;
+    this.cols = Math.ceil(width / cellSize);
+    this.rows = Math.ceil(height / cellSize);
+
+    const wa = walkableArea || null;
+    this.rects = wa?.rects || [];
+    this.polygons = [...(wa?.polygons || [])];
+    if (wa?.polygon) this.polygons.push(wa.polygon);
+
+    // No shapes at all means the whole room is walkable
+    this.unrestricted = this.rects.length === 0 && this.polygons.length === 0;
+
+    // Walkable cell mask (cell is walkable if its center is)
+    this.cells = new Uint8Array(this.cols * this.rows);
+    for (let row = 0; row < this.rows; row++) {
+      for (let col = 0; col < this.cols; col++) {
+        const { x, y } = this._cellCenter(col, row);
+        this.cells[row * this.cols + col] = this.isWalkable(x, y) ? 1 : 0;
+      }
+    }
+  }
+
+  /**
+   * Check if a point is inside the walkable area.
+   */
+  isWalkable(x, y) {
+    if (this.unrestricted) return true;
+
+    for (const r of this.rects) {
+      if (x >= r.x && x < r.x + r.width && y >= r.y && y < r.y + r.height) return true;
+    }
+    for (const poly of this.polygons) {
+      if (NavGraph.pointInPolygon(x, y, poly)) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Get the closest walkable point to the target.
+   */
+  closestWalkable(tx, ty) {
+    if (this.isWalkable(tx, ty)) return { x: tx, y: ty };
+
+    let closest = null;
+    let minDist = Infinity;
+
+    for (const r of this.rects) {
+      const cx = Math.max(r.x, Math.min(tx, r.x + r.width - 1));
+      const cy = Math.max(r.y, Math.min(ty, r.y + r.height - 1));
+      const dist = Math.hypot(cx - tx, cy - ty);
+      if (dist < minDist) {
+        minDist = dist;
+        closest = { x: cx, y: cy };
+      }
+    }
+
+    for (const poly of this.polygons) {
+      const p = this._closestOnPolygon(tx, ty, poly);
+      const dist = Math.hypot(p.x - tx, p.y - ty);
+      if (dist < minDist) {
+        minDist = dist;
+        closest = p;
+      }
+    }
+
+    return closest || { x: tx, y: ty };
+  }
+
+  /**
+   * Find a smoothed path between two points.
+   * The returned waypoints exclude the start. They end at the target when it
+   * is walkable and reachable; otherwise at the reachable point closest to it.
+   * @returns {Array<{x: number, y: number}>}
+   */
+  findPath(sx, sy, tx, ty) {
+    const target = { x: tx, y: ty };
+    if (this.unrestricted) return [target];
+
+    const startCell = this._nearestWalkableCell(sx, sy);
+    const goalPoint = this.closestWalkable(tx, ty);
+    const goalCell = this._nearestWalkableCell(goalPoint.x, goalPoint.y);
+    if (startCell < 0 || goalCell < 0) return [target];
+
+    const cellPath = this._astar(startCell, goalCell);
+
+    // Convert cells to points, anchored on the real start and end
+    const points = [{ x: sx, y: sy }];
+    for (let i = 1; i < cellPath.length - 1; i++) {
+      points.push(this._cellCenterByIndex(cellPath[i]));
+    }
+    const last = cellPath[cellPath.length - 1];
+    points.push(last === goalCell ? goalPoint : this._cellCenterByIndex(last));
+
+    const smoothed = this._smooth(points);
+    smoothed.shift(); // drop the start point
+
+    // Finish exactly where the caller asked when that can be walked to
+    const end = smoothed[smoothed.length - 1] || { x: sx, y: sy };
+    if ((end.x !== tx || end.y !== ty) && this.isWalkable(tx, ty) && this._hasLineOfSight(end, target)) {
+      smoothed.push(target);
+    }
+    return smoothed;
+  }
+
+  // --- A* ---
+
+  /**
+   * A* over the 8-connected cell grid. Returns cell indices from start to goal,
+   * or to the explored cell closest to the goal when the goal is unreachable.
+   */
+  _astar(start, goal) {
+    const cols = this.cols;
+    const total = this.cols * this.rows;
+    const gScore = new Float64Array(total).fill(Infinity);
+    const cameFrom = new Int32Array(total).fill(-1);
+    const closed = new Uint8Array(total);
+    const open = new MinHeap();
+
+    const gx = goal % cols;
+    const gy = Math.floor(goal / cols);
+    const heuristic = (idx) => {
+      const dx = Math.abs((idx % cols) - gx);
+      const dy = Math.abs(Math.floor(idx / cols) - gy);
+      return Math.max(dx, dy) + (Math.SQRT2 - 1) * Math.min(dx, dy);
+    };
+
+    gScore[start] = 0;
+    open.push(start, heuristic(start));
+    let best = start;
+    let bestH = heuristic(start);
+
+    while (open.size > 0) {
+      const current = open.pop();
+      if (closed[current]) continue;
+      closed[current] = 1;
+
+      if (current === goal) {
+        best = goal;
+        break;
+      }
+
+      const h = heuristic(current);
+      if (h < bestH) {
+        bestH = h;
+        best = current;
+      }
+
+      const cx = current % cols;
+      const cy = Math.floor(current / cols);
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          if (dx === 0 && dy === 0) continue;
+          const nx = cx + dx;
+          const ny = cy + dy;
+          if (!this._isCellWalkable(nx, ny)) continue;
+          // No corner cutting: both orthogonal neighbours must be open
+          if (dx !== 0 && dy !== 0 &&
+              (!this._isCellWalkable(cx + dx, cy) || !this._isCellWalkable(cx, cy + dy))) {
+            continue;
+          }
+
+          const neighbor = ny * cols + nx;
+          if (closed[neighbor]) continue;
+          const tentative = gScore[current] + (dx !== 0 && dy !== 0 ? Math.SQRT2 : 1);
+          if (tentative < gScore[neighbor]) {
+            gScore[neighbor] = tentative;
+            cameFrom[neighbor] = current;
+            open.push(neighbor, tentative + heuristic(neighbor));
+          }
+        }
+      }
+    }
+
+    const path = [best];
+    while (cameFrom[path[0]] !== -1) {
+      path.unshift(cameFrom[path[0]]);
+    }
+    return path;
+  }
+
+  // --- Smoothing ---
+
+  /**
+   * String-pull a point list: from each anchor, jump to the farthest point
+   * that can be reached in a straight line.
+   */
+  _smooth(points) {
+    if (points.length <= 2) return points;
+
+    const result = [points[0]];
+    let anchor = 0;
+    while (anchor < points.length - 1) {
+      let next = anchor + 1;
+      for (let j = points.length - 1; j > anchor + 1; j--) {
+        if (this._hasLineOfSight(points[anchor], points[j])) {
+          next = j;
+          break;
+        }
+      }
+      result.push(points[next]);
+      anchor = next;
+    }
+    return result;
+  }
+
+  /**
+   * Check that every pixel step along a segment is walkable.
+   */
+  _hasLineOfSight(a, b) {
+    const dist = Math.hypot(b.x - a.x, b.y - a.y);
+    const steps = Math.ceil(dist);
+    for (let i = 1; i < steps; i++) {
+      const t = i / steps;
+      if (!this.isWalkable(a.x + (b.x - a.x) * t, a.y + (b.y - a.y) * t)) return false;
+    }
+    return true;
+  }
+
+  // --- Cell helpers ---
+
+  _cellCenter(col, row) {
+    return {
+      x: col * this.cellSize + this.cellSize / 2,
+      y: row * this.cellSize + this.cellSize / 2,
+    };
+  }
+
+  _cellCenterByIndex(idx) {
+    return this._cellCenter(idx % this.cols, Math.floor(idx / this.cols));
+  }
+
+  _isCellWalkable(col, row) {
+    if (col < 0 || row < 0 || col >= this.cols || row >= this.rows) return false;
+    return this.cells[row * this.cols + col] === 1;
+  }
+
+  /**
+   * Index of the walkable cell nearest to a point, or -1 if there are none.
+   */
+  _nearestWalkableCell(x, y) {
+    const col = Math.max(0, Math.min(this.cols - 1, Math.floor(x / this.cellSize)));
+    const row = Math.max(0, Math.min(this.rows - 1, Math.floor(y / this.cellSize)));
+    if (this._isCellWalkable(col, row)) return row * this.cols + col;
+
+    let bestIdx = -1;
+    let bestDist = Infinity;
+    for (let idx = 0; idx < this.cells.length; idx++) {
+      if (!this.cells[idx]) continue;
+      const c = this._cellCenterByIndex(idx);
+      const dist = (c.x - x) * (c.x - x) + (c.y - y) * (c.y - y);
+      if (dist < bestDist) {
+        bestDist = dist;
+        bestIdx = idx;
+      }
+    }
+    return bestIdx;
+  }
+
+  /**
+   * Closest point on a polygon's edges, nudged inside the polygon.
+   */
+  _closestOnPolygon(px, py, polygon) {
+    let best = { x: px, y: py };
+    let minDist = Infinity;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[j];
+      const b = polygon[i];
+      const abx = b.x - a.x;
+      const aby = b.y - a.y;
+      const lenSq = abx * abx + aby * aby;
+      const t = lenSq > 0 ? Math.max(0, Math.min(1, ((px - a.x) * abx + (py - a.y) * aby) / lenSq)) : 0;
+      const cx = a.x + abx * t;
+      const cy = a.y + aby * t;
+      const dist = Math.hypot(cx - px, cy - py);
+      if (dist < minDist) {
+        minDist = dist;
+        best = { x: cx, y: cy };
+      }
+    }
+
+    // Edge points may test as outside; step towards the centroid until inside
+    const centroid = polygon.reduce((acc, p) => ({ x: acc.x + p.x / polygon.length, y: acc.y + p.y / polygon.length }), { x: 0, y: 0 });
+    const len = Math.hypot(centroid.x - best.x, centroid.y - best.y) || 1;
+    for (let step = 0; step < 4 && !NavGraph.pointInPolygon(best.x, best.y, polygon); step++) {
+      best = { x: best.x + (centroid.x - best.x) / len, y: best.y + (centroid.y - best.y) / len };
+    }
+    return { x: Math.round(best.x), y: Math.round(best.y) };
+  }
+
+  /**
+   * Even-odd point-in-polygon test, shared by walkable areas, polygon
+   * hotspots and exits, and the Creator's canvas overlay.
+   */
+  static pointInPolygon(px, py, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const xi = polygon[i].x, yi = polygon[i].y;
+      const xj = polygon[j].x, yj = polygon[j].y;
+      const intersect = ((yi > py) !== (yj > py)) &&
+        (px < (xj - xi) * (py - yi) / (yj - yi) + xi);
+      if (intersect) inside = !inside;
+    }
+    return inside;
+  }
+}
+
+/**
+ * Minimal binary min-heap keyed by priority, used as the A* open set.
+ */
+class MinHeap {
+  constructor() {
+    this._items = [];
+    this._priorities = [];
+  }
+
+  get size() {
+    return this._items.length;
+  }
+
+  push(item, priority) {
+    this._items.push(item);
+    this._priorities.push(priority);
+    let i = this._items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this._priorities[parent] <= this._priorities[i]) break;
+      this._swap(i, parent);
+      i = parent;
+    }
+  }
+
+  pop() {
+    const top = this._items[0];
+    const lastItem = this._items.pop();
+    const lastPriority = this._priorities.pop();
+    if (this._items.length > 0) {
+      this._items[0] = lastItem;
+      this._priorities[0] = lastPriority;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < this._items.length && this._priorities[left] < this._priorities[smallest]) smallest = left;
+        if (right < this._items.length && this._priorities[right] < this._priorities[smallest]) smallest = right;
+        if (smallest === i) break;
+        this._swap(i, smallest);
+        i = smallest;
+      }
+    }
+    return top;
+  }
+
+  _swap(a, b) {
+    [this._items[a], this._items[b]] = [this._items[b], this._items[a]];
+    [this._priorities[a], this._priorities[b]] = [this._priorities[b], this._priorities[a]];
+  }
+}
@@ -25,6 +25,10 @@ export class ProceduralAssets {
         const icon = this.generateItemIcon(item.icon.generator);
         if (icon) assetLoader.cache.set(`item_${id}`, icon);
       }
+      if (item.closeup?.generator) {
+        const closeup = this.generateItemCloseup(item.closeup);
+        if (closeup) assetLoader.cache.set(`closeup_${id}`, closeup);
+      }
     }
   }
 
@@ -38,30 +42,47 @@ export class ProceduralAssets {
   static generateTemplateBackgrounds(assetLoader, content) {
     const templateRooms = content.getTemplateRooms();
     for (const room of templateRooms) {
-      const bg = room.background;
-      if (!bg.template || !TemplateRegistry.has(bg.template)) continue;
+      const canvas = this.generateTemplateBackground(room);
+      if (canvas) assetLoader.cache.set(`room_${room.id}`, canvas);
+    }
+  }
 
-      const { canvas, ctx } = this._createCanvas(320, 140);
-      const meta = TemplateRegistry.getMetadata(bg.template);
+  /**
+   * Render one room's template background.
+   * With a time-of-day period, `background.periods[period]` may swap the
+   * palette and/or add palette overrides on top of the room's own.
+   * @param {object} room - Room definition with `background.template`
+   * @param {string} [period] - Time-of-day period
+   * @returns {HTMLCanvasElement|null} Null if the template is unknown
+   */
+  static generateTemplateBackground(room, period = null) {
+    const bg = room.background;
+    if (!bg.template || !TemplateRegistry.has(bg.template)) return null;
 
-      // Resolve palette: room override > template default > legacy
-      let palette = Palette.get(bg.palette || meta.palette || 'tavern');
-      if (bg.paletteOverrides) {
-        palette = Palette.applyOverrides(palette, bg.paletteOverrides);
-      }
+    const { canvas, ctx } = this._createCanvas(320, 140);
+    const meta = TemplateRegistry.getMetadata(bg.template);
+    const variant = (period && bg.periods?.[period]) || {};
 
-      // Merge template defaults with room-specific params
-      const defaults = {};
-      if (meta.params) {
-        for (const [key, def] of Object.entries(meta.params)) {
-          defaults[key] = def.default;
-        }
-      }
-      const params = { ...defaults, ...(bg.params || {}) };
+    // Resolve palette: period > room override > template default > legacy
+    let palette = Palette.get(variant.palette || bg.palette || meta.palette || 'tavern');
+    if (bg.paletteOverrides) {
+      palette = Palette.applyOverrides(palette, bg.paletteOverrides);
+    }
+    if (variant.paletteOverrides) {
+      palette = Palette.applyOverrides(palette, variant.paletteOverrides);
+    }
 
-      TemplateRegistry.generate(bg.template, ctx, palette, params);
-      assetLoader.cache.set(`room_${room.id}`, canvas);
+    // Merge template defaults with room-specific params
+    const defaults = {};
+    if (meta.params) {
+      for (const [key, def] of Object.entries(meta.params)) {
+        defaults[key] = def.default;
+      }
     }
+    const params = { ...defaults, ...(bg.params || {}) };
+
+    TemplateRegistry.generate(bg.template, ctx, palette, params);
+    return canvas;
   }
 
   static _createCanvas(w, h) {
@@ -183,6 +204,80 @@ export class ProceduralAssets {
     return canvas;
   }
 
+  // ================================================================
+  //  ITEM CLOSE-UPS — large examine images (text is overlaid at runtime)
+  // ================================================================
+
+  /**
+   * Render an item's close-up image.
+   * @param {object} closeup - `{ generator, width, height }` from the item definition
+   * @returns {HTMLCanvasElement|null} Null if the generator is unknown
+   */
+  static generateItemCloseup(closeup) {
+    const w = closeup.width || 160;
+    const h = closeup.height || 96;
+    const { canvas, ctx } = this._createCanvas(w, h);
+
+    switch (closeup.generator) {
+      case 'parchment':
+        this._drawParchment(ctx, w, h);
+        break;
+      case 'map': {
+        this._drawParchment(ctx, w, h);
+        const ink = '#5a3a1a';
+        // Coastline
+        const coast = [[8, h * 0.3], [w * 0.25, h * 0.2], [w * 0.4, h * 0.35], [w * 0.55, h * 0.25],
+          [w * 0.75, h * 0.4], [w * 0.7, h * 0.7], [w * 0.45, h * 0.8], [w * 0.2, h * 0.7], [8, h * 0.3]];
+        for (let i = 0; i < coast.length - 1; i++) {
+          T.line(ctx, Math.floor(coast[i][0]), Math.floor(coast[i][1]),
+            Math.floor(coast[i + 1][0]), Math.floor(coast[i + 1][1]), ink);
+        }
+        // Dotted trail to an X
+        const ax = Math.floor(w * 0.25), ay = Math.floor(h * 0.6);
+        const bx = Math.floor(w * 0.6), by = Math.floor(h * 0.45);
+        for (let t = 0; t <= 1; t += 0.08) {
+          T.pixel(ctx, Math.floor(ax + (bx - ax) * t), Math.floor(ay + (by - ay) * t), ink);
+        }
+        T.line(ctx, bx - 3, by - 3, bx + 3, by + 3, '#aa2222');
+        T.line(ctx, bx - 3, by + 3, bx + 3, by - 3, '#aa2222');
+        // Compass rose
+        const cx = w - 18, cy = h - 18;
+        T.circle(ctx, cx, cy, 7, ink);
+        T.line(ctx, cx, cy - 10, cx, cy + 10, ink);
+        T.line(ctx, cx - 10, cy, cx + 10, cy, ink);
+        break;
+      }
+      default:
+        return null;
+    }
+    return canvas;
+  }
+
+  /**
+   * Aged paper: dithered parchment with darker, ragged edges.
+   */
+  static _drawParchment(ctx, w, h) {
+    const paper = '#d8c49a';
+    const stain = '#b8a070';
+    const edge = '#8a7048';
+    T.rect(ctx, 0, 0, w, h, paper);
+    T.dither(ctx, 0, 0, w, h, paper, stain, 0.15, 4);
+    T.ditherGradient(ctx, 0, h - 12, w, 12, paper, stain, 'vertical');
+    // Ragged border: notch the edges at pseudo-random points
+    for (let x = 0; x < w; x++) {
+      const top = (x * 7) % 5 === 0 ? 2 : 1;
+      const bottom = (x * 11) % 7 === 0 ? 2 : 1;
+      T.rect(ctx, x, 0, 1, top, edge);
+      T.rect(ctx, x, h - bottom, 1, bottom, edge);
+    }
+    for (let y = 0; y < h; y++) {
+      const left = (y * 5) % 6 === 0 ? 2 : 1;
+      const right = (y * 13) % 5 === 0 ? 2 : 1;
+      T.rect(ctx, 0, y, left, 1, edge);
+      T.rect(ctx, w - right, y, right, 1, edge);
+    }
+  }
+
   // ================================================================
   //  CURSOR — 12x12 pixel-art arrow
   // ================================================================
@@ -20,9 +20,18 @@ export class Renderer {
     this.fadeTarget = 0;
     this.fadeSpeed = 0.05;
 
+    // Screen shake (frames remaining, max pixel offset)
+    this._shakeFrames = 0;
+    this._shakeIntensity = 0;
+    this._shakeResolve = null;
+
     // Hi-res text overlay queue
     this._hiResQueue = [];
 
+    // Accessibility options for hi-res text
+    this.textScale = 1;          // font size and line height multiplier
+    this.highContrast = false;   // text on solid black, dark colours lifted
+
     this._resize();
     window.addEventListener('resize', () => this._resize());
   }
@@ -30,13 +39,17 @@ export class Renderer {
   _resize() {
     const windowW = window.innerWidth;
     const windowH = window.innerHeight;
-    const scale = Math.min(
-      Math.floor(windowW / this.width),
-      Math.floor(windowH / this.height)
-    ) || 1;
-
-    this.canvas.width = this.width * scale;
-    this.canvas.height = this.height * scale;
+    // Portrait (a phone held upright): fill the width, at a fractional scale
+    // if need be; whole-number scaling would leave the game a sliver
+    const scale = windowH >= windowW
+      ? windowW / this.width
+      : Math.min(
+        Math.floor(windowW / this.width),
+        Math.floor(windowH / this.height)
+      ) || 1;
+
+    this.canvas.width = Math.round(this.width * scale);
+    this.canvas.height = Math.round(this.height * scale);
     this.ctx.imageSmoothingEnabled = false;
     this.scale = scale;
   }
@@ -66,8 +79,27 @@ export class Renderer {
       this.fadeAlpha = this.fadeTarget;
     }
 
+    // Screen shake: offset the whole frame by whole internal pixels
+    let offX = 0;
+    let offY = 0;
+    if (this._shakeFrames > 0) {
+      const k = this._shakeIntensity;
+      offX = Math.round((Math.random() * 2 - 1) * k) * this.scale;
+      offY = Math.round((Math.random() * 2 - 1) * k) * this.scale;
+      this._shakeFrames--;
+      if (this._shakeFrames === 0 && this._shakeResolve) {
+        const resolve = this._shakeResolve;
+        this._shakeResolve = null;
+        resolve();
+      }
+    }
+
     // Scale buffer to canvas (pixel art layer)
-    this.ctx.drawImage(this.buffer, 0, 0, this.canvas.width, this.canvas.height);
+    if (offX || offY) {
+      this.ctx.fillStyle = '#000';
+      this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+    }
+    this.ctx.drawImage(this.buffer, offX, offY, this.canvas.width, this.canvas.height);
 
     // Draw hi-res text overlay on top
     if (this._hiResQueue && this._hiResQueue.length > 0) {
@@ -93,7 +125,7 @@ export class Renderer {
 
     this._hiResQueue.push(() => {
       const s = this.scale;
-      const fontSize = Math.round(size * s * 0.85); // slightly smaller factor for better fit
+      const fontSize = Math.round(size * this.textScale * s * 0.85); // slightly smaller factor for better fit
       const sx = Math.floor(x * s);
       const sy = Math.floor(y * s);
 
@@ -101,6 +133,17 @@ export class Renderer {
       this.ctx.textAlign = align;
       this.ctx.textBaseline = 'top';
 
+      if (this.highContrast) {
+        const width = Math.min(this.ctx.measureText(text).width, maxWidth ? maxWidth * s : Infinity);
+        const left = align === 'center' ? sx - width / 2 : align === 'right' ? sx - width : sx;
+        const pad = Math.ceil(s * 0.5);
+        this.ctx.fillStyle = '#000';
+        this.ctx.fillRect(left - pad, sy - pad, width + pad * 2, fontSize + pad * 2);
+        this.ctx.fillStyle = _liftColor(color);
+        this.ctx.fillText(text, sx, sy, maxWidth ? maxWidth * s : undefined);
+        return;
+      }
+
       if (shadow) {
         this.ctx.fillStyle = '#000';
         this.ctx.fillText(text, sx + Math.ceil(s * 0.5), sy + Math.ceil(s * 0.5), maxWidth ? maxWidth * s : undefined);
@@ -117,7 +160,7 @@ export class Renderer {
   _wrapLines(text, maxWidth, options = {}) {
     const { size = 8, lineHeight = 12 } = options;
     const s = this.scale;
-    const fontSize = Math.round(size * s * 0.85);
+    const fontSize = Math.round(size * this.textScale * s * 0.85);
     this.ctx.font = `${fontSize}px 'Press Start 2P', monospace`;
 
     const words = text.split(' ');
@@ -136,7 +179,7 @@ export class Renderer {
     }
     if (line) lines.push(line);
 
-    return { lines, height: lines.length * lineHeight };
+    return { lines, height: lines.length * lineHeight * this.textScale };
   }
 
   /**
@@ -156,7 +199,7 @@ export class Renderer {
     let dy = 0;
     for (const line of lines) {
       this.drawTextHiRes(line, x, y + dy, options);
-      dy += lineHeight;
+      dy += lineHeight * this.textScale;
     }
     return dy;
   }
@@ -173,6 +216,19 @@ export class Renderer {
     }
   }
 
+  /**
+   * Capture a downscaled snapshot of the pixel buffer as a data URL.
+   */
+  captureThumbnail(width = 80, height = 50) {
+    const thumb = document.createElement('canvas');
+    thumb.width = width;
+    thumb.height = height;
+    const ctx = thumb.getContext('2d');
+    ctx.imageSmoothingEnabled = true;
+    ctx.drawImage(this.buffer, 0, 0, this.width, this.height, 0, 0, width, height);
+    return thumb.toDataURL('image/jpeg', 0.8);
+  }
+
   /**
    * Draw an image on the hi-res overlay (renders on top of everything).
    * Coordinates are in internal (320×200) space.
@@ -269,6 +325,42 @@ export class Renderer {
     this.bufCtx.strokeRect(Math.floor(x) + 0.5, Math.floor(y) + 0.5, w - 1, h - 1);
   }
 
+  /**
+   * Draw a closed polygon outline through a list of {x, y} points.
+   */
+  drawPolygonOutline(points, color, lineWidth = 1) {
+    this.bufCtx.strokeStyle = color;
+    this.bufCtx.lineWidth = lineWidth;
+    this.bufCtx.beginPath();
+    points.forEach((p, i) => {
+      if (i === 0) this.bufCtx.moveTo(Math.floor(p.x) + 0.5, Math.floor(p.y) + 0.5);
+      else this.bufCtx.lineTo(Math.floor(p.x) + 0.5, Math.floor(p.y) + 0.5);
+    });
+    this.bufCtx.closePath();
+    this.bufCtx.stroke();
+  }
+
+  /**
+   * Shake the screen for a number of frames.
+   * @param {number} frames - Duration in frames (~60fps)
+   * @param {number} intensity - Maximum offset in internal pixels
+   * @returns {Promise} Resolves when the shake ends
+   */
+  shake(frames = 30, intensity = 2) {
+    if (this._shakeResolve) this._shakeResolve();
+    this._shakeFrames = Math.max(1, Math.floor(frames));
+    this._shakeIntensity = intensity;
+    return new Promise(resolve => { this._shakeResolve = resolve; });
+  }
+
+  /**
+   * Jump straight to a fade level (0 = clear, 1 = black) without animating.
+   */
+  setFade(alpha) {
+    this.fadeAlpha = alpha;
+    this.fadeTarget = alpha;
+  }
+
   /**
    * Start a fade to black.
    */
@@ -297,3 +389,20 @@ export class Renderer {
     });
   }
 }
+
+/**
+ * High contrast: mix a dark or muted hex colour with white until its
+ * luminance reaches 0.6, keeping its hue. Other colours pass through.
+ */
+function _liftColor(color) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (!match) return color;
+  let hex = match[1];
+  if (hex.length === 3) hex = hex[0] + hex[0] + hex[1] + hex[1] + hex[2] + hex[2];
+  const rgb = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const lum = (0.2126 * rgb[0] + 0.7152 * rgb[1] + 0.0722 * rgb[2]) / 255;
+  if (lum >= 0.6) return color;
+  const t = (0.6 - lum) / (1 - lum);
+  const [r, g, b] = rgb.map(c => Math.round(c + (255 - c) * t));
+  return `rgb(${r}, ${g}, ${b})`;
+}
@@ -0,0 +1,140 @@
+/**
+ * SaveMigrator — Brings old save states in line with the current save
+ * schema and game content. Schema upgrades run step by step; when the
+ * content hash differs, IDs are remapped via the game's `migrations:`
+ * block and anything that no longer exists is dropped.
+ */
+
+/** Current save schema version. Bump and add an upgrade step when the shape changes. */
+export const SAVE_SCHEMA_VERSION = 6;
+
+/**
+ * Schema upgrade steps keyed by the version they upgrade from.
+ * Saves written before versioning are treated as version 1.
+ */
+const SCHEMA_UPGRADES = {
+  // v1 -> v2: adds schemaVersion/contentHash/playtime; nothing to convert
+  1: (state) => ({ ...state, playtime: state.playtime || 0 }),
+  // v2 -> v3: game variables
+  2: (state) => ({ ...state, vars: state.vars || {} }),
+  // v3 -> v4: room visit counts; the saved room is the only one we know about
+  3: (state) => ({ ...state, roomVisits: state.roomVisits || { [state.room]: 1 } }),
+  // v4 -> v5: companion NPCs following the player
+  4: (state) => ({ ...state, followers: state.followers || [] }),
+  // v5 -> v6: inventory entries carry a count for stackable items
+  5: (state) => ({ ...state, items: (state.items || []).map(id => ({ id, count: 1 })) }),
+};
+
+export class SaveMigrator {
+  /**
+   * Migrate a save state against the loaded content.
+   * @param {object} state - Raw save state
+   * @param {import('./ContentRegistry.js').ContentRegistry} content
+   * @returns {{ state: object, warnings: string[] }}
+   */
+  static migrate(state, content) {
+    const warnings = [];
+    let migrated = { ...state };
+
+    // 1. Schema upgrades
+    let version = migrated.schemaVersion || 1;
+    if (version > SAVE_SCHEMA_VERSION) {
+      warnings.push('This save is from a newer version of the game.');
+    }
+    while (version < SAVE_SCHEMA_VERSION) {
+      const upgrade = SCHEMA_UPGRADES[version];
+      if (upgrade) migrated = upgrade(migrated);
+      version++;
+    }
+    migrated.schemaVersion = SAVE_SCHEMA_VERSION;
+
+    // 2. Content migration, only when the game definition changed
+    if (migrated.contentHash !== content.contentHash) {
+      this._migrateContent(migrated, content, warnings);
+      migrated.contentHash = content.contentHash;
+    }
+
+    return { state: migrated, warnings };
+  }
+
+  /**
+   * Remap renamed IDs and drop references to content that no longer exists.
+   * Mutates the given state.
+   */
+  static _migrateContent(state, content, warnings) {
+    const maps = content.migrations || {};
+    const remap = (map, id) => (map && Object.prototype.hasOwnProperty.call(map, id) ? map[id] : id);
+
+    // Items: remap, then drop unknown (a null mapping means "removed").
+    // Two old items renamed to the same stackable item merge their counts.
+    const items = [];
+    let droppedItems = 0;
+    for (const { id: oldId, count } of state.items || []) {
+      const id = remap(maps.items, oldId);
+      const def = id && content.getItem(id);
+      if (!def) {
+        droppedItems++;
+        continue;
+      }
+      const held = items.find(i => i.id === id);
+      if (!held) items.push({ id, count: def.stackable ? count : 1 });
+      else if (def.stackable) held.count += count;
+    }
+    state.items = items;
+    if (droppedItems > 0) {
+      warnings.push(droppedItems === 1
+        ? 'An inventory item no longer exists and was removed.'
+        : `${droppedItems} inventory items no longer exist and were removed.`);
+    }
+
+    // Flags: rename keys (null drops the flag)
+    if (maps.flags && state.flags) {
+      const flags = {};
+      for (const [oldName, value] of Object.entries(state.flags)) {
+        const name = remap(maps.flags, oldName);
+        if (name) flags[name] = value;
+      }
+      state.flags = flags;
+    }
+
+    // Current room: remap, else fall back to the start room
+    const room = remap(maps.rooms, state.room);
+    if (room && content.getRoom(room)) {
+      state.room = room;
+    } else {
+      state.room = content.startRoom;
+      state.playerX = content.startPosition.x;
+      state.playerY = content.startPosition.y;
+      warnings.push('Your saved location no longer exists; you are back at the start.');
+    }
+
+    // Room visits: remap keys, drop rooms that no longer exist
+    if (state.roomVisits) {
+      const visits = {};
+      for (const [oldId, count] of Object.entries(state.roomVisits)) {
+        const id = remap(maps.rooms, oldId);
+        if (id && content.getRoom(id)) visits[id] = (visits[id] || 0) + count;
+      }
+      state.roomVisits = visits;
+    }
+
+    // Companions: drop NPCs that no longer exist
+    if (state.followers) {
+      const followers = state.followers.filter(id => content.getNpc(id));
+      if (followers.length < state.followers.length) {
+        warnings.push('A companion no longer exists and has left your party.');
+      }
+      state.followers = followers;
+    }
+
+    // Hidden hotspots: remap rooms, drop ones that no longer exist
+    if (state.hiddenHotspots) {
+      state.hiddenHotspots = state.hiddenHotspots
+        .map(({ room: r, hotspot }) => ({ room: remap(maps.rooms, r), hotspot }))
+        .filter(({ room: r, hotspot }) => {
+          const def = r && content.getRoom(r);
+          return def && (def.hotspots || []).some(h => h.id === hotspot);
+        });
+    }
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Variables — Helpers for numeric/string game variables.
+ * Variables live alongside boolean flags in GameEngine (`this.vars`)
+ * and are changed by the setVar/incVar/decVar DSL actions.
+ */
+export class Variables {
+
+  /** Comparison operators accepted in `{ var: name, <op>: value }` conditions. */
+  static OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte'];
+
+  /**
+   * Evaluate a variable condition, e.g. `{ var: 'coins', gte: 3 }`.
+   * Unset variables count as 0. With no operator, tests truthiness.
+   * @param {object} cond
+   * @param {object} vars - Current variable values
+   */
+  static compare(cond, vars) {
+    const raw = vars ? vars[cond.var] : undefined;
+    return this.compareValue(raw === undefined ? 0 : raw, cond);
+  }
+
+  /**
+   * Compare a value using the operator keys present on `cond`.
+   */
+  static compareValue(value, cond) {
+    if ('eq' in cond) return String(value) === String(cond.eq);
+    if ('ne' in cond) return String(value) !== String(cond.ne);
+    if ('gt' in cond) return Number(value) > Number(cond.gt);
+    if ('gte' in cond) return Number(value) >= Number(cond.gte);
+    if ('lt' in cond) return Number(value) < Number(cond.lt);
+    if ('lte' in cond) return Number(value) <= Number(cond.lte);
+    return !!value;
+  }
+
+  /**
+   * Normalize an incVar/decVar argument: `coins` or `{ var: coins, by: 2 }`.
+   * @returns {{ name: string, by: number }}
+   */
+  static parseStep(arg) {
+    if (typeof arg === 'string') return { name: arg, by: 1 };
+    return { name: arg.var, by: arg.by !== undefined ? Number(arg.by) : 1 };
+  }
+
+  /**
+   * Add to a numeric variable (negative amounts subtract).
+   */
+  static increment(vars, name, by = 1) {
+    vars[name] = (Number(vars[name]) || 0) + by;
+  }
+
+  /**
+   * Apply a DSL variable action in place.
+   * @returns {boolean} True if the action was a variable action
+   */
+  static applyAction(vars, action) {
+    if (action.setVar) {
+      vars[action.setVar.var] = action.setVar.value;
+      return true;
+    }
+    if (action.incVar) {
+      const { name, by } = this.parseStep(action.incVar);
+      this.increment(vars, name, by);
+      return true;
+    }
+    if (action.decVar) {
+      const { name, by } = this.parseStep(action.decVar);
+      this.increment(vars, name, -by);
+      return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,84 @@
+/**
+ * VoiceGenerator — Trait-based "babble" voices for characters.
+ * A voice is a pitch, waveform, speaking speed and pitch variance. It is
+ * derived from a character's traits, then overridden field by field by an
+ * explicit `voice:` block. AudioSystem plays one syllable of it at a time.
+ */
+export class VoiceGenerator {
+  /** Characters of revealed text per babbled syllable. */
+  static CHARS_PER_SYLLABLE = 4;
+
+  static WAVEFORMS = ['sine', 'triangle', 'square', 'sawtooth'];
+
+  /** Pitch range (Hz) a `voice:` block may set, as offered by the NPC editor. */
+  static MIN_PITCH = 40;
+  static MAX_PITCH = 800;
+
+  // --- Trait modifiers ---
+  static BASE_PITCH = { male: 130, female: 220 };
+  static BODY_PITCH = { slim: 1.08, average: 1, stocky: 0.85, tall: 0.92 };
+  static BODY_SPEED = { slim: 1.15, average: 1, stocky: 0.85, tall: 0.95 };
+  static FACIAL_PITCH = { beard: 0.9, mustache: 0.95, goatee: 0.95 };
+  static CLOTHING_WAVEFORM = { armor: 'square', robe: 'sine' };
+
+  /**
+   * Resolve the voice for a character definition (NPC or protagonist).
+   * Overrides that are missing, not numbers or out of range keep the
+   * trait-derived value (pitch is clamped to MIN_PITCH–MAX_PITCH).
+   * @param {object} def - Has `traits`, optionally `id` and `voice`
+   * @returns {{ pitch: number, waveform: string, speed: number, variance: number }}
+   */
+  static resolve(def) {
+    const voice = this.fromTraits(def?.traits || {}, def?.id || '');
+    const custom = def?.voice || {};
+
+    const pitch = Number(custom.pitch);
+    if (pitch > 0 && Number.isFinite(pitch)) {
+      voice.pitch = Math.max(this.MIN_PITCH, Math.min(this.MAX_PITCH, pitch));
+    }
+    if (this.WAVEFORMS.includes(custom.waveform)) voice.waveform = custom.waveform;
+    const speed = Number(custom.speed);
+    if (speed > 0 && Number.isFinite(speed)) voice.speed = speed;
+    // Variance of 1 or more could swing a syllable's frequency to zero
+    const variance = Number(custom.variance);
+    if (variance >= 0 && variance < 1) voice.variance = variance;
+    return voice;
+  }
+
+  /**
+   * Derive a voice from appearance traits. The seed (usually the character
+   * ID) nudges the pitch so look-alike characters still sound apart.
+   */
+  static fromTraits(traits, seed = '') {
+    let pitch = this.BASE_PITCH[traits.gender] || this.BASE_PITCH.male;
+    pitch *= this.BODY_PITCH[traits.bodyType] || 1;
+    pitch *= this.FACIAL_PITCH[traits.facial] || 1;
+    pitch *= 0.94 + this._hash(seed) * 0.12;
+
+    let speed = this.BODY_SPEED[traits.bodyType] || 1;
+    let variance = 0.15;
+    // Gray or white hair reads as elderly: slower and more quavery
+    if (traits.hairColor === 'gray' || traits.hairColor === 'white') {
+      speed *= 0.75;
+      variance = 0.25;
+    }
+
+    return {
+      pitch: Math.round(pitch),
+      waveform: this.CLOTHING_WAVEFORM[traits.clothing] || 'triangle',
+      speed: Math.round(speed * 100) / 100,
+      variance,
+    };
+  }
+
+  /**
+   * Hash a string to [0, 1).
+   */
+  static _hash(str) {
+    let h = 0;
+    for (let i = 0; i < str.length; i++) {
+      h = (h * 31 + str.charCodeAt(i)) >>> 0;
+    }
+    return (h % 1000) / 1000;
+  }
+}
@@ -1,6 +1,7 @@
 import { Renderer } from './engine/Renderer.js';
 import { AssetLoader } from './engine/AssetLoader.js';
 import { InputManager } from './engine/InputManager.js';
+import { KeyBindings, KEY_ACTIONS } from './engine/KeyBindings.js';
 import { ProceduralAssets } from './engine/ProceduralAssets.js';
 import { GameLoader } from './engine/GameLoader.js';
 import { ContentRegistry } from './engine/ContentRegistry.js';
@@ -8,15 +9,22 @@ import { SceneManager } from './systems/SceneManager.js';
 import { VerbSystem } from './systems/VerbSystem.js';
 import { InventorySystem } from './systems/InventorySystem.js';
 import { DialogueSystem } from './systems/DialogueSystem.js';
+import { ExamineSystem } from './systems/ExamineSystem.js';
+import { RadialMenuSystem } from './systems/RadialMenuSystem.js';
+import { AccessibilitySystem } from './systems/AccessibilitySystem.js';
 import { WalkingSystem } from './systems/WalkingSystem.js';
 import { ScriptRunner } from './systems/ScriptRunner.js';
 import { SaveSystem } from './systems/SaveSystem.js';
+import { SaveMigrator, SAVE_SCHEMA_VERSION } from './engine/SaveMigrator.js';
+import { Variables } from './engine/Variables.js';
+import { Conditions } from './engine/Conditions.js';
 import { CharacterSystem } from './systems/CharacterSystem.js';
 import { CharacterGenerator } from './engine/CharacterGenerator.js';
 import { PuzzleSystem } from './systems/PuzzleSystem.js';
 import { AudioSystem } from './systems/AudioSystem.js';
 import { LightingSystem } from './engine/LightingSystem.js';
 import { Palette } from './engine/Palette.js';
+import { VoiceGenerator } from './engine/VoiceGenerator.js';
 import { registerAllTemplates } from './templates/index.js';
 import { settings } from './settings/index.js';
 
@@ -36,11 +44,25 @@ class GameEngine {
     this.verbs = new VerbSystem();
     this.inventory = new InventorySystem();
     this.dialogue = new DialogueSystem();
+    this.examine = new ExamineSystem();
+    this.radialMenu = new RadialMenuSystem();
     this.walking = new WalkingSystem();
     this.scripts = new ScriptRunner();
     this.save = new SaveSystem();
     this.audio = new AudioSystem();
     this.lighting = new LightingSystem();
+    this.accessibility = new AccessibilitySystem(this.canvas.parentElement);
+    this.accessibility.onChoice = (index) => this.dialogue.selectChoice(index);
+    // Tabbing through the choice buttons moves the cursor along for sighted players
+    this.accessibility.onChoiceFocus = (index) => {
+      const rect = this.dialogue.getChoiceRects(this.renderer)[index];
+      if (!rect) return;
+      const { x, y } = this._getRectCentre(rect);
+      this.input.moveCursor(x, y);
+    };
+
+    // Walker routes through the current room's navigation graph
+    this.walking.pathfinder = (sx, sy, tx, ty) => this.scenes.findPath(sx, sy, tx, ty);
 
     // Frame counter for animated props
     this._frameCount = 0;
@@ -50,8 +72,10 @@ class GameEngine {
     this.characters = null;
     this.puzzles = null;
 
-    // Game state flags
+    // Game state flags and variables
     this.flags = {};
+    this.vars = {};
+    this.roomVisits = {};  // roomId -> number of times entered
     this.messageText = '';
     this.messageTimer = 0;
     this.showingEnding = false;
@@ -59,9 +83,21 @@ class GameEngine {
 
     // Pause menu
     this._pauseMenuOpen = false;
+    this._pauseMenuScreen = 'main'; // 'main' | 'save' | 'load' | 'controls' | 'accessibility'
+    this._pauseSnapshot = null;     // thumbnail captured when the menu opens
+    this._slotThumbs = {};          // slot -> { src, img }
+    this._slotMeta = [];            // SaveSystem.listSlots(), read when the slot picker opens or changes
+
+    // Playtime counter (frames of unpaused play)
+    this._playtimeFrames = 0;
 
     // Current room NPC cache
     this._currentRoomNpcs = [];
+    this._wasBusy = false; // a dialogue or cutscene ran since the last NPC refresh
+    this._routeHoldNpc = null; // patrolling NPC the player is walking up to
+    this.followers = [];            // companion NPC IDs, in trailing order
+    this._followerNpcs = new Map(); // id -> NPC data, carried from room to room
+    this._followGap = 24;           // pixels between the player and each companion
 
     // Audio footstep throttle
     this._footstepTimer = 0;
@@ -73,6 +109,7 @@ class GameEngine {
     this.timeOfDay = 'morning';
     this._timeOfDayTimer = 0;
     this._timeOfDayInterval = 3600; // ~60s at 60fps per period
+    this._lightingTransitionFrames = 180; // ease between periods over ~3s
 
     // Ambient bark state
     this._barkCooldown = 0;
@@ -80,8 +117,46 @@ class GameEngine {
     this._barkNpc = null;
     this._barkTimer = 0;
 
+    // Scripted NPC line ({ npc, text, timer }) shown above the speaker
+    this._npcSpeech = null;
+    this._speechStyle = 'panel';
+    this._hotspotHints = true;        // game.yaml `hotspotHints`
+    this._hoverArea = null;           // hovered hotspot/exit/NPC bounds to highlight
+    this._revealingHotspots = false;  // reveal key held: outline everything interactive
+    this._messageDone = null;  // script waiting on the current message
+    this._dialogueNpc = null;  // NPC in conversation (overhead speech anchor)
+    this._babble = null;       // { voice, owner, index, length, syllables } line being voiced
+
+    // Bumped to abandon an in-flight room transition (e.g. a skipped cutscene)
+    this._roomChangeToken = 0;
+
+    // Keyboard and gamepad controls
+    this.keyBindings = null;          // KeyBindings, per game title (see init)
+    this._rebinding = null;           // { action, slot } waiting for a key on the controls screen
+    this._keyWalking = false;         // a movement key or D-pad direction is walking the player
+    this._keyWalkStep = 12;           // pixels ahead of the player each held-key walk aims for
+    this._gamepadSteering = false;    // left stick moved the virtual cursor since it last snapped
+    this._gamepadCursorSpeed = 3;     // pixels per frame at full stick
+    this._gamepadSnapRadius = 24;     // released cursor settles on a target this close
+    this._focusAnnouncement = '';     // what focus moved onto this frame, for screen readers
+
+    // Touch mode
+    this._touchPreview = null;        // object named by a first tap; a second tap acts on it
+    // Right end of the action line: outside the viewport and clear of the save slot cards
+    this._touchPauseButton = { x: 304, y: 140, width: 14, height: 11 };
+
     // Pause menu layout
-    this._pauseMenuLayout = { startY: 75, itemHeight: 18, minX: 100, maxX: 220 };
+    this._pauseMenuItems = [
+      { id: 'resume', label: 'Resume' },
+      { id: 'save', label: 'Save Game' },
+      { id: 'load', label: 'Load Game' },
+      { id: 'controls', label: 'Controls' },
+      { id: 'accessibility', label: 'Accessibility' },
+      { id: 'restart', label: 'Restart' },
+    ];
+    this._pauseMenuLayout = { startY: 58, itemHeight: 16, minX: 100, maxX: 220 };
+    this._saveSlotLayout = { startX: 16, startY: 30, cardW: 140, cardH: 40, gapX: 8, gapY: 4, columns: 2, backY: 176 };
+    this._controlsLayout = { startX: 8, startY: 24, rowH: 13, colW: 156, rows: 9, keyX: 78, altX: 116, cellW: 36 };
   }
 
   async init() {
@@ -102,14 +177,29 @@ class GameEngine {
     const res = this.content.resolution;
     this.renderer = new Renderer(this.canvas, res.width, res.height);
     this.input = new InputManager(this.canvas, res.width, res.height);
+    this._applyDisplayOptions();
 
     // Initialize data-driven systems
     this.characters = new CharacterSystem(this.content);
     this.puzzles = new PuzzleSystem(this.content);
 
-    // Derive save key from game title
-    const saveKey = (this.content.title || 'adventure').toLowerCase().replace(/\s+/g, '_') + '_save';
-    this.save = new SaveSystem(saveKey);
+    // Speech presentation: 'panel' (message box / dialogue panel) or 'overhead'
+    this._speechStyle = this.content.speechStyle;
+    this.dialogue.style = this._speechStyle;
+    this._hotspotHints = this.content.hotspotHints;
+
+    // Namespace save slots by game title and version; saves from earlier
+    // versions of the game are copied over and migrated when loaded
+    const legacyKey = (this.content.title || 'adventure').toLowerCase().replace(/\s+/g, '_') + '_save';
+    this.save = new SaveSystem(
+      SaveSystem.namespaceFor(this.content.title, this.content.version),
+      6,
+      legacyKey,
+      { title: this.content.title, version: this.content.version }
+    );
+
+    // Key bindings are kept per game title, surviving version changes
+    this.keyBindings = new KeyBindings(SaveSystem.namespaceFor(this.content.title));
 
     // Register setting palettes so templates can resolve them
     const settingId = this.content.setting;
@@ -146,12 +236,16 @@ class GameEngine {
     // Initialize starting room
     this.scenes.loadRoom(this.content.startRoom);
     this.walking.setPosition(this.content.startPosition.x, this.content.startPosition.y);
+    this._recordRoomVisit(this.content.startRoom);
     this._refreshRoomNpcs();
     this._configureLighting();
 
-    // Check for saved game
-    if (this.save.hasSave()) {
-      this.loadGame();
+    // Resume the most recent save, if any; otherwise play the start room's events
+    const recentSlot = this.save.getMostRecentSlot();
+    if (recentSlot !== null) {
+      this.loadGame(recentSlot);
+    } else {
+      this._runRoomEnterEvents(this.content.startRoom);
     }
 
     // Start game loop
@@ -162,27 +256,78 @@ class GameEngine {
   /**
    * Refresh the NPC list for the current room.
    */
-  _refreshRoomNpcs() {
+  _refreshRoomNpcs(keepExisting = false) {
     const roomId = this.scenes.currentRoomId;
-    this._currentRoomNpcs = roomId ? this.characters.getNpcsInRoom(roomId) : [];
+    const npcs = roomId
+      ? this.characters.getNpcsInRoom(roomId, this._getConditionState()).filter(n => !this.followers.includes(n.id))
+      : [];
+
+    // When re-checking schedules, keep NPCs whose placement didn't change
+    // so anything mid-walk stays put
+    const previous = new Map(keepExisting ? this._currentRoomNpcs.map(n => [n.id, n]) : []);
+    this._currentRoomNpcs = npcs.map(npc => {
+      const prev = previous.get(npc.id);
+      return prev && prev._placement === npc._placement ? prev : npc;
+    });
+    this._currentRoomNpcs.push(...this._getFollowerNpcs());
+
+    // Drop speech from NPCs that just left
+    if (this._barkNpc && !this._currentRoomNpcs.includes(this._barkNpc)) {
+      this._barkNpc = null;
+      this._barkText = '';
+      this._barkTimer = 0;
+    }
+    if (this._npcSpeech && !this._currentRoomNpcs.includes(this._npcSpeech.npc)) {
+      this._clearNpcSpeech();
+    }
   }
 
   /**
    * Configure lighting for the current room from YAML definition.
+   * `lighting.periods.<period>.ambient` overrides the ambient for that time
+   * of day, lights with a `periods` list are only on during those periods,
+   * and `background.periods` swaps in a re-paletted background.
+   * @param {number} [frames=0] - Ease into the new look instead of snapping
    */
-  _configureLighting() {
-    this.lighting.clear();
+  _configureLighting(frames = 0) {
     const roomId = this.scenes.currentRoomId;
     const room = this.content.getRoom(roomId);
-
-    if (room && room.lighting) {
-      if (room.lighting.ambient) {
-        this.lighting.setAmbient(room.lighting.ambient.color, room.lighting.ambient.intensity);
-      }
-      for (const light of (room.lighting.lights || [])) {
-        this.lighting.addLight(light.x, light.y, light.radius, light.color, light.intensity, light.flicker);
+    const lighting = room?.lighting || {};
+    const lights = lighting.lights || [];
+    const isOn = (light) => !light.periods || light.periods.includes(this.timeOfDay);
+
+    if (frames === 0) {
+      this.lighting.clear();
+      for (const light of lights) {
+        this.lighting.addLight(light.x, light.y, light.radius, light.color, light.intensity, light.flicker, isOn(light));
       }
+    } else {
+      lights.forEach((light, i) => this.lighting.setLightOn(i, isOn(light), frames));
     }
+
+    const ambient = lighting.periods?.[this.timeOfDay]?.ambient || lighting.ambient;
+    if (ambient) {
+      this.lighting.setAmbient(ambient.color, ambient.intensity, frames);
+    } else if (frames > 0) {
+      this.lighting.setAmbient('#000000', 0, frames);
+    }
+
+    if (room) this.scenes.setBackground(this._getRoomBackgroundKey(room), frames);
+  }
+
+  /**
+   * Asset key of the room's background for the current time of day, generating
+   * the period's palette variant on first use. Null means the default background.
+   */
+  _getRoomBackgroundKey(room) {
+    if (!room.background?.periods?.[this.timeOfDay]) return null;
+    const key = `room_${room.id}@${this.timeOfDay}`;
+    if (!this.assets.get(key)) {
+      const canvas = ProceduralAssets.generateTemplateBackground(room, this.timeOfDay);
+      if (!canvas) return null;
+      this.assets.cache.set(key, canvas);
+    }
+    return key;
   }
 
   /**
@@ -208,6 +353,7 @@ class GameEngine {
     this._frameCount++;
     this.input.update();
     this.update();
+    this._updateAccessibility();
     this.render();
   }
 
@@ -215,6 +361,9 @@ class GameEngine {
    * Update all game systems.
    */
   update() {
+    // Keys and gamepad buttons become cursor moves and clicks first
+    this._updateControls();
+
     // Lazy-init audio on first click (browser autoplay policy)
     if (this.input.clicked && !this.audio.initialized) {
       this.audio.init();
@@ -222,16 +371,43 @@ class GameEngine {
       this._playRoomMusic(this.scenes.currentRoomId);
     }
 
-    // Escape key: toggle pause menu or cancel dialogue
+    // Touch has no Escape key: the on-screen pause button opens and closes the
+    // menu whenever Escape would
+    const pb = this._touchPauseButton;
+    if (this._isTouchPauseButtonShown() && this.input.isClickInRect(pb.x, pb.y, pb.width, pb.height)) {
+      this.input.clicked = false;
+      if (this._pauseMenuOpen) this._pauseMenuOpen = false;
+      else this._openPauseMenu();
+      return;
+    }
+
+    // Hotspot hints and the default-verb highlight are only shown while the player is free to act
+    this._hoverArea = null;
+    this._revealingHotspots = false;
+    this.verbs.highlightedVerb = null;
+
+    // Escape key: toggle pause menu, cancel dialogue or skip a cutscene
     if (this.input.escapePressed) {
-      if (this._pauseMenuOpen) {
+      if (this._pauseMenuOpen && this._pauseMenuScreen !== 'main') {
+        this._pauseMenuScreen = 'main';
+        return;
+      } else if (this._pauseMenuOpen) {
         this._pauseMenuOpen = false;
         return;
       } else if (this.dialogue.active) {
         this.dialogue.end();
         return;
+      } else if (this.examine.active) {
+        this.examine.close();
+        return;
+      } else if (this.radialMenu.active) {
+        this.radialMenu.close();
+        return;
+      } else if (this.scripts.isBlocking()) {
+        this._skipCutscene();
+        return;
       } else {
-        this._pauseMenuOpen = true;
+        this._openPauseMenu();
         return;
       }
     }
@@ -244,8 +420,15 @@ class GameEngine {
       return;
     }
 
-    // Clear barks during dialogue/scripts so they don't freeze on screen
-    if (this.dialogue.active || this.scripts.isRunning()) {
+    this._playtimeFrames++;
+
+    // Ease lighting and background toward the current time of day
+    this.lighting.update();
+    this.scenes.updateBackgroundFade();
+    this._updateBabble();
+
+    // Clear barks during dialogue/cutscenes so they don't freeze on screen
+    if (this.dialogue.active || this.scripts.isBlocking()) {
       this._barkTimer = 0;
       this._barkNpc = null;
     }
@@ -253,50 +436,68 @@ class GameEngine {
     // Don't process game input during dialogues or scripts
     if (this.dialogue.active) {
       this.dialogue.update(this.input, this.renderer);
+      this._wasBusy = true;
       return;
     }
 
-    if (this.scripts.isRunning()) {
-      this.scripts.update(this._getScriptHandlers());
+    // Right-click skips the running cutscene
+    if (this.input.rightClicked && this.scripts.isBlocking()) {
+      this._skipCutscene();
       return;
     }
 
-    if (this.showingEnding) {
-      this.endingTimer++;
+    // Tick every script thread; only cutscene threads block input
+    this.scripts.update(this._getScriptHandlers());
+    if (this.scripts.isBlocking()) {
+      this._updateActors();
+      this._updateSpeech();
+      this._wasBusy = true;
       return;
     }
 
-    // Update walking
-    this.walking.update();
+    // Flags and variables may have changed: re-check NPC schedules
+    if (this._wasBusy) {
+      this._wasBusy = false;
+      this._refreshRoomNpcs(true);
+    }
 
-    // Footstep SFX while walking
-    if (this.walking.walking) {
-      this._footstepTimer++;
-      if (this._footstepTimer >= this._footstepInterval) {
-        this._footstepTimer = 0;
-        this.audio.playSfx('footstep');
-      }
-    } else {
-      this._footstepTimer = 0;
+    if (this.showingEnding) {
+      this.endingTimer++;
+      return;
     }
 
+    this._updateActors();
+    const lineDismissed = this._updateSpeech();
+    this._updateNpcRoutes();
+
     // Time of day cycling
     this._timeOfDayTimer++;
     if (this._timeOfDayTimer >= this._timeOfDayInterval) {
       this._timeOfDayTimer = 0;
       this._timeOfDayIndex = (this._timeOfDayIndex + 1) % this._timeOfDayPeriods.length;
       this.timeOfDay = this._timeOfDayPeriods[this._timeOfDayIndex];
+      this._refreshRoomNpcs(true); // NPC schedules follow the period
+      this._configureLighting(this._lightingTransitionFrames);
     }
 
     // Ambient bark system
     this._updateBarks();
 
-    // Message timer
-    if (this.messageTimer > 0) {
-      this.messageTimer--;
-      if (this.messageTimer <= 0) this.messageText = '';
+    // The examine view takes all input while it's open
+    if (this.examine.active) {
+      this._updateExamine(lineDismissed);
+      return;
+    }
+
+    // So does the radial verb menu
+    if (this.radialMenu.active) {
+      this._updateRadialMenu(lineDismissed);
+      return;
     }
 
+    // Movement keys / D-pad walk the player
+    this._updateKeyboardWalk();
+
     // Find what's under the cursor
     const hoveredHotspot = this._getHoveredHotspot();
     const hoveredExit = this._getHoveredExit();
@@ -308,6 +509,48 @@ class GameEngine {
     // Build action text
     this.verbs.buildActionText(hoveredName);
 
+    // Highlight what's under the cursor; the reveal key (or gamepad X) shows everything
+    if (this._hotspotHints) {
+      this._hoverArea = hoveredNpc ? this._getNpcBounds(hoveredNpc) : hoveredHotspot || hoveredExit || null;
+      this._revealingHotspots = this._isActionHeld('reveal') || this.input.gamepad.held.has('x');
+    }
+
+    // SCUMM-style: light up the hovered object's default verb; right-click runs it
+    const defaultTarget = hoveredNpc ? { kind: 'npc', target: hoveredNpc }
+      : hoveredHotspot ? { kind: 'hotspot', target: hoveredHotspot }
+      : hoveredExit ? { kind: 'exit', target: hoveredExit }
+      : hoveredInvItem ? { kind: 'item', target: hoveredInvItem }
+      : null;
+    if (defaultTarget && !this.verbs.selectedItem) {
+      this.verbs.highlightedVerb = this._getDefaultVerb(defaultTarget.kind, defaultTarget.target);
+    }
+
+    // The click only dismissed a spoken line
+    if (lineDismissed) return;
+
+    if (this.input.rightClicked && defaultTarget) {
+      this._runDefaultVerb(defaultTarget.kind, defaultTarget.target);
+      return;
+    }
+
+    // Touch: a long press on an object opens the radial verb menu
+    if (this.input.longPressed && defaultTarget) {
+      this._touchPreview = null;
+      const defaultVerb = this._getDefaultVerb(defaultTarget.kind, defaultTarget.target);
+      this.radialMenu.open(this.input.longPressX, this.input.longPressY,
+        this.verbs.verbs, hoveredName, defaultVerb, defaultTarget);
+      return;
+    }
+
+    // Touch: the first tap on an object only names it (the cursor moved there,
+    // so it reads as hovered); tapping it again acts on it
+    if (this.input.touchMode && this.input.clicked) {
+      const tapped = defaultTarget?.target || null;
+      const isPreview = tapped !== null && tapped !== this._touchPreview;
+      this._touchPreview = isPreview ? tapped : null;
+      if (isPreview) return;
+    }
+
     // Handle verb bar clicks
     if (this.verbs.update(this.input)) {
       // Verb was selected, clear item selection
@@ -319,13 +562,7 @@ class GameEngine {
     // Handle inventory clicks
     const clickedItem = this.inventory.update(this.input, this.assets);
     if (clickedItem) {
-      // If "Use" is selected, set this as the subject
-      if (this.verbs.selectedVerb === 'Use' || this.verbs.selectedVerb === 'Give') {
-        this.verbs.selectedItem = clickedItem;
-      } else if (this.verbs.selectedVerb === 'Look at') {
-        const itemDef = this.content.getItem(clickedItem.id);
-        if (itemDef) this.showMessage(itemDef.description);
-      }
+      this._handleInventoryInteraction(clickedItem);
       return;
     }
 
@@ -367,6 +604,254 @@ class GameEngine {
 
   }
 
+  /**
+   * Handle clicking on an inventory item with the selected verb.
+   */
+  _handleInventoryInteraction(clickedItem) {
+    const heldItem = this.verbs.selectedItem;
+    if (this.verbs.selectedVerb === 'Use' && heldItem && heldItem.id !== clickedItem.id) {
+      // "Use rope with bucket": combine the held item with this one
+      this._handleItemCombine(heldItem, clickedItem);
+    } else if (this.verbs.selectedVerb === 'Use' || this.verbs.selectedVerb === 'Give') {
+      // If "Use" is selected, set this as the subject
+      this.verbs.selectedItem = clickedItem;
+    } else if (this.verbs.selectedVerb === 'Look at') {
+      const itemDef = this.content.getItem(clickedItem.id);
+      if (itemDef) this.examine.open(itemDef, this._getConditionState());
+    }
+  }
+
+  /**
+   * Verb bar label of an object's default verb (see ContentRegistry.getDefaultVerb).
+   * NPCs and items carry `defaultVerb` on their definitions; hotspots and exits on themselves.
+   * @param {'hotspot'|'exit'|'npc'|'item'} kind
+   * @returns {string|null}
+   */
+  _getDefaultVerb(kind, target) {
+    const def = kind === 'npc' ? this.content.getNpc(target.id)
+      : kind === 'item' ? this.content.getItem(target.id)
+      : target;
+    return this.verbs.labelFor(this.content.getDefaultVerb(kind, def));
+  }
+
+  /**
+   * Right-click: select the object's default verb and use it on the object.
+   */
+  _runDefaultVerb(kind, target) {
+    const verb = this._getDefaultVerb(kind, target);
+    if (verb) this._runVerb(verb, kind, target);
+  }
+
+  /**
+   * Select a verb and use it on an object, as if the player had picked the
+   * verb and then left-clicked the object.
+   * @param {string} verb - Verb bar label
+   * @param {'hotspot'|'exit'|'npc'|'item'} kind
+   */
+  _runVerb(verb, kind, target) {
+    this.verbs.selectedVerb = verb;
+    this.verbs.selectedItem = null;
+    this.inventory.selectedItem = null;
+
+    if (kind === 'npc') this._handleNpcInteraction(target);
+    else if (kind === 'hotspot') this._handleHotspotInteraction(target);
+    else if (kind === 'exit') this._handleExitInteraction(target);
+    else {
+      this.inventory.selectedItem = target;
+      this._handleInventoryInteraction(target);
+    }
+  }
+
+  /**
+   * Keyboard and gamepad controls. Bound keys and gamepad buttons are turned
+   * into the cursor moves and clicks the mouse would make, so the rest of
+   * update() treats every device alike. Walking waits for _updateKeyboardWalk,
+   * once the player is known to be free to act.
+   */
+  _updateControls() {
+    const input = this.input;
+
+    for (const { key, shift } of input.keysPressed) {
+      // The controls screen is waiting for a key: it becomes the binding
+      if (this._rebinding) {
+        if (key !== 'Escape') {
+          this.keyBindings.set(this._rebinding.action, this._rebinding.slot, key === 'Delete' ? null : key);
+        }
+        this._rebinding = null;
+        input.escapePressed = false; // Escape only cancels the rebind
+        continue;
+      }
+
+      // Number keys pick dialogue choices
+      if (this.dialogue.active && /^[1-9]$/.test(key)) {
+        this.dialogue.selectChoice(Number(key) - 1);
+        continue;
+      }
+
+      const action = this.keyBindings.actionFor(key);
+      if (action === 'interact') {
+        input.injectClick();
+      } else if (action === 'default_verb') {
+        input.injectRightClick();
+      } else if (action === 'next_target') {
+        this._cycleFocus(shift ? -1 : 1);
+      } else if (action?.startsWith('verb_') && this._isFreeToAct()) {
+        this.verbs.selectedVerb = this.verbs.labelFor(action.slice('verb_'.length));
+        this.verbs.selectedItem = null;
+        this.inventory.selectedItem = null;
+        this.audio.playSfx('ui_click');
+        this._focusAnnouncement = this.verbs.selectedVerb;
+      }
+    }
+
+    this._updateGamepad();
+  }
+
+  /**
+   * Gamepad: the left stick steers a virtual cursor that settles on the
+   * nearest focus target when released. A clicks, B runs the default verb,
+   * LB/RB step through targets and Start pauses; the D-pad walks and X
+   * reveals hotspots (see update()).
+   */
+  _updateGamepad() {
+    const input = this.input;
+    const pad = input.gamepad;
+    if (!pad.connected) return;
+
+    if (pad.stickX || pad.stickY) {
+      const speed = this._gamepadCursorSpeed;
+      input.moveCursor(input.mouseX + pad.stickX * speed, input.mouseY + pad.stickY * speed);
+      this._gamepadSteering = true;
+    } else if (this._gamepadSteering) {
+      this._gamepadSteering = false;
+      this._snapCursor();
+    }
+
+    if (pad.pressed.has('a')) input.injectClick();
+    if (pad.pressed.has('b')) input.injectRightClick();
+    if (pad.pressed.has('rb')) this._cycleFocus(1);
+    if (pad.pressed.has('lb')) this._cycleFocus(-1);
+    if (pad.pressed.has('start')) input.escapePressed = true;
+  }
+
+  /**
+   * Walk the player while a movement key or D-pad direction is held, aiming
+   * a few pixels ahead at the nearest walkable point so walls are slid along.
+   */
+  _updateKeyboardWalk() {
+    const held = (action, button) => this._isActionHeld(action) || this.input.gamepad.held.has(button);
+    const dx = held('move_right', 'right') - held('move_left', 'left');
+    const dy = held('move_down', 'down') - held('move_up', 'up');
+
+    if (!dx && !dy) {
+      if (this._keyWalking) {
+        this._keyWalking = false;
+        this.walking.stop();
+      }
+      return;
+    }
+
+    const step = this._keyWalkStep / Math.hypot(dx, dy);
+    const target = this.scenes.getClosestWalkable(this.walking.x + dx * step, this.walking.y + dy * step);
+    this.walking.walkTo(target.x, target.y, null, true);
+    this._keyWalking = true;
+  }
+
+  /**
+   * Whether any key bound to an action is held.
+   */
+  _isActionHeld(action) {
+    return this.keyBindings.keysFor(action).some(key => this.input.isKeyHeld(key));
+  }
+
+  /**
+   * The player can act: no menu, conversation, cutscene, close-up or ending in the way.
+   */
+  _isFreeToAct() {
+    return !this._pauseMenuOpen && !this.dialogue.active && !this.examine.active &&
+      !this.radialMenu.active && !this.scripts.isBlocking() && !this.showingEnding;
+  }
+
+  /**
+   * Points the next-target key steps through and the gamepad cursor snaps
+   * to: whatever can be clicked right now, named for screen readers. Room
+   * objects go left to right, then the inventory.
+   * @returns {{ x: number, y: number, name: string }[]}
+   */
+  _getFocusTargets() {
+    const at = (point, name) => ({ ...point, name: name || '' });
+    const centre = (r, name) => at(this._getRectCentre(r), name);
+    if (this._pauseMenuOpen) return this._getPauseMenuRects().map(r => centre(r, r.name));
+    if (this.dialogue.active) return this.dialogue.getChoiceRects(this.renderer).map(r => centre(r, r.text));
+    if (this.examine.active) return this.examine.getHotspotRects().map(r => centre(r, r.name));
+    if (this.radialMenu.active) return this.radialMenu.getVerbRects().map(r => centre(r, r.verb));
+    if (this.scripts.isBlocking() || this.showingEnding) return [];
+
+    const room = this.scenes.getRoom();
+    const objects = [
+      ...this._currentRoomNpcs.map(npc => centre(this._getNpcBounds(npc), npc.name)),
+      ...(room?.hotspots || []).filter(hs => hs.visible !== false).map(hs => at(this._getAreaCentre(hs), hs.name)),
+      ...(room?.exits || []).map(exit => at(this._getAreaCentre(exit), exit.name)),
+    ].sort((a, b) => a.x - b.x || a.y - b.y);
+    return [...objects, ...this.inventory.getSlotRects().map(r => centre(r, r.item.name))];
+  }
+
+  /**
+   * Move the cursor to the next (or previous) focus target, carrying on
+   * from the one it rests on.
+   * @param {1|-1} step
+   */
+  _cycleFocus(step) {
+    const targets = this._getFocusTargets();
+    if (targets.length === 0) return;
+    const current = targets.findIndex(t => t.x === this.input.mouseX && t.y === this.input.mouseY);
+    const next = current < 0
+      ? (step > 0 ? 0 : targets.length - 1)
+      : (current + step + targets.length) % targets.length;
+    this.input.moveCursor(targets[next].x, targets[next].y);
+    this._focusAnnouncement = targets[next].name;
+  }
+
+  /**
+   * Settle the gamepad cursor on the nearest focus target (or verb button) in reach.
+   */
+  _snapCursor() {
+    const targets = this._getFocusTargets();
+    if (this._isFreeToAct()) {
+      targets.push(...this.verbs.getVerbRects().map(r => ({ ...this._getRectCentre(r), name: r.verb })));
+    }
+
+    let best = null;
+    let bestDist = this._gamepadSnapRadius;
+    for (const t of targets) {
+      const dist = Math.hypot(t.x - this.input.mouseX, t.y - this.input.mouseY);
+      if (dist <= bestDist) {
+        best = t;
+        bestDist = dist;
+      }
+    }
+    if (best) {
+      this.input.moveCursor(best.x, best.y);
+      this._focusAnnouncement = best.name;
+    }
+  }
+
+  _getRectCentre(r) {
+    return { x: Math.round(r.x + r.width / 2), y: Math.round(r.y + r.height / 2) };
+  }
+
+  /**
+   * Centre of a hotspot or exit: the average of a polygon's vertices, else its rect's centre.
+   */
+  _getAreaCentre(area) {
+    if (!area.polygon) return this._getRectCentre(area);
+    const n = area.polygon.length;
+    return {
+      x: Math.round(area.polygon.reduce((sum, p) => sum + p.x, 0) / n),
+      y: Math.round(area.polygon.reduce((sum, p) => sum + p.y, 0) / n),
+    };
+  }
+
   /**
    * Get walk-to position for an object (hotspot or NPC).
    */
@@ -391,7 +876,7 @@ class GameEngine {
     this.walking.walkTo(walkX, walkY, () => {
       // 1. Check puzzles first (item + target)
       if (item) {
-        const result = this.puzzles.tryResolveWithItem(verbId, item.id, hotspot.id, this.flags, this.inventory);
+        const result = this.puzzles.tryResolveWithItem(verbId, item.id, hotspot.id, this._getConditionState());
         if (result) {
           if (result.failText) {
             this.showMessage(result.failText);
@@ -427,7 +912,7 @@ class GameEngine {
       }
 
       // 2. Verb + target puzzle (e.g., 'pick_up:rope_on_stall')
-      const result = this.puzzles.tryResolve(verbId, hotspot.id, this.flags, this.inventory);
+      const result = this.puzzles.tryResolve(verbId, hotspot.id, this._getConditionState());
       if (result) {
         if (result.failText) {
           this.showMessage(result.failText);
@@ -452,6 +937,80 @@ class GameEngine {
     });
   }
 
+  /**
+   * Examine view input: hover text for close-up hotspots, clicks on them,
+   * and closing the view.
+   * @param {boolean} lineDismissed - This frame's click already dismissed a spoken line
+   */
+  _updateExamine(lineDismissed) {
+    const hovered = this.examine.getHoveredHotspot(this.input);
+    this.verbs.buildActionText(hovered?.name || this.examine.item.name);
+    if (lineDismissed) return;
+
+    this.examine.setState(this._getConditionState());
+    const result = this.examine.update(this.input);
+    if (result?.hotspot) this._handleCloseupHotspot(result.hotspot);
+  }
+
+  /**
+   * Radial verb menu input: a picked verb is used on the long-pressed object.
+   * @param {boolean} lineDismissed - This frame's tap already dismissed a spoken line
+   */
+  _updateRadialMenu(lineDismissed) {
+    if (lineDismissed) return;
+    const result = this.radialMenu.update(this.input);
+    if (result?.verb) this._runVerb(result.verb, result.target.kind, result.target.target);
+  }
+
+  /**
+   * Look at a hotspot inside an item close-up. Puzzles trigger on it like
+   * a room hotspot (`{ verb: look_at, target: <hotspot id> }`); otherwise
+   * its `lookAt` text is shown.
+   */
+  _handleCloseupHotspot(hotspot) {
+    const verbId = 'look_at';
+    const result = this.puzzles.tryResolve(verbId, hotspot.id, this._getConditionState());
+    if (result) {
+      if (result.failText) {
+        this.showMessage(result.failText);
+      } else if (result.actions) {
+        this.scripts.run(this.puzzles.toScriptActions(result.actions));
+      }
+      return;
+    }
+    this.showMessage(hotspot.lookAt || this._getDefaultResponse(verbId));
+  }
+
+  /**
+   * Use one inventory item on another. Combine puzzles match in either
+   * order; otherwise the held item's `useOn` entry for the other item,
+   * then its `useDefault`, answers.
+   */
+  _handleItemCombine(item, otherItem) {
+    const verbId = 'use';
+    const clearSelection = () => {
+      this.verbs.selectedItem = null;
+      this.inventory.selectedItem = null;
+    };
+
+    const result = this.puzzles.tryResolveCombine(verbId, item.id, otherItem.id, this._getConditionState());
+    if (result) {
+      if (result.failText) {
+        this.showMessage(result.failText);
+      } else if (result.actions) {
+        this.scripts.run(this.puzzles.toScriptActions(result.actions), clearSelection);
+      }
+      return;
+    }
+
+    const itemDef = this.content.getItem(item.id);
+    const useOnResult = itemDef?.useOn?.[otherItem.id];
+    this.showMessage(typeof useOnResult === 'string' && useOnResult !== 'puzzle'
+      ? useOnResult
+      : itemDef?.useDefault || this._getDefaultResponse(verbId));
+    clearSelection();
+  }
+
   /**
    * Handle clicking on an NPC.
    */
@@ -460,13 +1019,17 @@ class GameEngine {
     const verbId = verb.replace(/\s+/g, '_');
     const item = this.verbs.selectedItem;
 
+    // A patrolling NPC waits for the player to reach it
+    this._stopNpcRoute(npc);
+    this._routeHoldNpc = npc;
+
     const { x: walkX, y: walkY } = this._getWalkTarget(npc);
 
     this.walking.walkTo(walkX, walkY, () => {
       // Use item on NPC
       if (item && (verbId === 'use' || verbId === 'give')) {
         // Check puzzle first
-        const puzzleResult = this.puzzles.tryResolveWithItem(verbId, item.id, npc.id, this.flags, this.inventory);
+        const puzzleResult = this.puzzles.tryResolveWithItem(verbId, item.id, npc.id, this._getConditionState());
         if (puzzleResult) {
           if (puzzleResult.failText) {
             this.showMessage(puzzleResult.failText);
@@ -532,19 +1095,102 @@ class GameEngine {
     const walkX = exit.walkTo?.x || (exit.x + exit.width / 2);
     const walkY = exit.walkTo?.y || Math.min(exit.y + exit.height, 135);
 
-    this.walking.walkTo(walkX, walkY, async () => {
+    this.walking.walkTo(walkX, walkY, () => {
       this.audio.playSfx('door');
-      await this.renderer.fadeOut();
-      this.scenes.loadRoom(exit.target);
-      this.walking.setPosition(exit.spawnX, exit.spawnY);
-      this.verbs.selectedItem = null;
-      this._refreshRoomNpcs();
-      this._configureLighting();
-      this._playRoomMusic(exit.target);
-      await this.renderer.fadeIn();
+      this.scripts.run(this._getRoomTransitionActions(exit.target, exit.spawnX, exit.spawnY));
     });
   }
 
+  /**
+   * Script actions that leave the current room: its onExit event, then the transition
+   * (which queues the new room's enter events once it has faded in).
+   */
+  _getRoomTransitionActions(roomId, x, y) {
+    return [
+      ...this._getRoomEventActions(this.scenes.currentRoomId, 'onExit'),
+      { type: 'room_transition', room: roomId, x, y },
+    ];
+  }
+
+  /**
+   * Script actions for entering a room: onFirstEnter (first visit only), then onEnter.
+   */
+  _getRoomEnterActions(roomId) {
+    const first = this.roomVisits[roomId] === 1 ? this._getRoomEventActions(roomId, 'onFirstEnter') : [];
+    return [...first, ...this._getRoomEventActions(roomId, 'onEnter')];
+  }
+
+  /**
+   * Run a room's enter events (used for the start room, which has no transition).
+   */
+  _runRoomEnterEvents(roomId) {
+    const actions = this._getRoomEnterActions(roomId);
+    if (actions.length > 0) this.scripts.run(actions);
+  }
+
+  /**
+   * Get the script actions for a room event, or [] if it is missing or its
+   * conditions fail. An event is an action list or `{ conditions, actions }`.
+   */
+  _getRoomEventActions(roomId, event) {
+    const def = this.content.getRoom(roomId)?.[event];
+    if (!def) return [];
+    const { conditions, actions } = Array.isArray(def) ? { actions: def } : def;
+    if (!actions || !Conditions.evaluate(conditions, this._getConditionState())) return [];
+    return this.puzzles.toScriptActions(actions);
+  }
+
+  /**
+   * Fade out, move the player into another room and fade back in.
+   * @returns {Promise<boolean>} Resolves once the new room has faded in;
+   *   false if the transition was abandoned part-way
+   */
+  async _changeRoom(roomId, x, y) {
+    const token = ++this._roomChangeToken;
+    await this.renderer.fadeOut();
+    if (token !== this._roomChangeToken) return false;
+    this._enterRoom(roomId, x, y);
+    await this.renderer.fadeIn();
+    return token === this._roomChangeToken;
+  }
+
+  /**
+   * Move the player into a room immediately (no fades).
+   */
+  _enterRoom(roomId, x, y) {
+    this.scripts.killLooping(); // ambient threads belong to the room being left
+    this.scenes.loadRoom(roomId);
+    this.walking.setPosition(x, y);
+    this._recordRoomVisit(roomId);
+    this.verbs.selectedItem = null;
+    this._clearNpcSpeech();
+    this._refreshRoomNpcs();
+    this._placeFollowers(); // companions come through the exit right behind
+    this._configureLighting();
+    this._playRoomMusic(roomId);
+  }
+
+  /**
+   * Snapshot of game state for puzzle, dialogue and override conditions.
+   */
+  _getConditionState() {
+    return {
+      flags: this.flags,
+      vars: this.vars,
+      inventory: this.inventory,
+      roomVisits: this.roomVisits,
+      currentRoom: this.scenes.currentRoomId,
+      timeOfDay: this.timeOfDay,
+    };
+  }
+
+  /**
+   * Count an entry into a room (for `visited` conditions).
+   */
+  _recordRoomVisit(roomId) {
+    this.roomVisits[roomId] = (this.roomVisits[roomId] || 0) + 1;
+  }
+
   /**
    * Start a dialogue with an NPC.
    */
@@ -555,21 +1201,31 @@ class GameEngine {
       return;
     }
 
+    // Moving NPCs stop and turn to the player while they talk
+    if (this.characters.hasRoute(npc)) {
+      this._stopNpcRoute(npc);
+      npc.walker.direction = this.walking.x < npc.walker.x ? 'left' : 'right';
+      npc.facing = npc.walker.direction;
+    }
+
     // Get the appropriate dialogue tree (with overrides)
-    const tree = this.content.getDialogueForNpc(npcDef, this.flags, this.inventory);
+    const tree = this.content.getDialogueForNpc(npcDef, this._getConditionState());
     if (!tree) {
       this.showMessage(`${npc.name} doesn't seem to want to talk right now.`);
       return;
     }
 
+    this._dialogueNpc = npc;
+    // The typewriter speeds up or slows down with the speaker's talking speed
+    this.dialogue.textSpeed = DialogueSystem.TEXT_SPEED * this.characters.getNpcVoice(npc.id).speed;
+
     // Check for idle lines first (exhausted NPC)
     if (this.dialogue.tryIdleLine(npc.name, npc.id, tree)) {
       return;
     }
 
     // Start the dialogue tree with game state for condition checking
-    this.audio.playSfx('talk');
-    const gameState = { flags: this.flags, inventory: this.inventory };
+    const gameState = this._getConditionState();
     this.dialogue.start(npc.name, tree, (action) => {
       this._handleDialogueAction(action);
     }, () => {
@@ -579,7 +1235,8 @@ class GameEngine {
 
   /**
    * Handle actions triggered by dialogue nodes.
-   * Supports DSL format: { setFlag: 'x' }, { addItem: 'y' }, { removeItem: 'z' }
+   * Supports DSL format: { setFlag: 'x' }, { addItem: 'y' }, { removeItem: 'z' },
+   * { setVar: { var, value } }, { incVar: 'n' }, { decVar: 'n' }, { follow: 'npc' }, { unfollow: 'npc' }
    * as well as legacy format: { type: 'set_flag', flag: 'x' }
    */
   _handleDialogueAction(action) {
@@ -590,16 +1247,21 @@ class GameEngine {
       this.flags[action.setFlag] = true;
       return;
     }
+    if (Variables.applyAction(this.vars, action)) {
+      return;
+    }
     if (action.addItem) {
-      const itemDef = this.content.getItem(action.addItem);
-      if (itemDef) {
-        this.inventory.addItem({ id: itemDef.id, name: itemDef.name });
-        this.audio.playSfx('pickup');
-      }
+      const { id, count } = Conditions.parseItem(action.addItem);
+      if (this._addItem(id, count)) this.audio.playSfx('pickup');
       return;
     }
     if (action.removeItem) {
-      this.inventory.removeItem(action.removeItem);
+      const { id, count } = Conditions.parseItem(action.removeItem);
+      this.inventory.removeItem(id, count);
+      return;
+    }
+    if (action.follow || action.unfollow) {
+      this._setFollowing(action.follow || action.unfollow, !!action.follow);
       return;
     }
 
@@ -612,21 +1274,11 @@ class GameEngine {
         if (action.give && this.inventory.hasItem(action.give)) {
           this.inventory.removeItem(action.give);
         }
-        if (action.receive) {
-          const itemDef = this.content.getItem(action.receive);
-          if (itemDef) {
-            this.inventory.addItem({ id: itemDef.id, name: itemDef.name });
-          }
-        }
+        if (action.receive) this._addItem(action.receive);
         break;
-      case 'add_item': {
-        const itemDef = this.content.getItem(action.item);
-        if (itemDef) {
-          this.inventory.addItem({ id: itemDef.id, name: itemDef.name });
-          this.audio.playSfx('pickup');
-        }
+      case 'add_item':
+        if (this._addItem(action.item)) this.audio.playSfx('pickup');
         break;
-      }
       case 'check_item':
         if (!this.inventory.hasItem(action.item)) {
           this.dialogue.goToNode('coin_hint');
@@ -635,28 +1287,46 @@ class GameEngine {
     }
   }
 
+  /**
+   * Add an item to the inventory by ID (several, if it's stackable).
+   * @returns {boolean} False if no such item is defined
+   */
+  _addItem(itemId, count = 1) {
+    const itemDef = this.content.getItem(itemId);
+    if (!itemDef) return false;
+    this.inventory.addItem({ id: itemDef.id, name: itemDef.name, stackable: !!itemDef.stackable }, count);
+    return true;
+  }
+
   /**
    * Get script action handlers.
    */
   _getScriptHandlers() {
     return {
       say: (action) => {
-        this.showMessage(action.text, 120);
-        this.audio.playSfx('talk');
+        this._startBabble(this.characters.getProtagonistVoice(), action.text, 'message');
+        if (this._speechStyle !== 'overhead') {
+          this.showMessage(action.text, 120);
+          return;
+        }
+        // Overhead lines hold the script until read or clicked away
+        return new Promise(resolve => this.showMessage(action.text, undefined, resolve));
       },
       add_item: (action) => {
-        const itemDef = this.content.getItem(action.item);
-        if (itemDef) {
-          this.inventory.addItem({ id: itemDef.id, name: itemDef.name });
-          this.audio.playSfx('pickup');
-        }
+        if (this._addItem(action.item, action.count)) this.audio.playSfx('pickup');
       },
       remove_item: (action) => {
-        this.inventory.removeItem(action.item);
+        this.inventory.removeItem(action.item, action.count);
       },
       set_flag: (action) => {
         this.flags[action.flag] = true;
       },
+      set_var: (action) => {
+        this.vars[action.var] = action.value;
+      },
+      inc_var: (action) => {
+        Variables.increment(this.vars, action.var, action.by);
+      },
       hide_hotspot: (action) => {
         const room = this.scenes.rooms[action.room];
         if (room && room.hotspots) {
@@ -668,11 +1338,396 @@ class GameEngine {
         this.showingEnding = true;
         this.endingTimer = 0;
       },
+      walk_to: (action) => {
+        if (action.actor === 'player') {
+          return new Promise(resolve => this.walking.walkTo(action.x, action.y, resolve));
+        }
+        const npc = this._findRoomNpc(action.actor);
+        if (!npc) return;
+        npc.scriptWalking = true;
+        return new Promise(resolve => this._getNpcWalker(npc).walkTo(action.x, action.y, () => {
+          npc.scriptWalking = false;
+          resolve();
+        }));
+      },
+      face: (action) => {
+        if (action.actor === 'player') {
+          this.walking.direction = action.direction;
+          return;
+        }
+        const npc = this._findRoomNpc(action.actor);
+        if (!npc) return;
+        npc.facing = action.direction;
+        if (npc.walker) npc.walker.direction = action.direction;
+      },
+      change_room: (action, thread) => {
+        this.scripts.insert(this._getRoomTransitionActions(action.room, action.x, action.y), thread);
+      },
+      room_transition: (action, thread) => this._changeRoom(action.room, action.x, action.y)
+        .then((entered) => {
+          if (entered) this.scripts.insert(this._getRoomEnterActions(action.room), thread);
+        }),
+      npc_say: (action) => {
+        const npc = this._findRoomNpc(action.npc);
+        if (!npc) return;
+        this._clearNpcSpeech();
+        this._startBabble(this.characters.getNpcVoice(npc.id), action.text, 'npc');
+        if (this._speechStyle !== 'overhead') {
+          this._npcSpeech = { npc, text: action.text, timer: 120 };
+          return;
+        }
+        const timer = DialogueSystem.getSpeechFrames(action.text);
+        return new Promise(resolve => {
+          this._npcSpeech = { npc, text: action.text, timer, onDone: resolve };
+        });
+      },
+      follow: (action) => this._setFollowing(action.npc, true),
+      unfollow: (action) => this._setFollowing(action.npc, false),
+      fade_out: () => this.renderer.fadeOut(),
+      fade_in: () => this.renderer.fadeIn(),
+      play_sfx: (action) => {
+        this.audio.playSfx(action.sound);
+      },
+      play_music: (action) => {
+        const track = action.track ? this.content.getMusicTrack(action.track) : null;
+        if (track) this.audio.playTrack(track);
+        else this.audio.stopTrack();
+      },
+      shake_screen: (action) => this.renderer.shake(action.frames, action.intensity),
     };
   }
 
   /**
-   * Get default response for a verb.
+   * Instant versions of script actions, used when a cutscene is skipped.
+   * They apply only the end state: no waits, messages, sounds or movement.
+   * @param {{ action: object|null }} music - Receives the last play_music skipped over
+   */
+  _getScriptSkipHandlers(music) {
+    const silent = () => {};
+    return {
+      say: silent,
+      npc_say: silent,
+      play_sfx: silent,
+      play_music: (action) => { music.action = action; },
+      shake_screen: silent,
+      fade_out: () => this.renderer.setFade(1),
+      fade_in: () => this.renderer.setFade(0),
+      walk_to: (action) => {
+        if (action.actor === 'player') {
+          if (action.x !== this.walking.x) this.walking.direction = action.x < this.walking.x ? 'left' : 'right';
+          this.walking.setPosition(action.x, action.y);
+          return;
+        }
+        const npc = this._findRoomNpc(action.actor);
+        if (!npc) return;
+        const walker = this._getNpcWalker(npc);
+        if (action.x !== walker.x) walker.direction = action.x < walker.x ? 'left' : 'right';
+        walker.setPosition(action.x, action.y);
+        npc.scriptWalking = false;
+      },
+      room_transition: (action, thread, inProgress) => {
+        this._roomChangeToken++; // abandon any fade still in flight
+        // A transition already past its fade-out has entered the room
+        if (!inProgress || this.scenes.currentRoomId !== action.room) {
+          this._enterRoom(action.room, action.x, action.y);
+        }
+        this.renderer.setFade(0);
+        music.action = null; // the new room's music has taken over
+        this.scripts.insert(this._getRoomEnterActions(action.room), thread);
+      },
+    };
+  }
+
+  /**
+   * Skip the running cutscene, applying every remaining state change at once.
+   */
+  _skipCutscene() {
+    const music = { action: null };
+    this.scripts.skip(this._getScriptSkipHandlers(music), this._getScriptHandlers());
+    // Start only the track the cutscene ends on, unless it is already playing
+    if (music.action && (music.action.track || null) !== this.audio._currentTrackId) {
+      this._getScriptHandlers().play_music(music.action);
+    }
+    this._updateActors(); // sync skipped NPC walkers to their final spots
+    this._clearMessage();
+    this._clearNpcSpeech();
+  }
+
+  /**
+   * Find an NPC in the current room by ID.
+   */
+  _findRoomNpc(npcId) {
+    return this._currentRoomNpcs.find(n => n.id === npcId) || null;
+  }
+
+  /**
+   * Get (or create) the WalkingSystem that moves an NPC for scripts.
+   */
+  _getNpcWalker(npc) {
+    if (!npc.walker) {
+      const walker = new WalkingSystem();
+      walker.pathfinder = this.walking.pathfinder;
+      walker.setPosition(npc.x, npc.y);
+      walker.direction = npc.facing;
+      npc.walker = walker;
+    }
+    return npc.walker;
+  }
+
+  /**
+   * Move the protagonist and any NPCs that have somewhere to go.
+   */
+  _updateActors() {
+    // Update walking (stride shrinks with depth scaling)
+    this.walking.speedScale = this.scenes.getScaleAt(this.walking.y);
+    this.walking.update();
+
+    // Footstep SFX while walking
+    if (this.walking.walking) {
+      this._footstepTimer++;
+      if (this._footstepTimer >= this._footstepInterval) {
+        this._footstepTimer = 0;
+        this.audio.playSfx('footstep');
+      }
+    } else {
+      this._footstepTimer = 0;
+    }
+
+    this._updateFollowers();
+
+    for (const npc of this._currentRoomNpcs) {
+      const walker = npc.walker;
+      if (!walker) continue;
+      walker.speedScale = this.scenes.getScaleAt(walker.y);
+      walker.update();
+      this._syncNpcToWalker(npc);
+    }
+  }
+
+  /**
+   * Copy an NPC walker's position onto the NPC, keeping its hit-box and
+   * walk-to point attached.
+   */
+  _syncNpcToWalker(npc) {
+    const walker = npc.walker;
+    const dx = walker.x - npc.x;
+    const dy = walker.y - npc.y;
+    npc.x = walker.x;
+    npc.y = walker.y;
+    npc.walkToX += dx;
+    npc.walkToY += dy;
+    npc.facing = walker.direction;
+    npc.frame = walker.walking ? walker.frame : 0;
+  }
+
+  /**
+   * Start or stop an NPC following the player. A new companion sets off
+   * from wherever it stands in the room; one that stops following goes back
+   * to its usual placements.
+   */
+  _setFollowing(npcId, following) {
+    if (following === this.followers.includes(npcId)) return;
+    if (following) {
+      const here = this._findRoomNpc(npcId);
+      const spot = this._getFollowSpot(this.followers.length);
+      const npc = this.characters.buildFollowerData(npcId, here ? here.x : spot.x, here ? here.y : spot.y);
+      if (!npc) return;
+      if (here?.walker) npc.walker = here.walker;
+      this.followers.push(npcId);
+      this._followerNpcs.set(npcId, npc);
+    } else {
+      this.followers = this.followers.filter(id => id !== npcId);
+      this._followerNpcs.delete(npcId);
+    }
+    this._refreshRoomNpcs(true);
+  }
+
+  /**
+   * NPC data for every companion, built on first use near the player.
+   */
+  _getFollowerNpcs() {
+    return this.followers.map((id, i) => {
+      if (!this._followerNpcs.has(id)) {
+        const spot = this._getFollowSpot(i);
+        const npc = this.characters.buildFollowerData(id, spot.x, spot.y);
+        if (npc) this._followerNpcs.set(id, npc);
+      }
+      return this._followerNpcs.get(id);
+    }).filter(Boolean);
+  }
+
+  /**
+   * Where the i-th companion stands: in a line behind the player.
+   */
+  _getFollowSpot(index) {
+    const behind = this.walking.direction === 'left' ? 1 : -1;
+    const x = this.walking.x + behind * this._followGap * (index + 1);
+    return this.scenes.getClosestWalkable(x, this.walking.y);
+  }
+
+  /**
+   * Put every companion straight into its spot behind the player.
+   */
+  _placeFollowers() {
+    this._getFollowerNpcs().forEach((npc, i) => {
+      const spot = this._getFollowSpot(i);
+      const walker = this._getNpcWalker(npc);
+      walker.setPosition(spot.x, spot.y);
+      walker.direction = this.walking.direction;
+      this._syncNpcToWalker(npc);
+    });
+  }
+
+  /**
+   * Trail companions after the player once they fall too far behind.
+   */
+  _updateFollowers() {
+    this._getFollowerNpcs().forEach((npc, i) => {
+      const walker = this._getNpcWalker(npc);
+      if (npc.scriptWalking) return;
+      const spot = this._getFollowSpot(i);
+      if (walker.walking) {
+        // Re-aim only when the player has moved well away from the old spot
+        if (Math.hypot(spot.x - walker.targetX, spot.y - walker.targetY) > this._followGap) {
+          walker.walkTo(spot.x, spot.y);
+        }
+      } else if (Math.hypot(this.walking.x - walker.x, this.walking.y - walker.y) > this._followGap * (i + 1) + 16) {
+        walker.walkTo(spot.x, spot.y);
+      }
+    });
+  }
+
+  /**
+   * Walk NPCs with a patrol or wander placement to their next stop,
+   * pausing at each one.
+   */
+  _updateNpcRoutes() {
+    for (const npc of this._currentRoomNpcs) {
+      if (!this.characters.hasRoute(npc)) continue;
+      if (npc === this._routeHoldNpc && this.walking.walking) continue;
+      const walker = this._getNpcWalker(npc);
+      if (walker.walking) continue;
+      if (npc.routeWait > 0) {
+        npc.routeWait--;
+        continue;
+      }
+
+      const stop = this.characters.getRouteStop(npc);
+      const arrived = () => {
+        npc.routeIndex++;
+        npc.routeWait = stop.pause;
+      };
+
+      // NPC positions share the player's convention (sprite top-left), which
+      // the walkable area is laid out in. An NPC placed off the area, like
+      // the hermit among the trees, keeps to its authored spots in straight
+      // lines; otherwise stops are pulled onto the area and legs route
+      // around obstacles.
+      const home = npc._placement.position;
+      if (!this.scenes.isWalkable(home.x, home.y)) {
+        walker.walkTo(stop.x, stop.y, arrived, true);
+        continue;
+      }
+      const spot = this.scenes.getClosestWalkable(stop.x, stop.y);
+      walker.walkTo(spot.x, spot.y, arrived);
+    }
+  }
+
+  /**
+   * Halt a patrolling NPC where it stands; it resumes its route after a pause.
+   */
+  _stopNpcRoute(npc) {
+    if (!this.characters.hasRoute(npc)) return;
+    const walker = this._getNpcWalker(npc);
+    if (walker.walking) walker.setPosition(walker.x, walker.y);
+    npc.frame = 0;
+    npc.routeWait = npc._placement.pause ?? 60;
+  }
+
+  /**
+   * Count down the player's message and the scripted NPC line. In the
+   * overhead speech style a click dismisses whatever is being said.
+   * @returns {boolean} True if this frame's click was used to dismiss a line
+   */
+  _updateSpeech() {
+    if (this._speechStyle === 'overhead' && this.input.clicked && (this.messageText || this._npcSpeech)) {
+      this._clearMessage();
+      this._clearNpcSpeech();
+      return true;
+    }
+    if (this.messageTimer > 0 && --this.messageTimer <= 0) this._clearMessage();
+    if (this._npcSpeech && --this._npcSpeech.timer <= 0) this._clearNpcSpeech();
+    return false;
+  }
+
+  /**
+   * Remove the player's message, releasing a script waiting on it.
+   */
+  _clearMessage() {
+    const onDone = this._messageDone;
+    this.messageText = '';
+    this.messageTimer = 0;
+    this._messageDone = null;
+    if (this._babble?.owner === 'message') this._babble = null;
+    if (onDone) onDone();
+  }
+
+  /**
+   * Remove the scripted NPC line, releasing a script waiting on it.
+   */
+  _clearNpcSpeech() {
+    const onDone = this._npcSpeech?.onDone;
+    this._npcSpeech = null;
+    if (this._babble?.owner === 'npc') this._babble = null;
+    if (onDone) onDone();
+  }
+
+  /**
+   * Start voicing a line that appears all at once (player message or
+   * scripted NPC line). It is "revealed" at the voice's speed so it
+   * babbles as long as a typewritten line would.
+   * @param {object} voice - See VoiceGenerator
+   * @param {string} text
+   * @param {'message'|'npc'} owner - Which line this is, so clearing it stops the babble
+   */
+  _startBabble(voice, text, owner) {
+    this._babble = { voice, owner, index: 0, length: text.length, syllables: -1 };
+  }
+
+  /**
+   * Play one syllable every few revealed characters. Dialogue lines follow
+   * the typewriter (and go quiet once it's clicked through); other lines
+   * advance on their own.
+   */
+  _updateBabble() {
+    const d = this.dialogue;
+    if (d.active && d.displayIndex < d.fullText.length) {
+      // A new line starts, or the typewriter restarted on the next node
+      if (this._babble?.owner !== 'dialogue' || d.displayIndex < this._babble.index) {
+        const voice = this._dialogueNpc
+          ? this.characters.getNpcVoice(this._dialogueNpc.id)
+          : this.characters.getProtagonistVoice();
+        this._babble = { voice, owner: 'dialogue', index: 0, length: d.fullText.length, syllables: -1 };
+      }
+      this._babble.index = d.displayIndex;
+    } else if (this._babble?.owner === 'dialogue') {
+      this._babble = null;
+    } else if (this._babble) {
+      this._babble.index += this._babble.voice.speed;
+      if (this._babble.index >= this._babble.length) this._babble = null;
+    }
+
+    const babble = this._babble;
+    if (!babble) return;
+    const syllables = Math.floor(babble.index / VoiceGenerator.CHARS_PER_SYLLABLE);
+    if (syllables > babble.syllables) {
+      babble.syllables = syllables;
+      this.audio.playVoice(babble.voice);
+    }
+  }
+
+  /**
+   * Get default response for a verb.
    */
   _getDefaultResponse(verbId) {
     return this.content.defaultResponses?.[verbId] || "I can't do that.";
@@ -687,7 +1742,7 @@ class GameEngine {
 
     for (const hs of room.hotspots) {
       if (hs.visible === false) continue;
-      if (this.input.isMouseInRect(hs.x, hs.y, hs.width, hs.height)) {
+      if (this._isPointInArea(this.input.mouseX, this.input.mouseY, hs)) {
         return hs;
       }
     }
@@ -702,7 +1757,7 @@ class GameEngine {
     if (!room || !room.exits) return null;
 
     for (const exit of room.exits) {
-      if (this.input.isMouseInRect(exit.x, exit.y, exit.width, exit.height)) {
+      if (this._isPointInArea(this.input.mouseX, this.input.mouseY, exit)) {
         return exit;
       }
     }
@@ -714,7 +1769,8 @@ class GameEngine {
    */
   _getHoveredNpc() {
     for (const npc of this._currentRoomNpcs) {
-      if (this.input.isMouseInRect(npc.x, npc.y, npc.width, npc.height)) {
+      const b = this._getNpcBounds(npc);
+      if (this.input.isMouseInRect(b.x, b.y, b.width, b.height)) {
         return npc;
       }
     }
@@ -729,7 +1785,7 @@ class GameEngine {
     if (!room || !room.hotspots) return null;
     for (const hs of room.hotspots) {
       if (hs.visible === false) continue;
-      if (this.input.isInRect(x, y, hs.x, hs.y, hs.width, hs.height)) {
+      if (this._isPointInArea(x, y, hs)) {
         return hs;
       }
     }
@@ -743,36 +1799,63 @@ class GameEngine {
     const room = this.scenes.getRoom();
     if (!room || !room.exits) return null;
     for (const exit of room.exits) {
-      if (this.input.isInRect(x, y, exit.x, exit.y, exit.width, exit.height)) {
+      if (this._isPointInArea(x, y, exit)) {
         return exit;
       }
     }
     return null;
   }
 
+  /**
+   * Whether a point is inside a hotspot or exit: its polygon if it has
+   * one, otherwise its rect.
+   */
+  _isPointInArea(x, y, area) {
+    if (area.polygon) return this.input.isPointInPolygon(x, y, area.polygon);
+    return this.input.isInRect(x, y, area.x, area.y, area.width, area.height);
+  }
+
   /**
    * Find an NPC at a specific point.
    */
   _findNpcAt(x, y) {
     for (const npc of this._currentRoomNpcs) {
-      if (this.input.isInRect(x, y, npc.x, npc.y, npc.width, npc.height)) {
+      const b = this._getNpcBounds(npc);
+      if (this.input.isInRect(x, y, b.x, b.y, b.width, b.height)) {
         return npc;
       }
     }
     return null;
   }
 
+  /**
+   * Get an NPC's clickable bounds, shrunk towards its feet by depth scaling.
+   */
+  _getNpcBounds(npc) {
+    const scale = this.scenes.getScaleAt(npc.y);
+    const width = npc.width * scale;
+    const height = npc.height * scale;
+    return {
+      x: npc.x + (npc.width - width) / 2,
+      y: npc.y + npc.height - height,
+      width,
+      height,
+    };
+  }
+
   /**
    * Display a message. Duration scales with text length.
+   * @param {string} text
+   * @param {number} [frames] - Override the duration
+   * @param {Function} [onDone] - Called when the message is cleared or replaced
    */
-  showMessage(text, frames) {
+  showMessage(text, frames, onDone) {
+    if (this._messageDone) this._clearMessage(); // release whoever waited on the old line
     this.messageText = text;
-    // Dynamic duration: ~60 frames per word, minimum 120, max 600
-    if (frames === undefined) {
-      const wordCount = text.split(/\s+/).length;
-      frames = Math.max(120, Math.min(600, wordCount * 60));
-    }
+    // Dynamic duration based on length
+    if (frames === undefined) frames = DialogueSystem.getSpeechFrames(text);
     this.messageTimer = frames;
+    this._messageDone = onDone || null;
   }
 
   /**
@@ -793,18 +1876,38 @@ class GameEngine {
     // Lighting overlay
     this.lighting.render(this.renderer, this._frameCount);
 
+    // Hover highlight and hotspot reveal (drawn over lighting so they show at night)
+    this._renderHotspotHints();
+
     // Render ambient NPC bark bubble
     if (this._barkTimer > 0 && this._barkNpc) {
       this._renderBark();
     }
 
+    // Scripted NPC line
+    if (this._npcSpeech) {
+      this._renderSpeechBubble(this._npcSpeech.npc, this._npcSpeech.text);
+    }
+
+    const overhead = this._speechStyle === 'overhead';
+
+    // Item close-up (messages stay readable on top)
+    this.examine.render(this.renderer, this.assets);
+    this.radialMenu.render(this.renderer, this.input);
+
     // Message text (above UI panel)
     if (this.messageText) {
       this._renderMessageBox();
     }
 
-    // Render dialogue overlay
-    this.dialogue.render(this.renderer, this.input);
+    // Render dialogue overlay (overhead: the line above the NPC; choices go over the UI panel)
+    if (overhead) {
+      if (this.dialogue.active && this._dialogueNpc && this.dialogue.displayText) {
+        this._renderSpeechBubble(this._dialogueNpc, this.dialogue.displayText);
+      }
+    } else {
+      this.dialogue.render(this.renderer, this.input);
+    }
 
     // UI Panel background
     renderer_drawUIPanel(this.renderer);
@@ -815,13 +1918,19 @@ class GameEngine {
     // Render inventory
     this.inventory.render(this.renderer, this.assets);
 
+    if (overhead) this.dialogue.render(this.renderer, this.input);
+
     // Pause menu overlay
     if (this._pauseMenuOpen) {
       this._renderPauseMenu();
     }
 
-    // Custom cursor
-    this._renderCursor();
+    // Touch: pause button in place of the Escape key, and no cursor under the finger
+    if (this.input.touchMode) {
+      if (this._isTouchPauseButtonShown()) this._renderTouchPauseButton();
+    } else {
+      this._renderCursor();
+    }
 
     // Ending screen
     if (this.showingEnding) {
@@ -831,6 +1940,80 @@ class GameEngine {
     this.renderer.end();
   }
 
+  /**
+   * Mirror the game into the screen-reader layer (see AccessibilitySystem).
+   */
+  _updateAccessibility() {
+    const room = this.scenes.getRoom();
+    const menuTitles = {
+      main: 'Paused', save: 'Save game', load: 'Load game', controls: 'Controls', accessibility: 'Accessibility',
+    };
+    const item = this.examine.item;
+    const choices = this._pauseMenuOpen ? [] : this.dialogue.getOfferedChoices().map(choice => choice.text);
+
+    this.accessibility.update({
+      room: room ? { id: this.scenes.currentRoomId, name: room.name, description: room.description } : null,
+      menu: this._pauseMenuOpen ? menuTitles[this._pauseMenuScreen] : '',
+      message: this.messageText,
+      speech: this._npcSpeech ? `${this._npcSpeech.npc.name}: ${this._npcSpeech.text}` : '',
+      dialogue: this.dialogue.active ? `${this.dialogue.npcName}: ${this.dialogue.fullText}` : '',
+      examine: item ? [item.name, item.closeup?.text || item.description].filter(Boolean).join('. ') : '',
+      focus: this._focusAnnouncement,
+      choices,
+      inventory: this.inventory.items.map(i => (i.count > 1 ? `${i.name} (${i.count})` : i.name)),
+      objects: [
+        ...this._currentRoomNpcs.map(npc => npc.name),
+        ...(room?.hotspots || []).filter(hs => hs.visible !== false).map(hs => hs.name),
+        ...(room?.exits || []).map(exit => `${exit.name} (exit)`),
+      ].filter(Boolean),
+    });
+    this._focusAnnouncement = '';
+
+    // Tab leaves the canvas for the choice buttons while there are any
+    this.input.passTab = choices.length > 0;
+  }
+
+  /**
+   * Outline the hovered object, or every visible hotspot, exit and NPC with
+   * its name while the reveal key is held.
+   */
+  _renderHotspotHints() {
+    if (this._revealingHotspots) {
+      const room = this.scenes.getRoom();
+      for (const hs of room?.hotspots || []) {
+        if (hs.visible !== false) this._renderHintLabel(hs, hs.name, '#ffdd57');
+      }
+      for (const exit of room?.exits || []) {
+        this._renderHintLabel(exit, exit.name, '#7ac8ff');
+      }
+      for (const npc of this._currentRoomNpcs) {
+        this._renderHintLabel(this._getNpcBounds(npc), npc.name, '#8fe07a');
+      }
+    } else if (this._hoverArea) {
+      this._drawAreaOutline(this._hoverArea, this.renderer.highContrast ? '#fff' : 'rgba(255, 255, 255, 0.35)');
+    }
+  }
+
+  _renderHintLabel(area, name, color) {
+    this._drawAreaOutline(area, color);
+    if (name) {
+      this.renderer.drawTextHiRes(name, area.x + area.width / 2, area.y + area.height / 2 - 3, {
+        align: 'center', color, size: 6
+      });
+    }
+  }
+
+  /**
+   * Outline a hotspot/exit (rect or polygon) or NPC bounds.
+   */
+  _drawAreaOutline(area, color) {
+    if (area.polygon) {
+      this.renderer.drawPolygonOutline(area.polygon, color);
+    } else {
+      this.renderer.drawRectOutline(area.x, area.y, area.width, area.height, color);
+    }
+  }
+
   /**
    * Z-sorted rendering of all scene entities: props, NPCs, protagonist.
    * Entities are sorted by their bottom Y coordinate (+ optional zOffset).
@@ -879,10 +2062,12 @@ class GameEngine {
         case 'prop':
           ProceduralAssets.drawProp(this.renderer, r.data.type, r.data.x, r.data.y, r.data.variant, this._frameCount);
           break;
-        case 'npc':
-          this.lighting.drawCharacterShadow(this.renderer, r.data.x + r.data.width / 2, r.data.y + r.data.height, r.data.width);
-          this.characters.drawNpc(this.renderer, r.data, 0, r.data.facing);
+        case 'npc': {
+          const npcScale = this.scenes.getScaleAt(r.data.y);
+          this.lighting.drawCharacterShadow(this.renderer, r.data.x + r.data.width / 2, r.data.y + r.data.height, r.data.width * npcScale);
+          this.characters.drawNpc(this.renderer, r.data, r.data.frame || 0, r.data.facing, npcScale);
           break;
+        }
         case 'protagonist': {
           let frame;
           if (this.walking.walking) {
@@ -892,13 +2077,15 @@ class GameEngine {
           } else {
             frame = 0;
           }
-          this.lighting.drawCharacterShadow(this.renderer, this.walking.x + 10, this.walking.y + protoHeight, 16);
+          const protoScale = this.scenes.getScaleAt(this.walking.y);
+          this.lighting.drawCharacterShadow(this.renderer, this.walking.x + 10, this.walking.y + protoHeight, 16 * protoScale);
           this.characters.drawProtagonist(
             this.renderer,
             this.walking.x,
             this.walking.y,
             frame,
-            this.walking.direction
+            this.walking.direction,
+            protoScale
           );
           break;
         }
@@ -910,6 +2097,14 @@ class GameEngine {
    * Render message box.
    */
   _renderMessageBox() {
+    if (this._speechStyle === 'overhead') {
+      const scale = this.scenes.getScaleAt(this.walking.y);
+      const height = CharacterGenerator.getCharacterHeight(this.characters.protagonist?.traits?.bodyType);
+      const color = this.characters.protagonist?.textColor || '#ffffff';
+      this._renderOverheadText(this.messageText, this.walking.x + 10, this.walking.y + height * (1 - scale), color);
+      return;
+    }
+
     const px = this.walking.x;
     const py = Math.max(10, this.walking.y - 50);
     const maxW = 200;
@@ -931,25 +2126,41 @@ class GameEngine {
   }
 
   /**
-   * Render pause menu overlay.
+   * Open the pause menu, capturing the current frame for save thumbnails.
+   * Called from update(), so the buffer still holds the last unpaused frame.
+   */
+  _openPauseMenu() {
+    this._pauseSnapshot = this.renderer.captureThumbnail();
+    this._pauseMenuScreen = 'main';
+    this._pauseMenuOpen = true;
+  }
+
+  /**
+   * Render the pause menu overlay.
    */
   _renderPauseMenu() {
     // Dark overlay over full 320x200
     this.renderer.drawRect(0, 0, 320, 200, 'rgba(0,0,0,0.75)');
 
+    if (this._pauseMenuScreen === 'controls') {
+      this._renderControls();
+      return;
+    }
+    if (this._pauseMenuScreen === 'save' || this._pauseMenuScreen === 'load') {
+      this._renderSaveSlots();
+      return;
+    }
+
     // Title
-    this.renderer.drawTextHiRes('PAUSED', 160, 40, {
+    const title = this._pauseMenuScreen === 'accessibility' ? 'ACCESSIBILITY' : 'PAUSED';
+    this.renderer.drawTextHiRes(title, 160, 40, {
       align: 'center', color: '#ffdd57', size: 12,
     });
 
     // Menu items
-    const items = ['Resume', 'Save Game', 'Load Game', 'Restart'];
-    const { startY, itemHeight, minX, maxX } = this._pauseMenuLayout;
-    for (let i = 0; i < items.length; i++) {
-      const y = startY + i * itemHeight;
-      const isHovered = this.input.mouseY >= y && this.input.mouseY < y + itemHeight
-        && this.input.mouseX >= minX && this.input.mouseX < maxX;
-      this.renderer.drawTextHiRes(items[i], 160, y, {
+    for (const r of this._getMenuItemRects()) {
+      const isHovered = this.input.isMouseInRect(r.x, r.y, r.width, r.height);
+      this.renderer.drawTextHiRes(r.label, 160, r.y, {
         align: 'center',
         color: isHovered ? '#ffdd57' : '#a0c0ff',
         size: 8,
@@ -957,84 +2168,388 @@ class GameEngine {
     }
 
     // Hint at bottom
-    this.renderer.drawTextHiRes('Press ESC to resume', 160, 160, {
-      align: 'center', color: '#666', size: 6,
+    if (this._pauseMenuScreen === 'main') {
+      this.renderer.drawTextHiRes('Press ESC to resume', 160, 160, {
+        align: 'center', color: '#666', size: 6,
+      });
+    }
+  }
+
+  /**
+   * Items of the main pause menu, or of the accessibility options screen
+   * (which reuses its layout).
+   * @returns {{ id: string, label: string }[]}
+   */
+  _getMenuItems() {
+    if (this._pauseMenuScreen !== 'accessibility') return this._pauseMenuItems;
+    const { highContrast, textScale } = this.accessibility.options;
+    return [
+      { id: 'contrast', label: `High contrast: ${highContrast ? 'On' : 'Off'}` },
+      { id: 'textSize', label: `Text size: ${Math.round(textScale * 100)}%` },
+      { id: 'back', label: 'Back' },
+    ];
+  }
+
+  _getMenuItemRects() {
+    const { startY, itemHeight, minX, maxX } = this._pauseMenuLayout;
+    return this._getMenuItems().map((item, i) => ({
+      ...item, x: minX, y: startY + i * itemHeight, width: maxX - minX, height: itemHeight,
+    }));
+  }
+
+  /**
+   * Clickable rects on the current pause menu screen, named for screen
+   * readers (keyboard and gamepad focus targets).
+   */
+  _getPauseMenuRects() {
+    if (this._pauseMenuScreen === 'controls') {
+      const { cells, reset, back } = this._getControlsRects();
+      return [
+        ...cells.map(c => ({
+          ...c,
+          name: `${c.label}${c.slot ? ' alternate' : ''}: ${KeyBindings.keyName(this.keyBindings.bindings[c.action][c.slot])}`,
+        })),
+        { ...reset, name: 'Defaults' },
+        { ...back, name: 'Back' },
+      ];
+    }
+    if (this._pauseMenuScreen === 'save' || this._pauseMenuScreen === 'load') {
+      const slots = this._slotMeta;
+      return [
+        ...this._getSaveSlotRects().map(r => ({
+          ...r, name: `Slot ${r.slot + 1}: ${slots[r.slot] ? slots[r.slot].roomName : 'Empty'}`,
+        })),
+        { x: 130, y: this._saveSlotLayout.backY, width: 60, height: 12, name: 'Back' },
+      ];
+    }
+    return this._getMenuItemRects().map(r => ({ ...r, name: r.label }));
+  }
+
+  /**
+   * Compute card and delete-button rects for each save slot.
+   */
+  _getSaveSlotRects() {
+    const { startX, startY, cardW, cardH, gapX, gapY, columns } = this._saveSlotLayout;
+    const rects = [];
+    for (let slot = 0; slot < this.save.slotCount; slot++) {
+      const x = startX + (slot % columns) * (cardW + gapX);
+      const y = startY + Math.floor(slot / columns) * (cardH + gapY);
+      rects.push({
+        slot, x, y, width: cardW, height: cardH,
+        del: { x: x + cardW - 11, y: y + 2, width: 9, height: 9 },
+      });
+    }
+    return rects;
+  }
+
+  /**
+   * Render the save/load slot picker.
+   */
+  _renderSaveSlots() {
+    const isSave = this._pauseMenuScreen === 'save';
+    this.renderer.drawTextHiRes(isSave ? 'SAVE GAME' : 'LOAD GAME', 160, 12, {
+      align: 'center', color: '#ffdd57', size: 10,
+    });
+
+    const slots = this._slotMeta;
+    for (const r of this._getSaveSlotRects()) {
+      const meta = slots[r.slot];
+      const isHovered = this.input.isMouseInRect(r.x, r.y, r.width, r.height);
+      const selectable = isSave || !!meta;
+
+      this.renderer.drawRect(r.x, r.y, r.width, r.height, isHovered && selectable ? '#2a2a5a' : '#16162e');
+      this.renderer.drawRectOutline(r.x, r.y, r.width, r.height, isHovered && selectable ? '#ffdd57' : '#444466');
+
+      if (!meta) {
+        this.renderer.drawTextHiRes(`Slot ${r.slot + 1} - Empty`, r.x + r.width / 2, r.y + 16, {
+          align: 'center', color: '#666', size: 6,
+        });
+        continue;
+      }
+
+      // Thumbnail (48x30, 320x200 aspect)
+      const thumb = this._getSlotThumbnail(r.slot, meta.thumbnail);
+      if (thumb) {
+        this.renderer.drawImage(thumb, r.x + 3, r.y + 5, 48, 30);
+      } else {
+        this.renderer.drawRect(r.x + 3, r.y + 5, 48, 30, '#000');
+      }
+
+      const textX = r.x + 55;
+      this.renderer.drawTextHiRes(meta.roomName || `Slot ${r.slot + 1}`, textX, r.y + 5, {
+        color: '#a0c0ff', size: 6, maxWidth: r.width - 68,
+      });
+      this.renderer.drawTextHiRes(this._formatSaveDate(meta.timestamp), textX, r.y + 17, {
+        color: '#888', size: 5,
+      });
+      this.renderer.drawTextHiRes(this._formatPlaytime(meta.playtime), textX, r.y + 27, {
+        color: '#888', size: 5,
+      });
+
+      // Delete button
+      const delHovered = this.input.isMouseInRect(r.del.x, r.del.y, r.del.width, r.del.height);
+      this.renderer.drawTextHiRes('x', r.del.x + 2, r.del.y + 1, {
+        color: delHovered ? '#ff6666' : '#886666', size: 6,
+      });
+    }
+
+    const { backY } = this._saveSlotLayout;
+    const backHovered = this.input.mouseY >= backY && this.input.mouseY < backY + 12
+      && this.input.mouseX >= 130 && this.input.mouseX < 190;
+    this.renderer.drawTextHiRes('Back', 160, backY, {
+      align: 'center', color: backHovered ? '#ffdd57' : '#a0c0ff', size: 8,
+    });
+  }
+
+  /**
+   * Compute the key cells (primary and alternate per action) and the
+   * buttons of the controls screen. Actions run down two columns.
+   */
+  _getControlsRects() {
+    const { startX, startY, rowH, colW, rows, keyX, altX, cellW } = this._controlsLayout;
+    const cells = [];
+    KEY_ACTIONS.forEach(({ id, label }, i) => {
+      const x = startX + Math.floor(i / rows) * colW;
+      const y = startY + (i % rows) * rowH;
+      cells.push({ action: id, label, labelX: x + 2, slot: 0, x: x + keyX, y, width: cellW, height: rowH - 2 });
+      cells.push({ action: id, label, labelX: x + 2, slot: 1, x: x + altX, y, width: cellW, height: rowH - 2 });
+    });
+    return {
+      cells,
+      reset: { x: 84, y: 156, width: 72, height: 12 },
+      back: { x: 172, y: 156, width: 48, height: 12 },
+    };
+  }
+
+  /**
+   * Render the key binding screen.
+   */
+  _renderControls() {
+    this.renderer.drawTextHiRes('CONTROLS', 160, 8, {
+      align: 'center', color: '#ffdd57', size: 10,
     });
+
+    const { cells, reset, back } = this._getControlsRects();
+    for (const c of cells) {
+      if (c.slot === 0) {
+        this.renderer.drawTextHiRes(c.label, c.labelX, c.y + 2, { color: '#a0c0ff', size: 6 });
+      }
+      const waiting = this._rebinding?.action === c.action && this._rebinding.slot === c.slot;
+      const isHovered = this.input.isMouseInRect(c.x, c.y, c.width, c.height);
+      this.renderer.drawRect(c.x, c.y, c.width, c.height, waiting || isHovered ? '#2a2a5a' : '#16162e');
+      this.renderer.drawRectOutline(c.x, c.y, c.width, c.height, waiting ? '#ffdd57' : isHovered ? '#a0c0ff' : '#444466');
+      const keyText = waiting ? '...' : KeyBindings.keyName(this.keyBindings.bindings[c.action][c.slot]);
+      this.renderer.drawTextHiRes(keyText, c.x + c.width / 2, c.y + 2, {
+        align: 'center', color: waiting ? '#ffdd57' : '#fff', size: 6, shadow: false,
+      });
+    }
+
+    this.renderer.drawTextHiRes(
+      this._rebinding ? 'Press a key (Delete clears, ESC cancels)' : 'Click a key to change it',
+      160, 142, { align: 'center', color: '#888', size: 6 }
+    );
+
+    for (const [rect, label] of [[reset, 'Defaults'], [back, 'Back']]) {
+      const isHovered = this.input.isMouseInRect(rect.x, rect.y, rect.width, rect.height);
+      this.renderer.drawTextHiRes(label, rect.x + rect.width / 2, rect.y, {
+        align: 'center', color: isHovered ? '#ffdd57' : '#a0c0ff', size: 8,
+      });
+    }
+
+    this.renderer.drawTextHiRes('1-9 pick dialogue choices, Shift+Tab steps back', 160, 176, {
+      align: 'center', color: '#666', size: 5,
+    });
+    this.renderer.drawTextHiRes('Gamepad: stick cursor, A click, B default verb, LB/RB objects, X hotspots, D-pad walk', 160, 186, {
+      align: 'center', color: '#666', size: 5,
+    });
+  }
+
+  /**
+   * Handle clicks on the key binding screen: a key cell waits for the next key press.
+   */
+  _handleControlsClick(clickX, clickY) {
+    const { cells, reset, back } = this._getControlsRects();
+    const hit = (r) => this.input.isInRect(clickX, clickY, r.x, r.y, r.width, r.height);
+    if (hit(back)) {
+      this._rebinding = null;
+      this._pauseMenuScreen = 'main';
+      return;
+    }
+    if (hit(reset)) {
+      this._rebinding = null;
+      this.keyBindings.reset();
+      return;
+    }
+    const cell = cells.find(hit);
+    this._rebinding = cell ? { action: cell.action, slot: cell.slot } : null;
+  }
+
+  /**
+   * Get a cached Image for a slot thumbnail data URL.
+   */
+  _getSlotThumbnail(slot, src) {
+    if (!src) return null;
+    const cached = this._slotThumbs[slot];
+    if (cached && cached.src === src) {
+      return cached.img.complete ? cached.img : null;
+    }
+    const img = new Image();
+    img.src = src;
+    this._slotThumbs[slot] = { src, img };
+    return null;
+  }
+
+  _formatSaveDate(timestamp) {
+    const d = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}`;
+  }
+
+  _formatPlaytime(seconds) {
+    const total = Math.floor(seconds || 0);
+    const h = Math.floor(total / 3600);
+    const m = Math.floor((total % 3600) / 60);
+    const sec = total % 60;
+    return `${h}:${String(m).padStart(2, '0')}:${String(sec).padStart(2, '0')}`;
   }
 
   /**
    * Handle clicks on pause menu items.
    */
   _handlePauseMenuClick(clickX, clickY) {
-    const items = ['resume', 'save', 'load', 'restart'];
-    const { startY, itemHeight, minX, maxX } = this._pauseMenuLayout;
-    for (let i = 0; i < items.length; i++) {
-      const y = startY + i * itemHeight;
-      if (clickY >= y && clickY < y + itemHeight && clickX >= minX && clickX < maxX) {
-        switch (items[i]) {
+    if (this._pauseMenuScreen === 'controls') {
+      this._handleControlsClick(clickX, clickY);
+      return;
+    }
+    if (this._pauseMenuScreen === 'save' || this._pauseMenuScreen === 'load') {
+      this._handleSaveSlotClick(clickX, clickY);
+      return;
+    }
+
+    for (const r of this._getMenuItemRects()) {
+      if (this.input.isInRect(clickX, clickY, r.x, r.y, r.width, r.height)) {
+        switch (r.id) {
           case 'resume':
             this._pauseMenuOpen = false;
             break;
           case 'save':
-            this.saveGame();
-            this._pauseMenuOpen = false;
-            this.showMessage('Game saved!');
+            this._refreshSlotMeta();
+            this._pauseMenuScreen = 'save';
             break;
           case 'load':
-            if (this.save.hasSave()) {
-              this.loadGame();
-              this._pauseMenuOpen = false;
-              this.showMessage('Game loaded!');
+            this._refreshSlotMeta();
+            if (this._slotMeta.some(Boolean)) {
+              this._pauseMenuScreen = 'load';
             } else {
               this._pauseMenuOpen = false;
               this.showMessage('No save found.');
             }
             break;
+          case 'controls':
+            this._pauseMenuScreen = 'controls';
+            break;
+          case 'accessibility':
+            this._pauseMenuScreen = 'accessibility';
+            break;
           case 'restart':
-            this.save.deleteSave();
             this._restartGame();
             break;
+          case 'contrast':
+            this.accessibility.setOption('highContrast', !this.accessibility.options.highContrast);
+            this._applyDisplayOptions();
+            break;
+          case 'textSize': {
+            const scales = AccessibilitySystem.TEXT_SCALES;
+            const next = scales[(scales.indexOf(this.accessibility.options.textScale) + 1) % scales.length];
+            this.accessibility.setOption('textScale', next);
+            this._applyDisplayOptions();
+            break;
+          }
+          case 'back':
+            this._pauseMenuScreen = 'main';
+            break;
         }
         return;
       }
     }
   }
 
+  /**
+   * Hand the player's high-contrast and text-size options to the renderer.
+   */
+  _applyDisplayOptions() {
+    this.renderer.highContrast = this.accessibility.options.highContrast;
+    this.renderer.textScale = this.accessibility.options.textScale;
+  }
+
+  /**
+   * Re-read every slot's metadata for the slot picker. Each read parses the
+   * whole save, so the picker renders from this copy instead.
+   */
+  _refreshSlotMeta() {
+    this._slotMeta = this.save.listSlots();
+  }
+
+  /**
+   * Handle clicks on the save/load slot picker.
+   */
+  _handleSaveSlotClick(clickX, clickY) {
+    const { backY } = this._saveSlotLayout;
+    if (clickY >= backY && clickY < backY + 12 && clickX >= 130 && clickX < 190) {
+      this._pauseMenuScreen = 'main';
+      return;
+    }
+
+    for (const r of this._getSaveSlotRects()) {
+      const hasSlotSave = !!this._slotMeta[r.slot];
+
+      if (hasSlotSave && this.input.isInRect(clickX, clickY, r.del.x, r.del.y, r.del.width, r.del.height)) {
+        this.save.deleteSave(r.slot);
+        delete this._slotThumbs[r.slot];
+        this._refreshSlotMeta();
+        if (this._pauseMenuScreen === 'load' && !this._slotMeta.some(Boolean)) {
+          this._pauseMenuScreen = 'main';
+        }
+        return;
+      }
+
+      if (!this.input.isInRect(clickX, clickY, r.x, r.y, r.width, r.height)) continue;
+
+      if (this._pauseMenuScreen === 'save') {
+        this._pauseMenuOpen = false;
+        this.showMessage(this.saveGame(r.slot) ? 'Game saved!' : 'Could not save game.');
+      } else if (hasSlotSave) {
+        const warnings = this.loadGame(r.slot);
+        this._pauseMenuOpen = false;
+        if (!warnings || warnings.length === 0) this.showMessage('Game loaded!');
+      }
+      return;
+    }
+  }
+
   /**
    * Reset all game state to initial values (full restart without reload).
    */
   _restartGame() {
     this._pauseMenuOpen = false;
+    this._playtimeFrames = 0;
+    this._resetRunningState();
 
     // Reset game state
     this.flags = {};
-    this.messageText = '';
-    this.messageTimer = 0;
-    this.showingEnding = false;
-    this.endingTimer = 0;
+    this.vars = {};
+    this.roomVisits = {};
+    this.followers = [];
+    this._followerNpcs.clear();
 
     // Reset time of day
     this._timeOfDayIndex = 0;
     this.timeOfDay = 'morning';
     this._timeOfDayTimer = 0;
 
-    // Reset barks
-    this._barkCooldown = 0;
-    this._barkText = '';
-    this._barkNpc = null;
-    this._barkTimer = 0;
-
     // Reset systems
     this.inventory.items = [];
-    this.inventory.selectedItem = null;
-    this.dialogue.end();
     this.dialogue.restoreExhaustionState({ exhaustedNpcs: {}, idleLineIndex: {} });
-    this.scripts.queue = [];
-    this.scripts.running = false;
-    this.scripts.currentAction = null;
-    this.scripts.waitTimer = 0;
-    this.verbs.selectedVerb = 'Look at';
-    this.verbs.selectedItem = null;
 
     // Reload all rooms to reset hotspot visibility
     for (const [id, room] of Object.entries(this.content.getAllRooms())) {
@@ -1044,8 +2559,10 @@ class GameEngine {
     // Move to starting room/position
     this.scenes.loadRoom(this.content.startRoom);
     this.walking.setPosition(this.content.startPosition.x, this.content.startPosition.y);
+    this._recordRoomVisit(this.content.startRoom);
     this._refreshRoomNpcs();
     this._configureLighting();
+    this._runRoomEnterEvents(this.content.startRoom);
   }
 
   /**
@@ -1105,6 +2622,20 @@ class GameEngine {
     const npc = this._barkNpc;
     const text = this._barkText;
     if (!npc || !text) return;
+    this._renderSpeechBubble(npc, text);
+  }
+
+  /**
+   * Render a speech bubble above an NPC
+   * (or, in the overhead speech style, the line in the NPC's text colour).
+   */
+  _renderSpeechBubble(npc, text) {
+    if (this._speechStyle === 'overhead') {
+      const b = this._getNpcBounds(npc);
+      const color = npc._npcDef?.textColor || '#ffdd57';
+      this._renderOverheadText(text, b.x + b.width / 2, b.y, color);
+      return;
+    }
 
     const bubbleX = Math.max(4, Math.min(npc.x - 20, 320 - 80));
     const bubbleY = Math.max(4, npc.y - 18);
@@ -1124,6 +2655,45 @@ class GameEngine {
     });
   }
 
+  /**
+   * Draw a spoken line as wrapped, coloured text centred above a head.
+   * @param {string} text
+   * @param {number} headX - Centre of the speaker
+   * @param {number} headY - Top of the speaker
+   * @param {string} color
+   */
+  _renderOverheadText(text, headX, headY, color) {
+    const maxW = 150;
+    const options = { size: 7, lineHeight: 9, color, align: 'center' };
+    const textHeight = this.renderer.measureTextWrappedHiRes(text, maxW, options);
+    const x = Math.max(4 + maxW / 2, Math.min(headX, 316 - maxW / 2));
+    const y = Math.max(2, headY - textHeight - 4);
+    this.renderer.drawTextWrappedHiRes(text, x, y, maxW, options);
+  }
+
+  /**
+   * Whether the touch pause button is up: in touch mode, while the pause
+   * menu is open or Escape would open it (not in a conversation, close-up,
+   * verb ring or cutscene).
+   */
+  _isTouchPauseButtonShown() {
+    if (!this.input.touchMode) return false;
+    if (this._pauseMenuOpen) return true;
+    return !this.dialogue.active && !this.examine.active && !this.radialMenu.active && !this.scripts.isBlocking();
+  }
+
+  /**
+   * Render the touch-mode pause button (right end of the action line).
+   */
+  _renderTouchPauseButton() {
+    const b = this._touchPauseButton;
+    this.renderer.drawRect(b.x, b.y, b.width, b.height, 'rgba(0, 0, 0, 0.5)');
+    this.renderer.drawRectOutline(b.x, b.y, b.width, b.height, '#7a9fd5');
+    this.renderer.drawTextHiRes('II', b.x + b.width / 2, b.y + 3, {
+      align: 'center', color: '#a0c0ff', size: 6, shadow: false,
+    });
+  }
+
   /**
    * Render custom cursor.
    */
@@ -1170,37 +2740,97 @@ class GameEngine {
   }
 
   /**
-   * Save current game state.
+   * Save current game state into a slot.
+   * @returns {boolean} Whether the save was written
    */
-  saveGame() {
+  saveGame(slot) {
     const state = {
+      schemaVersion: SAVE_SCHEMA_VERSION,
+      contentHash: this.content.contentHash,
       room: this.scenes.currentRoomId,
       playerX: this.walking.x,
       playerY: this.walking.y,
-      items: this.inventory.items.map(i => i.id),
+      items: this.inventory.items.map(i => ({ id: i.id, count: i.count })),
       flags: { ...this.flags },
+      vars: { ...this.vars },
+      roomVisits: { ...this.roomVisits },
+      followers: [...this.followers],
       hiddenHotspots: this._getHiddenHotspots(),
       dialogueExhaustion: this.dialogue.getExhaustionState(),
       timeOfDayIndex: this._timeOfDayIndex,
+      playtime: Math.floor(this._playtimeFrames / 60),
     };
-    this.save.save(state);
+    const room = this.scenes.getRoom();
+    const saved = this.save.save(slot, state, {
+      roomName: room?.name || this.scenes.currentRoomId,
+      playtime: state.playtime,
+      thumbnail: this._pauseSnapshot || this.renderer.captureThumbnail(),
+    });
+    this._refreshSlotMeta();
+    return saved;
+  }
+
+  /**
+   * Stop everything in flight — scripts (ambient loops included), the
+   * conversation, speech, barks, open views and room fades — before a
+   * restart or a load replaces the game state.
+   */
+  _resetRunningState() {
+    this._roomChangeToken++; // abandon any room transition still fading
+    this.renderer.setFade(0);
+    this.scripts.cancel();
+    if (this.dialogue.active) this.dialogue.end();
+    this.examine.close();
+    this.radialMenu.close();
+    this._touchPreview = null;
+    this.messageText = '';
+    this.messageTimer = 0;
+    this._npcSpeech = null;
+    this._babble = null;
+    this.showingEnding = false;
+    this.endingTimer = 0;
+
+    this._barkCooldown = 0;
+    this._barkText = '';
+    this._barkNpc = null;
+    this._barkTimer = 0;
+
+    this.inventory.selectedItem = null;
+    this.verbs.selectedVerb = 'Look at';
+    this.verbs.selectedItem = null;
   }
 
   /**
-   * Load saved game state.
+   * Load saved game state from a slot.
+   * @returns {string[]|null} Migration warnings shown to the player, or null if the slot is empty
    */
-  loadGame() {
-    const state = this.save.load();
-    if (!state) return;
+  loadGame(slot) {
+    const saved = this.save.load(slot);
+    if (!saved) return null;
+
+    // Bring older saves in line with the current schema and content
+    const { state, warnings } = SaveMigrator.migrate(saved, this.content);
 
+    this._resetRunningState();
     this.scenes.loadRoom(state.room);
     this.walking.setPosition(state.playerX, state.playerY);
-    this.inventory.items = state.items.map(id => {
-      const itemDef = this.content.getItem(id);
-      return itemDef ? { id: itemDef.id, name: itemDef.name } : null;
-    }).filter(Boolean);
+    this.inventory.items = [];
+    for (const { id, count } of state.items) this._addItem(id, count);
     this.flags = state.flags || {};
+    this.vars = state.vars || {};
+    this.roomVisits = state.roomVisits || {};
+    this.followers = [...(state.followers || [])];
+    this._followerNpcs.clear();
+
+    // Restore time of day (NPC schedules and lighting depend on it)
+    if (state.timeOfDayIndex !== undefined) {
+      this._timeOfDayIndex = state.timeOfDayIndex;
+      this.timeOfDay = this._timeOfDayPeriods[this._timeOfDayIndex];
+      this._timeOfDayTimer = 0;
+    }
+
     this._refreshRoomNpcs();
+    this._placeFollowers();
     this._configureLighting();
 
     // Restore hidden hotspots
@@ -1219,12 +2849,10 @@ class GameEngine {
       this.dialogue.restoreExhaustionState(state.dialogueExhaustion);
     }
 
-    // Restore time of day
-    if (state.timeOfDayIndex !== undefined) {
-      this._timeOfDayIndex = state.timeOfDayIndex;
-      this.timeOfDay = this._timeOfDayPeriods[this._timeOfDayIndex];
-      this._timeOfDayTimer = 0;
-    }
+    this._playtimeFrames = (state.playtime || 0) * 60;
+
+    if (warnings.length > 0) this.showMessage(warnings.join(' '));
+    return warnings;
   }
 
   /**
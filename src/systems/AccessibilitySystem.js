@@ -0,0 +1,173 @@
+/**
+ * AccessibilitySystem — Narration layer for screen readers. The game is
+ * drawn on a canvas, so its state is mirrored into visually hidden DOM: a
+ * live log announcing room entries, messages and spoken lines, dialogue
+ * choices as buttons, and lists of the inventory and the room's interactive
+ * objects. Also keeps the player's display options (high contrast, text
+ * size), persisted to localStorage.
+ */
+export class AccessibilitySystem {
+  static STORAGE_KEY = 'adventure_accessibility';
+
+  /** Text size multipliers the options screen cycles through. */
+  static TEXT_SCALES = [1, 1.25, 1.5];
+
+  /** Announcements kept in the log; older ones are dropped. */
+  static LOG_LIMIT = 20;
+
+  /**
+   * @param {HTMLElement} container - Element the hidden layer is added to
+   */
+  constructor(container) {
+    this.options = { highContrast: false, textScale: 1 };
+    this._loadOptions();
+
+    // Called with the choice index when a dialogue choice button is pressed / focused
+    this.onChoice = null;
+    this.onChoiceFocus = null;
+
+    // Last state mirrored, so only changes reach the DOM
+    this._last = {
+      room: null, menu: '', message: '', speech: '', dialogue: '', examine: '',
+      choices: null, inventory: null, objects: null,  // JSON of the lists
+    };
+
+    this._build(container);
+  }
+
+  _build(container) {
+    const root = document.createElement('div');
+    root.className = 'sr-only';
+
+    this._log = document.createElement('div');
+    this._log.setAttribute('role', 'log');
+    this._log.setAttribute('aria-live', 'polite');
+    root.appendChild(this._log);
+
+    const section = (title, listTag) => {
+      const heading = document.createElement('h2');
+      heading.textContent = title;
+      const list = document.createElement(listTag);
+      list.setAttribute('aria-label', title);
+      root.append(heading, list);
+      return list;
+    };
+    this._choiceList = section('Dialogue choices', 'div');
+    this._choiceList.setAttribute('role', 'group');
+    this._inventoryList = section('Inventory', 'ul');
+    this._objectList = section('In this room', 'ul');
+
+    container.appendChild(root);
+  }
+
+  /**
+   * Read a line out through the live log.
+   */
+  announce(text) {
+    if (!text) return;
+    const line = document.createElement('p');
+    line.textContent = text;
+    this._log.appendChild(line);
+    while (this._log.childElementCount > AccessibilitySystem.LOG_LIMIT) {
+      this._log.firstElementChild.remove();
+    }
+  }
+
+  /**
+   * Bring the narration layer in line with the game. Called every frame;
+   * only changes reach the DOM.
+   * @param {object} state
+   * @param {{ id: string, name: string, description?: string }|null} state.room
+   * @param {string} state.menu - Title of the open menu screen, or ''
+   * @param {string} state.message - Message box text
+   * @param {string} state.speech - Scripted NPC line, "Name: text"
+   * @param {string} state.dialogue - Current conversation line, "Name: text"
+   * @param {string} state.examine - Item shown in the close-up view
+   * @param {string} state.focus - What keyboard/gamepad focus just moved onto, or ''
+   * @param {string[]} state.choices - Dialogue choices on offer
+   * @param {string[]} state.inventory - Inventory item names
+   * @param {string[]} state.objects - Interactive objects in the room
+   */
+  update(state) {
+    const last = this._last;
+
+    if (state.room && state.room.id !== last.room) {
+      last.room = state.room.id;
+      this.announce([state.room.name, state.room.description].filter(Boolean).join('. '));
+    }
+
+    for (const key of ['menu', 'message', 'speech', 'dialogue', 'examine']) {
+      if (state[key] === last[key]) continue;
+      last[key] = state[key];
+      this.announce(state[key]);
+    }
+
+    if (this._changed('choices', state.choices)) {
+      this._choiceList.replaceChildren(...state.choices.map((text, i) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = `${i + 1}. ${text}`;
+        button.addEventListener('click', () => this.onChoice?.(i));
+        button.addEventListener('focus', () => this.onChoiceFocus?.(i));
+        return button;
+      }));
+      if (state.choices.length > 0) {
+        this.announce(`Choices: ${state.choices.map((text, i) => `${i + 1}. ${text}`).join(' ')}`);
+      }
+    }
+
+    if (this._changed('inventory', state.inventory)) {
+      this._fillList(this._inventoryList, state.inventory, 'Empty');
+    }
+    if (this._changed('objects', state.objects)) {
+      this._fillList(this._objectList, state.objects, 'Nothing of interest');
+    }
+
+    this.announce(state.focus);
+  }
+
+  /**
+   * Record a list's new value, reporting whether it differs from the last one.
+   */
+  _changed(key, items) {
+    const json = JSON.stringify(items);
+    if (json === this._last[key]) return false;
+    this._last[key] = json;
+    return true;
+  }
+
+  _fillList(list, items, emptyText) {
+    list.replaceChildren(...(items.length ? items : [emptyText]).map(text => {
+      const li = document.createElement('li');
+      li.textContent = text;
+      return li;
+    }));
+  }
+
+  /**
+   * Change a display option and save.
+   * @param {'highContrast'|'textScale'} name
+   */
+  setOption(name, value) {
+    this.options[name] = value;
+    try {
+      localStorage.setItem(AccessibilitySystem.STORAGE_KEY, JSON.stringify(this.options));
+    } catch (e) {
+      console.warn('Failed to save accessibility options:', e);
+    }
+  }
+
+  _loadOptions() {
+    try {
+      const data = localStorage.getItem(AccessibilitySystem.STORAGE_KEY);
+      if (!data) return;
+      const saved = JSON.parse(data);
+      this.options.highContrast = saved.highContrast === true;
+      if (AccessibilitySystem.TEXT_SCALES.includes(saved.textScale)) {
+        this.options.textScale = saved.textScale;
+      }
+    } catch (e) {
+      console.warn('Failed to load accessibility options:', e);
+    }
+  }
+}
@@ -73,6 +73,37 @@ export class AudioSystem {
     }
   }
 
+  /**
+   * Play one babbled syllable in a character's voice: a short blip around
+   * the voice's pitch that glides down slightly, like a clipped vowel.
+   * @param {{ pitch: number, waveform: string, variance: number }} voice - See VoiceGenerator
+   */
+  playVoice(voice) {
+    if (!this.initialized) return;
+    this._ensureRunning();
+
+    const t = this.ctx.currentTime;
+    const freq = voice.pitch * (1 + (Math.random() * 2 - 1) * voice.variance);
+    const duration = 0.06;
+
+    const osc = this.ctx.createOscillator();
+    osc.type = voice.waveform;
+    osc.frequency.setValueAtTime(freq, t);
+    osc.frequency.exponentialRampToValueAtTime(freq * 0.85, t + duration);
+
+    // Square and sawtooth are much louder than sine at the same gain
+    const level = voice.waveform === 'square' || voice.waveform === 'sawtooth' ? 0.05 : 0.12;
+    const gain = this.ctx.createGain();
+    gain.gain.setValueAtTime(level, t);
+    gain.gain.exponentialRampToValueAtTime(0.001, t + duration);
+
+    osc.connect(gain);
+    gain.connect(this.sfxGain);
+
+    osc.start(t);
+    osc.stop(t + duration);
+  }
+
   // --- SFX generators ---
 
   /**
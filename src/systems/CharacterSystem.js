@@ -1,4 +1,6 @@
 import { CharacterGenerator } from '../engine/CharacterGenerator.js';
+import { Conditions } from '../engine/Conditions.js';
+import { VoiceGenerator } from '../engine/VoiceGenerator.js';
 
 /**
  * CharacterSystem — Manages protagonist and NPC characters.
@@ -12,15 +14,20 @@ export class CharacterSystem {
 
   /**
    * Get NPCs placed in the given room, with their position and size.
+   * A placement with a `when` condition only applies while it holds;
+   * the first matching placement for the room wins.
    * @param {string} roomId
+   * @param {object} [state] - Condition state (see Conditions.evaluate)
    */
-  getNpcsInRoom(roomId) {
+  getNpcsInRoom(roomId, state = {}) {
     const allNpcs = this.content.getAllNpcs();
     const results = [];
 
     for (const npc of allNpcs) {
       if (!npc.placements) continue;
-      const placement = npc.placements.find(p => p.room === roomId);
+      const placement = npc.placements.find(p =>
+        p.room === roomId && Conditions.evaluate(p.when, state)
+      );
       if (placement) {
         results.push(this._buildNpcData(npc, placement));
       }
@@ -45,10 +52,71 @@ export class CharacterSystem {
       walkToY: placement.walkTo?.y || placement.position.y + 50,
       dialogueKey: npc.dialogue,
       lookAt: npc.responses?.look_at || `It's ${npc.name}.`,
+      routeIndex: 0,                     // next patrol waypoint
+      routeWait: placement.pause ?? 60,  // frames to stand before moving on
+      scriptWalking: false,              // a walk_to script action is moving it
       _npcDef: npc,
+      _placement: placement,
     };
   }
 
+  /**
+   * Build NPC data for a companion following the player. It keeps its
+   * dialogue and responses, takes its size from its first placement, and
+   * has no route of its own.
+   * @param {string} npcId
+   * @param {number} x
+   * @param {number} y
+   * @returns {object|null} Null if the NPC doesn't exist
+   */
+  buildFollowerData(npcId, x, y) {
+    const npc = this.content.getNpc(npcId);
+    if (!npc) return null;
+    const placement = {
+      room: null,
+      position: { x, y },
+      walkTo: { x: x + 24, y },
+      size: npc.placements?.[0]?.size,
+    };
+    return this._buildNpcData(npc, placement);
+  }
+
+  /**
+   * Check if an NPC's placement moves it around (patrol or wander).
+   */
+  hasRoute(npc) {
+    const placement = npc._placement || {};
+    return (placement.patrol?.length > 0) || placement.wander > 0;
+  }
+
+  /**
+   * Next stop on an NPC's route: its current patrol waypoint, or a random
+   * point within the `wander` radius of its placement position. The stop
+   * may lie off the walkable area; the caller keeps it on.
+   * @returns {{x: number, y: number, pause: number}|null} Null if it doesn't move
+   */
+  getRouteStop(npc) {
+    const placement = npc._placement || {};
+    const pause = placement.pause ?? 60;
+
+    if (placement.patrol?.length > 0) {
+      const point = placement.patrol[npc.routeIndex % placement.patrol.length];
+      return { x: point.x, y: point.y, pause: point.pause ?? pause };
+    }
+
+    if (placement.wander > 0) {
+      const angle = Math.random() * Math.PI * 2;
+      const dist = Math.random() * placement.wander;
+      return {
+        x: Math.round(placement.position.x + Math.cos(angle) * dist),
+        y: Math.round(placement.position.y + Math.sin(angle) * dist),
+        pause: pause + Math.floor(Math.random() * pause), // wanderers dawdle unevenly
+      };
+    }
+
+    return null;
+  }
+
   /**
    * Get NPC definition by ID.
    */
@@ -56,6 +124,20 @@ export class CharacterSystem {
     return this.content.getNpc(id);
   }
 
+  /**
+   * Get an NPC's babble voice (see VoiceGenerator).
+   */
+  getNpcVoice(id) {
+    return VoiceGenerator.resolve(this.content.getNpc(id));
+  }
+
+  /**
+   * Get the protagonist's babble voice.
+   */
+  getProtagonistVoice() {
+    return VoiceGenerator.resolve(this.protagonist);
+  }
+
   /**
    * Get an NPC's response for a given verb.
    */
@@ -68,19 +150,19 @@ export class CharacterSystem {
   /**
    * Draw an NPC using the CharacterGenerator.
    */
-  drawNpc(renderer, npc, frame = 0, facing) {
+  drawNpc(renderer, npc, frame = 0, facing, scale = 1) {
     const npcDef = npc._npcDef || this.content.getNpc(npc.id);
     if (!npcDef || !npcDef.traits) return;
     const npcFacing = facing || npc.facing || 'right';
-    CharacterGenerator.draw(renderer, npc.x, npc.y, npcDef.traits, frame, npcFacing);
+    CharacterGenerator.draw(renderer, npc.x, npc.y, npcDef.traits, frame, npcFacing, scale);
   }
 
   /**
    * Draw the protagonist at the given position.
    */
-  drawProtagonist(renderer, x, y, frame = 0, facing = 'right') {
+  drawProtagonist(renderer, x, y, frame = 0, facing = 'right', scale = 1) {
     if (this.protagonist && this.protagonist.traits) {
-      CharacterGenerator.draw(renderer, x, y, this.protagonist.traits, frame, facing);
+      CharacterGenerator.draw(renderer, x, y, this.protagonist.traits, frame, facing, scale);
     }
   }
 }
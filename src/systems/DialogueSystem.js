@@ -1,20 +1,32 @@
+import { Conditions } from '../engine/Conditions.js';
+
 /**
  * DialogueSystem — Branching conversation tree with choice selection.
  * Supports DSL dialogue format with conditions, multi-actions, and idle lines.
+ *
+ * Two presentation styles: 'panel' darkens the scene and shows the line and
+ * choices over it; 'overhead' leaves the NPC's line to the game (drawn above
+ * the speaker), lists choices over the UI panel, and moves on by itself once
+ * a line has been on screen long enough to read.
  */
 export class DialogueSystem {
+  /** Typewriter speed (chars per frame) for a voice of normal talking speed. */
+  static TEXT_SPEED = 2;
+
   constructor() {
+    this.style = 'panel'; // 'panel' | 'overhead'
     this.active = false;
     this.dialogueTree = null;
     this.currentNode = null;
     this.npcName = '';
     this.displayText = '';
     this.textTimer = 0;
-    this.textSpeed = 2; // chars per frame
+    this.textSpeed = DialogueSystem.TEXT_SPEED; // chars per frame
     this.fullText = '';
     this.displayIndex = 0;
     this.waitingForChoice = false;
     this.waitingForClick = false;
+    this.holdTimer = 0; // overhead style: frames left before the line moves on
     this.onComplete = null;
     this.onAction = null; // Callback for game actions triggered by dialogue
 
@@ -46,6 +58,16 @@ export class DialogueSystem {
     return true;
   }
 
+  /**
+   * How long a spoken line stays up: ~60 frames per word, 120 to 600 frames.
+   * @param {string} text
+   * @returns {number} Frames
+   */
+  static getSpeechFrames(text) {
+    const wordCount = text.split(/\s+/).length;
+    return Math.max(120, Math.min(600, wordCount * 60));
+  }
+
   /**
    * Reset exhaustion for an NPC (e.g., when game state changes via dialogue override).
    */
@@ -60,7 +82,7 @@ export class DialogueSystem {
    * @param {Object} tree - Dialogue tree definition
    * @param {Function} onAction - Callback for dialogue actions
    * @param {Function} onComplete - Called when dialogue ends
-   * @param {Object} [gameState] - { flags, inventory } for condition checking
+   * @param {Object} [gameState] - Condition state (see Conditions.evaluate)
    */
   start(npcName, tree, onAction, onComplete, npcId, gameState) {
     this.active = true;
@@ -91,6 +113,7 @@ export class DialogueSystem {
       this.displayIndex = 0;
       this.waitingForClick = false;
       this.waitingForChoice = false;
+      this.holdTimer = DialogueSystem.getSpeechFrames(node.text);
     }
 
     // Execute actions on entering this node (DSL format: array of actions)
@@ -127,17 +150,8 @@ export class DialogueSystem {
    * Evaluate a condition against game state.
    */
   _evaluateCondition(cond) {
-    if (!cond || !this._gameState) return true;
-    const { flags, inventory } = this._gameState;
-
-    if (cond.hasFlag) return !!(flags && flags[cond.hasFlag]);
-    if (cond.notFlag) return !(flags && flags[cond.notFlag]);
-    if (cond.hasItem) return !!(inventory && inventory.hasItem(cond.hasItem));
-    if (cond.and) return cond.and.every(c => this._evaluateCondition(c));
-    if (cond.or) return cond.or.some(c => this._evaluateCondition(c));
-    if (cond.not) return !this._evaluateCondition(cond.not);
-
-    return true;
+    if (!this._gameState) return true;
+    return Conditions.evaluate(cond, this._gameState);
   }
 
   /**
@@ -169,65 +183,96 @@ export class DialogueSystem {
       this._visibleChoices = visibleChoices;
       // Handle choice selection
       if (input.clicked) {
-        const choiceIdx = this._getChoiceAtClick(input.clickY, renderer);
-        if (choiceIdx >= 0 && choiceIdx < visibleChoices.length) {
-          const choice = visibleChoices[choiceIdx];
-          // Execute choice actions (DSL: array)
-          if (choice.actions && this.onAction) {
-            for (const action of choice.actions) {
-              this.onAction(action);
-            }
-          }
-          // Legacy: single action
-          if (choice.action && this.onAction) {
-            this.onAction(choice.action);
-          }
-          if (choice.next) {
-            this.goToNode(choice.next);
-          } else {
-            this.end();
-          }
-        }
-      }
-    } else if (this.currentNode.next) {
-      // Auto-advance on click
-      this.waitingForClick = true;
-      if (input.clicked) {
-        this.goToNode(this.currentNode.next);
+        this.selectChoice(this._getChoiceAtClick(input.clickY, renderer));
       }
     } else {
-      // End of dialogue
+      // Advance on click (overhead lines also move on once read)
       this.waitingForClick = true;
-      if (input.clicked) {
-        this.end();
+      const timedOut = this.style === 'overhead' && --this.holdTimer <= 0;
+      if (input.clicked || timedOut) {
+        if (this.currentNode.next) this.goToNode(this.currentNode.next);
+        else this.end();
       }
     }
   }
 
   /**
-   * Determine which choice was clicked based on Y position.
+   * Pick one of the visible choices (number keys pick by position).
+   * @param {number} index - 0-based position in the choice list
+   * @returns {boolean} Whether a choice was picked
    */
-  _getChoiceAtClick(clickY, renderer) {
-    const choices = this._visibleChoices || this.currentNode?.choices || [];
-    if (!choices.length) return -1;
+  selectChoice(index) {
+    const visibleChoices = this._visibleChoices || [];
+    if (!this.waitingForChoice || index < 0 || index >= visibleChoices.length) return false;
+
+    const choice = visibleChoices[index];
+    // Execute choice actions (DSL: array)
+    if (choice.actions && this.onAction) {
+      for (const action of choice.actions) {
+        this.onAction(action);
+      }
+    }
+    // Legacy: single action
+    if (choice.action && this.onAction) {
+      this.onAction(choice.action);
+    }
+    if (choice.next) {
+      this.goToNode(choice.next);
+    } else {
+      this.end();
+    }
+    return true;
+  }
 
-    // Dynamically calculate startY based on text height
-    let startY = 70;
+  /**
+   * Choices currently on offer (none until the line is fully shown).
+   */
+  getOfferedChoices() {
+    return this.active && this.waitingForChoice ? this._visibleChoices || [] : [];
+  }
+
+  /**
+   * Layout of the dialogue text and choice list for the current style.
+   * @returns {{ choicesTop: number, x: number, width: number }}
+   */
+  _getChoiceLayout(renderer) {
+    if (this.style === 'overhead') {
+      return { choicesTop: 144, x: 8, width: 304 };
+    }
+    let choicesTop = 70;
     if (renderer) {
       const textHeight = renderer.measureTextWrappedHiRes(this.displayText, 280, { size: 8, lineHeight: 12 });
-      startY = 24 + textHeight + 12; // 24 (top margin) + text height + 12 (padding)
+      choicesTop = 24 + textHeight + 12; // 24 (top margin) + text height + 12 (padding)
     }
+    return { choicesTop, x: 24, width: 280 };
+  }
+
+  /**
+   * Determine which choice was clicked based on Y position.
+   */
+  _getChoiceAtClick(clickY, renderer) {
+    return this.getChoiceRects(renderer).findIndex(r => clickY >= r.y && clickY < r.y + r.height);
+  }
 
-    let cursorY = startY;
+  /**
+   * Screen rects of the choices on offer (keyboard and gamepad focus targets).
+   * @returns {{ text: string, x: number, y: number, width: number, height: number }[]}
+   */
+  getChoiceRects(renderer) {
+    const choices = this._visibleChoices || this.currentNode?.choices || [];
+    if (!choices.length) return [];
+
+    const { choicesTop, x, width } = this._getChoiceLayout(renderer);
+
+    const rects = [];
+    let cursorY = choicesTop;
     for (let i = 0; i < choices.length; i++) {
       const choiceText = `${i + 1}. ${choices[i].text}`;
-      const choiceHeight = renderer.measureTextWrappedHiRes(choiceText, 280, { size: 7, lineHeight: 10 });
-      if (clickY >= cursorY && clickY < cursorY + choiceHeight) {
-        return i;
-      }
+      const choiceHeight = renderer.measureTextWrappedHiRes(choiceText, width, { size: 7, lineHeight: 10 });
+      rects.push({ text: choices[i].text, x, y: cursorY, width, height: choiceHeight });
       cursorY += choiceHeight + 2;
     }
-    return -1;
+    return rects;
   }
 
   /**
@@ -265,45 +310,49 @@ export class DialogueSystem {
   }
 
   /**
-   * Render the dialogue overlay.
+   * Render the dialogue overlay. In the overhead style only the choices are
+   * drawn (over the UI panel); the game draws the line above the speaker.
    */
   render(renderer, input) {
     if (!this.active) return;
+    const overhead = this.style === 'overhead';
 
-    // Darken game area
-    renderer.drawRect(0, 0, 320, 140, 'rgba(0, 0, 0, 0.6)');
+    if (!overhead) {
+      // Darken game area
+      renderer.drawRect(0, 0, 320, 140, 'rgba(0, 0, 0, 0.6)');
 
-    // NPC name
-    renderer.drawTextHiRes(this.npcName, 160, 8, {
-      align: 'center', color: '#ffdd57', size: 8
-    });
+      // NPC name
+      renderer.drawTextHiRes(this.npcName, 160, 8, {
+        align: 'center', color: '#ffdd57', size: 8
+      });
 
-    // Speech text
-    const textOptions = { color: '#fff', size: 8, lineHeight: 12 };
-    renderer.drawTextWrappedHiRes(this.displayText, 20, 24, 280, textOptions);
+      // Speech text
+      const textOptions = { color: '#fff', size: 8, lineHeight: 12 };
+      renderer.drawTextWrappedHiRes(this.displayText, 20, 24, 280, textOptions);
+    }
 
     // Choices
     const visibleChoices = this._visibleChoices || [];
     if (this.waitingForChoice && visibleChoices.length > 0) {
-      // Calculate dynamic start Y based on text height
-      const textHeight = renderer.measureTextWrappedHiRes(this.displayText, 280, textOptions);
-      const startY = 24 + textHeight + 12;
+      const { choicesTop, x, width } = this._getChoiceLayout(renderer);
+      const bottom = overhead ? 198 : 135;
+      if (overhead) renderer.drawRect(0, 140, 320, 60, '#000');
 
-      let cursorY = startY;
+      let cursorY = choicesTop;
       for (let i = 0; i < visibleChoices.length; i++) {
         // Ensure choice is within screen bounds (basic clipping)
-        if (cursorY > 135) break;
+        if (cursorY > bottom) break;
 
         const choiceText = `${i + 1}. ${visibleChoices[i].text}`;
         const choiceOpts = { size: 7, lineHeight: 10 };
-        const choiceHeight = renderer.measureTextWrappedHiRes(choiceText, 280, choiceOpts);
+        const choiceHeight = renderer.measureTextWrappedHiRes(choiceText, width, choiceOpts);
 
         const isHovered = input.mouseY >= cursorY && input.mouseY < cursorY + choiceHeight
-          && input.mouseX >= 20 && input.mouseX < 300;
+          && input.mouseX >= x - 4 && input.mouseX < x + width - 4;
 
         renderer.drawTextWrappedHiRes(
           choiceText,
-          24, cursorY, 280,
+          x, cursorY, width,
           {
             color: isHovered ? '#ffdd57' : '#a0c0ff',
             size: 7,
@@ -315,7 +364,7 @@ export class DialogueSystem {
     }
 
     // Click to continue prompt
-    if (this.waitingForClick && !this.waitingForChoice) {
+    if (this.waitingForClick && !this.waitingForChoice && !overhead) {
       const blink = Math.floor(Date.now() / 500) % 2;
       if (blink) {
         renderer.drawTextHiRes('▼ Click to continue', 160, 128, {
@@ -0,0 +1,161 @@
+import { Conditions } from '../engine/Conditions.js';
+
+/**
+ * ExamineSystem — Close-up view of an inventory item.
+ * Opens a panel centred over the game viewport showing either the item's
+ * `closeup` image (with optional overlaid text and clickable hotspots) or,
+ * without one, its icon scaled up 4x with the name and description.
+ * Clicking outside the panel or pressing Escape (handled by the game)
+ * closes it; clicks on close-up hotspots are reported back to the game,
+ * which resolves them like room hotspots.
+ */
+export class ExamineSystem {
+  constructor() {
+    this.active = false;
+    this.item = null;    // Item definition being examined
+    this._state = null;  // Condition state for hotspot `when` checks
+    this._layout = null;
+  }
+
+  /**
+   * Open the examine view for an item.
+   * @param {object} itemDef - Item definition from ContentRegistry
+   * @param {object} state - Condition state (see Conditions.evaluate)
+   */
+  open(itemDef, state) {
+    this.active = true;
+    this.item = itemDef;
+    this._state = state;
+    this._layout = this._computeLayout(itemDef);
+  }
+
+  close() {
+    this.active = false;
+    this.item = null;
+    this._state = null;
+    this._layout = null;
+  }
+
+  /**
+   * Refresh the condition state (flags may change while the view is open).
+   */
+  setState(state) {
+    this._state = state;
+  }
+
+  /**
+   * Panel and image rectangles, in 320×200 space.
+   */
+  _computeLayout(itemDef) {
+    const closeup = itemDef.closeup;
+    if (closeup?.generator) {
+      const imageW = closeup.width || 160;
+      const imageH = closeup.height || 96;
+      const w = imageW + 16;
+      const h = imageH + 28;
+      const x = Math.floor((320 - w) / 2);
+      const y = Math.floor((140 - h) / 2);
+      return { x, y, w, h, imageX: x + 8, imageY: y + 18, imageW, imageH, closeup: true };
+    }
+    // Icon (32×20) at 4x, with the description beside it
+    const w = 288, h = 104;
+    const x = Math.floor((320 - w) / 2);
+    const y = Math.floor((140 - h) / 2);
+    return { x, y, w, h, imageX: x + 8, imageY: y + 18, imageW: 128, imageH: 80, closeup: false };
+  }
+
+  /**
+   * Close-up hotspots currently shown (their `when` condition holds).
+   */
+  getHotspots() {
+    if (!this._layout?.closeup) return [];
+    return (this.item.closeup.hotspots || []).filter(hs => Conditions.evaluate(hs.when, this._state));
+  }
+
+  /**
+   * Screen rects of the shown close-up hotspots (keyboard and gamepad focus targets).
+   * @returns {{ name: string, x: number, y: number, width: number, height: number }[]}
+   */
+  getHotspotRects() {
+    const l = this._layout;
+    if (!l) return [];
+    return this.getHotspots().map(hs => ({
+      name: hs.name, x: l.imageX + hs.x, y: l.imageY + hs.y, width: hs.width, height: hs.height,
+    }));
+  }
+
+  /**
+   * Get the close-up hotspot under the mouse.
+   */
+  getHoveredHotspot(input) {
+    const l = this._layout;
+    if (!l) return null;
+    return this.getHotspots().find(hs =>
+      input.isMouseInRect(l.imageX + hs.x, l.imageY + hs.y, hs.width, hs.height)
+    ) || null;
+  }
+
+  /**
+   * Handle a click.
+   * @returns {{ hotspot: object }|{ closed: true }|null}
+   */
+  update(input) {
+    if (!this.active || !input.clicked) return null;
+    const l = this._layout;
+
+    const hotspot = this.getHotspots().find(hs =>
+      input.isClickInRect(l.imageX + hs.x, l.imageY + hs.y, hs.width, hs.height)
+    );
+    if (hotspot) return { hotspot };
+
+    if (!input.isClickInRect(l.x, l.y, l.w, l.h)) {
+      this.close();
+      return { closed: true };
+    }
+    return null;
+  }
+
+  /**
+   * Render the examine panel.
+   */
+  render(renderer, assets) {
+    if (!this.active) return;
+    const l = this._layout;
+    const item = this.item;
+
+    renderer.drawRect(0, 0, 320, 140, 'rgba(0, 0, 0, 0.6)');
+    renderer.drawRect(l.x, l.y, l.w, l.h, '#1a1a2e');
+    renderer.drawRectOutline(l.x, l.y, l.w, l.h, '#7a9fd5');
+
+    renderer.drawTextHiRes(item.name, l.x + l.w / 2, l.y + 5, {
+      align: 'center', color: '#ffdd57', size: 8
+    });
+
+    if (l.closeup) {
+      const image = assets.get(`closeup_${item.id}`);
+      if (image) renderer.drawImage(image, l.imageX, l.imageY);
+
+      // Written content (a note's text) is drawn at high resolution on top
+      const text = item.closeup.text;
+      if (text) {
+        const pad = item.closeup.textPadding ?? 12;
+        renderer.drawTextWrappedHiRes(text, l.imageX + pad, l.imageY + pad, l.imageW - pad * 2, {
+          color: item.closeup.textColor || '#3a2a1a', size: 6, lineHeight: 9, shadow: false
+        });
+      }
+    } else {
+      const icon = assets.get(`item_${item.id}`);
+      renderer.drawRect(l.imageX, l.imageY, l.imageW, l.imageH, '#0f0f1e');
+      if (icon) renderer.drawImage(icon, l.imageX, l.imageY, l.imageW, l.imageH);
+
+      const textX = l.imageX + l.imageW + 8;
+      renderer.drawTextWrappedHiRes(item.description || '', textX, l.imageY, l.x + l.w - 8 - textX, {
+        color: '#fff', size: 7, lineHeight: 10
+      });
+    }
+
+    renderer.drawTextHiRes('Click outside or press ESC to close', 160, l.y + l.h + 2, {
+      align: 'center', color: '#888', size: 6
+    });
+  }
+}
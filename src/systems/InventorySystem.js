@@ -3,7 +3,7 @@
  */
 export class InventorySystem {
   constructor() {
-    this.items = []; // Array of item objects { id, name, icon }
+    this.items = []; // Array of item objects { id, name, stackable, count }
     this.scrollOffset = 0;
     this.maxVisible = 8; // 4 columns × 2 rows
     this.selectedItem = null;
@@ -32,29 +32,51 @@ export class InventorySystem {
   }
 
   /**
-   * Add an item to inventory.
+   * Add an item to inventory. Stackable items add to the slot they
+   * already have; other items are only ever held once.
+   * @param {{ id: string, name: string, stackable?: boolean }} item
+   * @param {number} [count=1]
    */
-  addItem(item) {
-    if (!this.items.find(i => i.id === item.id)) {
-      this.items.push(item);
+  addItem(item, count = 1) {
+    const held = this.getItem(item.id);
+    if (held) {
+      if (held.stackable) held.count += count;
+      return;
     }
+    this.items.push({ ...item, count: item.stackable ? count : 1 });
   }
 
   /**
-   * Remove an item from inventory.
+   * Remove an item from inventory. For a stack, removes `count` of it and
+   * frees the slot once none are left.
+   * @param {string} itemId
+   * @param {number} [count=1]
    */
-  removeItem(itemId) {
-    this.items = this.items.filter(i => i.id !== itemId);
+  removeItem(itemId, count = 1) {
+    const held = this.getItem(itemId);
+    if (!held) return;
+    if (held.stackable && held.count > count) {
+      held.count -= count;
+      return;
+    }
+    this.items = this.items.filter(i => i !== held);
     if (this.selectedItem && this.selectedItem.id === itemId) {
       this.selectedItem = null;
     }
   }
 
   /**
-   * Check if player has an item.
+   * Check if player has an item (at least `count` of it).
    */
-  hasItem(itemId) {
-    return this.items.some(i => i.id === itemId);
+  hasItem(itemId, count = 1) {
+    return this.countItem(itemId) >= count;
+  }
+
+  /**
+   * Count how many of an item the player carries.
+   */
+  countItem(itemId) {
+    return this.getItem(itemId)?.count || 0;
   }
 
   /**
@@ -103,6 +125,17 @@ export class InventorySystem {
     return this.items.slice(this.scrollOffset, this.scrollOffset + this.maxVisible);
   }
 
+  /**
+   * Screen rects of the visible item slots (keyboard and gamepad focus targets).
+   * @returns {{ item: object, x: number, y: number, width: number, height: number }[]}
+   */
+  getSlotRects() {
+    return this.getVisibleItems().map((item, i) => {
+      const { sx, sy } = this._slotPos(i % this.cols, Math.floor(i / this.cols));
+      return { item, x: sx, y: sy, width: this.slotWidth, height: this.slotHeight };
+    });
+  }
+
   /**
    * Get the item under the mouse cursor.
    */
@@ -146,6 +179,13 @@ export class InventorySystem {
             size: 6, color: '#888', shadow: false
           });
         }
+
+        // Stack size in the bottom-right corner
+        if (item.count > 1) {
+          renderer.drawText(String(item.count), sx + this.slotWidth - 2, sy + this.slotHeight - 8, {
+            size: 6, color: '#fff', align: 'right'
+          });
+        }
       }
     }
 
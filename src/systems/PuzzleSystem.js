@@ -1,3 +1,6 @@
+import { Conditions } from '../engine/Conditions.js';
+import { Variables } from '../engine/Variables.js';
+
 /**
  * PuzzleSystem — Resolves puzzle interactions from DSL definitions.
  * Handles trigger matching, condition checking, and action execution.
@@ -11,30 +14,11 @@ export class PuzzleSystem {
    * Try to resolve a verb + target interaction as a puzzle.
    * @param {string} verb - Verb ID (e.g., 'pick_up', 'use')
    * @param {string} targetId - Hotspot or NPC ID
-   * @param {object} flags - Current game flags
-   * @param {object} inventory - InventorySystem instance
-   * @returns {{ puzzle: object, actions: Array }|null} Matched puzzle or null
+   * @param {object} state - Condition state (see Conditions.evaluate)
+   * @returns {{ puzzle: object, actions: Array }|{ failText: string }|null}
    */
-  tryResolve(verb, targetId, flags, inventory) {
-    // Look for a direct verb:target puzzle
-    const puzzle = this.content.findPuzzleWithFlags(verb, targetId, flags);
-    if (!puzzle) return null;
-
-    // Check item conditions
-    if (puzzle.conditions) {
-      const conditionsMet = puzzle.conditions.every(cond => {
-        if (cond.hasItem) return inventory.hasItem(cond.hasItem);
-        if (cond.notItem) return !inventory.hasItem(cond.notItem);
-        if (cond.hasFlag) return !!flags[cond.hasFlag];
-        if (cond.notFlag) return !flags[cond.notFlag];
-        return true;
-      });
-      if (!conditionsMet) {
-        return puzzle.failText ? { failText: puzzle.failText } : null;
-      }
-    }
-
-    return { puzzle, actions: puzzle.actions };
+  tryResolve(verb, targetId, state) {
+    return this._resolve(this.content.findPuzzles(verb, targetId), state);
   }
 
   /**
@@ -42,29 +26,39 @@ export class PuzzleSystem {
    * @param {string} verb - Verb ID (e.g., 'use', 'give')
    * @param {string} itemId - Item being used
    * @param {string} targetId - Target hotspot or NPC
-   * @param {object} flags - Current game flags
-   * @param {object} inventory - InventorySystem instance
-   * @returns {{ puzzle: object, actions: Array }|null} Matched puzzle or null
+   * @param {object} state - Condition state (see Conditions.evaluate)
+   * @returns {{ puzzle: object, actions: Array }|{ failText: string }|null}
+   */
+  tryResolveWithItem(verb, itemId, targetId, state) {
+    return this._resolve(this.content.findPuzzles(verb, targetId, itemId), state);
+  }
+
+  /**
+   * Try to resolve using one inventory item on another (e.g. rope + bucket).
+   * Order-independent: a `{ item: rope, withItem: bucket }` trigger also
+   * matches using the bucket on the rope.
+   * @param {string} verb - Verb ID (normally 'use')
+   * @param {string} itemId - Item being used
+   * @param {string} otherItemId - Inventory item it was used on
+   * @param {object} state - Condition state (see Conditions.evaluate)
+   * @returns {{ puzzle: object, actions: Array }|{ failText: string }|null}
    */
-  tryResolveWithItem(verb, itemId, targetId, flags, inventory) {
-    const puzzle = this.content.findItemPuzzle(verb, itemId, targetId);
-    if (!puzzle) return null;
+  tryResolveCombine(verb, itemId, otherItemId, state) {
+    return this._resolve(this.content.findCombinePuzzles(verb, itemId, otherItemId), state);
+  }
 
-    // Check conditions
-    if (puzzle.conditions) {
-      const conditionsMet = puzzle.conditions.every(cond => {
-        if (cond.hasItem) return inventory.hasItem(cond.hasItem);
-        if (cond.notItem) return !inventory.hasItem(cond.notItem);
-        if (cond.hasFlag) return !!flags[cond.hasFlag];
-        if (cond.notFlag) return !flags[cond.notFlag];
-        return true;
-      });
-      if (!conditionsMet) {
-        return puzzle.failText ? { failText: puzzle.failText } : null;
+  /**
+   * Pick the first candidate whose conditions hold. If none do, fall back
+   * to the failText of the first candidate that has one (if any).
+   */
+  _resolve(candidates, state) {
+    for (const puzzle of candidates) {
+      if (Conditions.evaluate(puzzle.conditions, state)) {
+        return { puzzle, actions: puzzle.actions };
       }
     }
-
-    return { puzzle, actions: puzzle.actions };
+    const withFail = candidates.find(p => p.failText);
+    return withFail ? { failText: withFail.failText } : null;
   }
 
   /**
@@ -75,10 +69,62 @@ export class PuzzleSystem {
   toScriptActions(actions) {
     return actions.map(action => {
       if (action.say) return { type: 'say', text: action.say };
-      if (action.addItem) return { type: 'add_item', item: action.addItem };
-      if (action.removeItem) return { type: 'remove_item', item: action.removeItem };
+      if (action.addItem) {
+        const { id, count } = Conditions.parseItem(action.addItem);
+        return { type: 'add_item', item: id, count };
+      }
+      if (action.removeItem) {
+        const { id, count } = Conditions.parseItem(action.removeItem);
+        return { type: 'remove_item', item: id, count };
+      }
       if (action.setFlag) return { type: 'set_flag', flag: action.setFlag };
+      if (action.setVar) return { type: 'set_var', var: action.setVar.var, value: action.setVar.value };
+      if (action.incVar) {
+        const { name, by } = Variables.parseStep(action.incVar);
+        return { type: 'inc_var', var: name, by };
+      }
+      if (action.decVar) {
+        const { name, by } = Variables.parseStep(action.decVar);
+        return { type: 'inc_var', var: name, by: -by };
+      }
       if (action.wait) return { type: 'wait', frames: action.wait };
+      if (action.spawn) return {
+        type: 'spawn',
+        thread: action.spawn.thread,
+        actions: this.toScriptActions(action.spawn.actions || []),
+        loop: !!action.spawn.loop,
+        cutscene: !!action.spawn.cutscene,
+      };
+      if (action.join) return { type: 'join', thread: action.join };
+      if (action.kill) return { type: 'kill', thread: action.kill };
+      if (action.walkTo) return {
+        type: 'walk_to',
+        actor: action.walkTo.npc || 'player',
+        x: action.walkTo.x,
+        y: action.walkTo.y,
+      };
+      if (action.face) {
+        const face = typeof action.face === 'string' ? { direction: action.face } : action.face;
+        return { type: 'face', actor: face.npc || 'player', direction: face.direction };
+      }
+      if (action.changeRoom) return {
+        type: 'change_room',
+        room: action.changeRoom.room,
+        x: action.changeRoom.spawnX,
+        y: action.changeRoom.spawnY,
+      };
+      if (action.npcSay) return { type: 'npc_say', npc: action.npcSay.npc, text: action.npcSay.text };
+      if (action.follow) return { type: 'follow', npc: action.follow };
+      if (action.unfollow) return { type: 'unfollow', npc: action.unfollow };
+      if (action.fadeOut) return { type: 'fade_out' };
+      if (action.fadeIn) return { type: 'fade_in' };
+      if (action.playSfx) return { type: 'play_sfx', sound: action.playSfx };
+      if (action.playMusic !== undefined) return { type: 'play_music', track: action.playMusic };
+      if (action.shakeScreen) {
+        const arg = action.shakeScreen;
+        const shake = typeof arg === 'object' ? arg : (typeof arg === 'number' ? { frames: arg } : {});
+        return { type: 'shake_screen', frames: shake.frames || 30, intensity: shake.intensity || 2 };
+      }
       if (action.showEnding) return { type: 'show_ending' };
       if (action.hideHotspot) return {
         type: 'hide_hotspot',
@@ -0,0 +1,103 @@
+/**
+ * RadialMenuSystem — Ring of verbs around a long-pressed object (touch mode).
+ * Labels sit on an ellipse around the press point (wide enough that nine
+ * labels never overlap), clamped so the whole ring stays inside the game
+ * viewport. Tapping a verb (or lifting the finger on one) picks it; tapping
+ * anywhere else closes the menu.
+ */
+export class RadialMenuSystem {
+  constructor() {
+    this.active = false;
+    this.verbs = [];
+    this.title = '';
+    this.highlightedVerb = null; // The object's default verb
+    this.target = null;          // Opaque target handed back with the picked verb
+    this.x = 0;
+    this.y = 0;
+
+    // Layout (320×200 space)
+    this.radiusX = 60;
+    this.radiusY = 54;
+    this.labelWidth = 40;
+    this.labelHeight = 11;
+  }
+
+  /**
+   * Open the menu around a point.
+   * @param {number} x
+   * @param {number} y
+   * @param {string[]} verbs - Verb bar labels, placed clockwise from the top
+   * @param {string} title - Object name shown in the middle
+   * @param {string|null} highlightedVerb
+   * @param {*} target
+   */
+  open(x, y, verbs, title, highlightedVerb, target) {
+    const marginX = this.radiusX + this.labelWidth / 2;
+    const marginY = this.radiusY + this.labelHeight / 2;
+    this.x = Math.max(marginX, Math.min(320 - marginX, x));
+    this.y = Math.max(marginY, Math.min(140 - marginY, y));
+    this.verbs = verbs;
+    this.title = title;
+    this.highlightedVerb = highlightedVerb;
+    this.target = target;
+    this.active = true;
+  }
+
+  close() {
+    this.active = false;
+    this.target = null;
+  }
+
+  /**
+   * Screen rects of the verb labels.
+   * @returns {{ verb: string, x: number, y: number, width: number, height: number }[]}
+   */
+  getVerbRects() {
+    const step = (Math.PI * 2) / this.verbs.length;
+    return this.verbs.map((verb, i) => {
+      const angle = i * step - Math.PI / 2;
+      return {
+        verb,
+        x: Math.round(this.x + Math.cos(angle) * this.radiusX - this.labelWidth / 2),
+        y: Math.round(this.y + Math.sin(angle) * this.radiusY - this.labelHeight / 2),
+        width: this.labelWidth,
+        height: this.labelHeight,
+      };
+    });
+  }
+
+  /**
+   * Handle a click.
+   * @returns {{ verb: string, target: * }|{ closed: true }|null}
+   */
+  update(input) {
+    if (!this.active || !input.clicked) return null;
+
+    const picked = this.getVerbRects().find(r => input.isClickInRect(r.x, r.y, r.width, r.height));
+    const target = this.target;
+    this.close();
+    return picked ? { verb: picked.verb, target } : { closed: true };
+  }
+
+  /**
+   * Render the ring.
+   */
+  render(renderer, input) {
+    if (!this.active) return;
+
+    renderer.drawRect(0, 0, 320, 140, 'rgba(0, 0, 0, 0.4)');
+    renderer.drawTextHiRes(this.title, this.x, this.y - 3, {
+      align: 'center', color: '#ffdd57', size: 6
+    });
+
+    for (const r of this.getVerbRects()) {
+      const isHovered = input.isMouseInRect(r.x, r.y, r.width, r.height);
+      const isDefault = r.verb === this.highlightedVerb;
+      renderer.drawRect(r.x, r.y, r.width, r.height, isHovered ? '#4a6fa5' : isDefault ? '#333358' : '#252540');
+      renderer.drawRectOutline(r.x, r.y, r.width, r.height, isHovered ? '#ffdd57' : '#3a3a5e');
+      renderer.drawTextHiRes(r.verb, r.x + r.width / 2, r.y + 2, {
+        align: 'center', color: isHovered ? '#fff' : isDefault ? '#e0c088' : '#a0a0c0', size: 6, shadow: false
+      });
+    }
+  }
+}
@@ -1,18 +1,55 @@
 /**
  * SaveSystem — Serialize/deserialize game state to localStorage.
+ * Keeps a fixed number of save slots under a per-game namespace
+ * (title + version), each holding the state plus display metadata. The
+ * first time a version runs, saves from earlier versions of the same game
+ * are copied into its free slots, so they reach SaveMigrator when loaded.
  */
 export class SaveSystem {
-  constructor(storageKey = 'enchanted_tankard_save') {
-    this.storageKey = storageKey;
+  /**
+   * @param {string} namespace - Storage key prefix, unique per game and version
+   * @param {number} slotCount - Number of save slots
+   * @param {string|null} legacyKey - Pre-slot single save key to migrate into slot 0
+   * @param {{ title: string, version: string }|null} game - Game whose earlier versions' saves are copied in
+   */
+  constructor(namespace = 'adventure', slotCount = 6, legacyKey = null, game = null) {
+    this.namespace = namespace;
+    this.slotCount = slotCount;
+
+    if (legacyKey) this._migrateLegacySave(legacyKey);
+    if (game?.version) this._importEarlierVersions(game.title, String(game.version));
+  }
+
+  /**
+   * Build a namespace from a game title and version, e.g. "the_enchanted_tankard_v1.0".
+   */
+  static namespaceFor(title, version) {
+    const slug = SaveSystem._slug(title);
+    return version ? `${slug}_v${version}` : slug;
+  }
+
+  static _slug(title) {
+    return (title || 'adventure').toLowerCase().replace(/\s+/g, '_');
   }
 
   /**
-   * Save current game state.
+   * Save game state into a slot.
+   * @param {number} slot
+   * @param {object} gameState
+   * @param {object} meta - { roomName, playtime, thumbnail }
    */
-  save(gameState) {
+  save(slot, gameState, meta = {}) {
     try {
-      const data = JSON.stringify(gameState);
-      localStorage.setItem(this.storageKey, data);
+      const record = {
+        meta: {
+          timestamp: Date.now(),
+          roomName: meta.roomName || '',
+          playtime: meta.playtime || 0,
+          thumbnail: meta.thumbnail || null,
+        },
+        state: gameState,
+      };
+      localStorage.setItem(this._slotKey(slot), JSON.stringify(record));
       return true;
     } catch (e) {
       console.error('Failed to save game:', e);
@@ -21,11 +58,71 @@ export class SaveSystem {
   }
 
   /**
-   * Load saved game state.
+   * Load saved game state from a slot.
+   */
+  load(slot) {
+    const record = this._readSlot(slot);
+    return record ? record.state : null;
+  }
+
+  /**
+   * Get display metadata for a slot, or null if empty.
+   */
+  getSlotInfo(slot) {
+    const record = this._readSlot(slot);
+    return record ? record.meta : null;
+  }
+
+  /**
+   * Get metadata for every slot (null entries for empty slots).
+   */
+  listSlots() {
+    const slots = [];
+    for (let i = 0; i < this.slotCount; i++) {
+      slots.push(this.getSlotInfo(i));
+    }
+    return slots;
+  }
+
+  /**
+   * Get the slot with the newest save, or null if there are none.
    */
-  load() {
+  getMostRecentSlot() {
+    let best = null;
+    let bestTime = -Infinity;
+    this.listSlots().forEach((meta, slot) => {
+      if (meta && meta.timestamp > bestTime) {
+        bestTime = meta.timestamp;
+        best = slot;
+      }
+    });
+    return best;
+  }
+
+  /**
+   * Check if a save exists (in a given slot, or in any slot).
+   */
+  hasSave(slot) {
+    if (slot !== undefined) {
+      return localStorage.getItem(this._slotKey(slot)) !== null;
+    }
+    return this.getMostRecentSlot() !== null;
+  }
+
+  /**
+   * Delete the save in a slot.
+   */
+  deleteSave(slot) {
+    localStorage.removeItem(this._slotKey(slot));
+  }
+
+  _slotKey(slot) {
+    return `${this.namespace}_slot_${slot}`;
+  }
+
+  _readSlot(slot) {
     try {
-      const data = localStorage.getItem(this.storageKey);
+      const data = localStorage.getItem(this._slotKey(slot));
       if (!data) return null;
       return JSON.parse(data);
     } catch (e) {
@@ -35,16 +132,66 @@ export class SaveSystem {
   }
 
   /**
-   * Check if a save exists.
+   * Copy saves made under earlier versions of the game into this version's
+   * empty slots, newest first. Runs once per version; the originals stay
+   * where they are, so going back to an earlier version still finds them.
    */
-  hasSave() {
-    return localStorage.getItem(this.storageKey) !== null;
+  _importEarlierVersions(title, version) {
+    const doneKey = `${this.namespace}_imported`;
+    try {
+      if (localStorage.getItem(doneKey)) return;
+      const prefix = `${SaveSystem._slug(title)}_v`;
+      const earlier = [];
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        const match = key.startsWith(prefix) && key.slice(prefix.length).match(/^(.+)_slot_\d+$/);
+        if (!match || _compareVersions(match[1], version) >= 0) continue;
+        const record = JSON.parse(localStorage.getItem(key));
+        if (record?.state) earlier.push(record);
+      }
+      earlier.sort((a, b) => (b.meta?.timestamp || 0) - (a.meta?.timestamp || 0));
+
+      for (let slot = 0; slot < this.slotCount && earlier.length > 0; slot++) {
+        if (this.hasSave(slot)) continue;
+        localStorage.setItem(this._slotKey(slot), JSON.stringify(earlier.shift()));
+      }
+      localStorage.setItem(doneKey, '1');
+    } catch (e) {
+      console.error('Failed to import saves from earlier versions:', e);
+    }
   }
 
   /**
-   * Delete the save.
+   * Move a single-key save from older builds into slot 0.
    */
-  deleteSave() {
-    localStorage.removeItem(this.storageKey);
+  _migrateLegacySave(legacyKey) {
+    try {
+      const data = localStorage.getItem(legacyKey);
+      if (!data) return;
+      if (!this.hasSave(0)) {
+        const state = JSON.parse(data);
+        this.save(0, state, { roomName: state.room || '' });
+      }
+      localStorage.removeItem(legacyKey);
+    } catch (e) {
+      console.error('Failed to migrate legacy save:', e);
+    }
+  }
+}
+
+/**
+ * Compare dotted version strings part by part, numerically where both parts
+ * are numbers ("1.10" is after "1.9").
+ * @returns {number} Negative if a is earlier, positive if later, 0 if equal
+ */
+function _compareVersions(a, b) {
+  const pa = a.split('.');
+  const pb = b.split('.');
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const x = pa[i] ?? '0';
+    const y = pb[i] ?? '0';
+    const diff = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+    if (diff !== 0) return diff;
   }
+  return 0;
 }
@@ -1,3 +1,5 @@
+import { NavGraph } from '../engine/NavGraph.js';
+
 /**
  * SceneManager — Manages room loading, hotspot detection, and room transitions.
  */
@@ -6,6 +8,13 @@ export class SceneManager {
     this.rooms = {};
     this.currentRoom = null;
     this.currentRoomId = null;
+    this._navGraphs = {}; // roomId -> NavGraph, built lazily
+
+    // Background image override (time-of-day palette variants) and cross-fade
+    this._backgroundKey = null;
+    this._fadeFromKey = null;
+    this._fadeTimer = 0;
+    this._fadeFrames = 0;
   }
 
   /**
@@ -13,6 +22,7 @@ export class SceneManager {
    */
   registerRoom(id, roomDef) {
     this.rooms[id] = roomDef;
+    delete this._navGraphs[id];
   }
 
   /**
@@ -26,6 +36,8 @@ export class SceneManager {
     }
     this.currentRoom = room;
     this.currentRoomId = id;
+    this._backgroundKey = null;
+    this._fadeFromKey = null;
     return room;
   }
 
@@ -36,66 +48,83 @@ export class SceneManager {
     return this.currentRoom;
   }
 
+  /**
+   * Get (or build) the navigation graph for the current room.
+   */
+  getNavGraph() {
+    if (!this.currentRoom) return null;
+    if (!this._navGraphs[this.currentRoomId]) {
+      this._navGraphs[this.currentRoomId] = new NavGraph(this.currentRoom.walkableArea);
+    }
+    return this._navGraphs[this.currentRoomId];
+  }
+
   /**
    * Check if a point is in the walkable area.
    */
   isWalkable(x, y) {
-    if (!this.currentRoom || !this.currentRoom.walkableArea) return true;
+    const nav = this.getNavGraph();
+    return nav ? nav.isWalkable(x, y) : true;
+  }
 
-    const wa = this.currentRoom.walkableArea;
+  /**
+   * Get the closest walkable point to target.
+   */
+  getClosestWalkable(tx, ty) {
+    const nav = this.getNavGraph();
+    return nav ? nav.closestWalkable(tx, ty) : { x: tx, y: ty };
+  }
 
-    // Simple rect-based walkable area
-    if (wa.rects) {
-      return wa.rects.some(r =>
-        x >= r.x && x < r.x + r.width &&
-        y >= r.y && y < r.y + r.height
-      );
-    }
+  /**
+   * Find a waypoint path through the walkable area.
+   * @returns {Array<{x: number, y: number}>} Waypoints ending at the target
+   */
+  findPath(sx, sy, tx, ty) {
+    const nav = this.getNavGraph();
+    return nav ? nav.findPath(sx, sy, tx, ty) : [{ x: tx, y: ty }];
+  }
 
-    // Polygon-based
-    if (wa.polygon) {
-      return this._pointInPolygon(x, y, wa.polygon);
-    }
+  /**
+   * Get the character scale for a character position Y in the current room
+   * (the same coordinate space as the walkable area). Interpolates between
+   * the room's `scaling.far` and `scaling.near` lines and clamps beyond them.
+   */
+  getScaleAt(y) {
+    const scaling = this.currentRoom?.scaling;
+    if (!scaling || !scaling.near || !scaling.far) return 1;
 
-    return true;
+    const { near, far } = scaling;
+    const nearScale = near.scale ?? 1;
+    const farScale = far.scale ?? 1;
+    if (near.y === far.y) return nearScale;
+
+    const t = Math.max(0, Math.min(1, (y - far.y) / (near.y - far.y)));
+    return farScale + (nearScale - farScale) * t;
   }
 
   /**
-   * Get the closest walkable point to target.
+   * Swap the current room's background image for another cached asset,
+   * optionally cross-fading from the old one.
+   * @param {string|null} key - Asset key, or null for the room's default `room_<id>`
+   * @param {number} [frames=0] - Cross-fade duration
    */
-  getClosestWalkable(tx, ty) {
-    if (this.isWalkable(tx, ty)) return { x: tx, y: ty };
-
-    // Clamp to walkable area rects
-    if (this.currentRoom.walkableArea && this.currentRoom.walkableArea.rects) {
-      let closest = null;
-      let minDist = Infinity;
-
-      for (const r of this.currentRoom.walkableArea.rects) {
-        const cx = Math.max(r.x, Math.min(tx, r.x + r.width));
-        const cy = Math.max(r.y, Math.min(ty, r.y + r.height));
-        const dist = Math.hypot(cx - tx, cy - ty);
-        if (dist < minDist) {
-          minDist = dist;
-          closest = { x: cx, y: cy };
-        }
-      }
-      return closest || { x: tx, y: ty };
-    }
-
-    return { x: tx, y: ty };
+  setBackground(key, frames = 0) {
+    const from = this._backgroundKey || `room_${this.currentRoomId}`;
+    const to = key || `room_${this.currentRoomId}`;
+    this._backgroundKey = key;
+    if (from === to) return;
+    this._fadeFromKey = frames > 0 ? from : null;
+    this._fadeTimer = 0;
+    this._fadeFrames = frames;
   }
 
-  _pointInPolygon(px, py, polygon) {
-    let inside = false;
-    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-      const xi = polygon[i].x, yi = polygon[i].y;
-      const xj = polygon[j].x, yj = polygon[j].y;
-      const intersect = ((yi > py) !== (yj > py)) &&
-        (px < (xj - xi) * (py - yi) / (yj - yi) + xi);
-      if (intersect) inside = !inside;
-    }
-    return inside;
+  /**
+   * Advance the background cross-fade. Call once per frame.
+   */
+  updateBackgroundFade() {
+    if (!this._fadeFromKey) return;
+    this._fadeTimer++;
+    if (this._fadeTimer >= this._fadeFrames) this._fadeFromKey = null;
   }
 
   /**
@@ -103,9 +132,18 @@ export class SceneManager {
    */
   renderBackground(renderer, assets) {
     if (!this.currentRoom) return;
-    const bg = assets.get(`room_${this.currentRoomId}`);
+    const bg = assets.get(this._backgroundKey || `room_${this.currentRoomId}`);
     if (bg) {
       renderer.drawImage(bg, 0, 0, 320, 140);
+
+      // Old background fading out on top of the new one
+      const old = this._fadeFromKey && assets.get(this._fadeFromKey);
+      if (old) {
+        const ctx = renderer.bufCtx;
+        ctx.globalAlpha = 1 - this._fadeTimer / this._fadeFrames;
+        renderer.drawImage(old, 0, 0, 320, 140);
+        ctx.globalAlpha = 1;
+      }
     } else {
       // Fallback colored background
       renderer.drawRect(0, 0, 320, 140, this.currentRoom.bgColor || '#2a1a3a');
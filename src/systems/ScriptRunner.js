@@ -1,96 +1,277 @@
 /**
  * ScriptRunner — Executes scripted sequences (cutscenes, interaction responses).
- * Processes a queue of actions sequentially.
+ * Each sequence runs on a named thread; threads advance side by side, one
+ * action per frame. Handlers may return a Promise (walking, fades, room
+ * changes); the thread waits for it before moving on.
+ *
+ * `run()` drives the "main" thread, which is a cutscene: while any cutscene
+ * thread is active the game blocks player input. Background threads
+ * (ambient NPC behaviour) run alongside and may loop.
  */
 export class ScriptRunner {
   constructor() {
-    this.running = false;
-    this.queue = [];
-    this.currentAction = null;
-    this.waitTimer = 0;
-    this.onActionComplete = null;
+    this.threads = new Map(); // name -> thread state
   }
 
   /**
-   * Run a sequence of scripted actions.
+   * Run a sequence of scripted actions as the main cutscene, replacing any
+   * main sequence already running.
    * @param {Array} actions - Array of action objects
    * @param {Function} onComplete - Called when sequence finishes
    */
   run(actions, onComplete) {
-    this.queue = [...actions];
-    this.running = true;
-    this.onActionComplete = onComplete || null;
-    this._next();
+    this.spawn('main', actions, { cutscene: true, onComplete });
   }
 
   /**
-   * Process next action in queue.
+   * Start a named thread, replacing one with the same name.
+   * @param {string} name
+   * @param {Array} actions
+   * @param {object} [options]
+   * @param {boolean} [options.loop=false] - Restart from the top when finished
+   * @param {boolean} [options.cutscene=false] - Block player input while running
+   * @param {Function} [options.onComplete] - Called when the thread finishes
    */
-  _next() {
-    if (this.queue.length === 0) {
-      this.running = false;
-      this.currentAction = null;
-      if (this.onActionComplete) {
-        this.onActionComplete();
-      }
+  spawn(name, actions, { loop = false, cutscene = false, onComplete = null } = {}) {
+    if (this.threads.has(name)) this._finish(this.threads.get(name), false);
+
+    const thread = {
+      name,
+      actions: [...actions],
+      queue: [...actions],
+      currentAction: null,
+      waitTimer: 0,
+      pending: false,   // waiting on an async handler
+      loop,
+      cutscene,
+      onComplete,
+      joiners: [],      // resolve callbacks from join()
+    };
+    this.threads.set(name, thread);
+    this._next(thread);
+  }
+
+  /**
+   * Stop a thread without running its remaining actions.
+   */
+  kill(name) {
+    const thread = this.threads.get(name);
+    if (thread) this._finish(thread, false);
+  }
+
+  /**
+   * Stop every looping thread (ambient behaviour tied to the current room).
+   */
+  killLooping() {
+    for (const thread of [...this.threads.values()]) {
+      if (thread.loop) this._finish(thread, false);
+    }
+  }
+
+  /**
+   * Wait for a thread to finish (or be killed).
+   * @returns {Promise} Resolves immediately if the thread isn't running
+   */
+  join(name) {
+    const thread = this.threads.get(name);
+    if (!thread) return Promise.resolve();
+    return new Promise(resolve => thread.joiners.push(resolve));
+  }
+
+  /**
+   * Insert actions to run next on a thread
+   * (or start it as a new sequence if it isn't running).
+   * @param {Array} actions - Array of action objects
+   * @param {string} [name='main']
+   */
+  insert(actions, name = 'main') {
+    const thread = this.threads.get(name);
+    if (!thread) {
+      if (name === 'main') this.run(actions);
+      else this.spawn(name, actions);
       return;
     }
-    this.currentAction = this.queue.shift();
+    thread.queue.unshift(...actions);
+  }
+
+  /**
+   * Process the next action in a thread's queue.
+   */
+  _next(thread) {
+    if (thread.queue.length === 0 && thread.loop && thread.actions.length > 0) {
+      thread.queue = [...thread.actions];
+    }
+    if (thread.queue.length === 0) {
+      this._finish(thread, true);
+      return;
+    }
+    thread.currentAction = thread.queue.shift();
+  }
+
+  /**
+   * Remove a thread and wake anything joined on it.
+   */
+  _finish(thread, completed) {
+    if (this.threads.get(thread.name) !== thread) return;
+    this.threads.delete(thread.name);
+    thread.currentAction = null;
+    thread.queue = [];
+    if (completed && thread.onComplete) thread.onComplete();
+    for (const resolve of thread.joiners) resolve();
   }
 
   /**
-   * Update — called each frame by the game.
-   * The game passes handler functions for each action type.
+   * Update — called each frame by the game. Ticks every active thread.
+   * The game passes handler functions for each action type; handlers
+   * receive (action, threadName).
    */
   update(handlers) {
-    if (!this.running || !this.currentAction) return;
+    for (const thread of [...this.threads.values()]) {
+      if (this.threads.get(thread.name) !== thread) continue; // killed this frame
+      this._tick(thread, handlers);
+    }
+  }
+
+  _tick(thread, handlers) {
+    const action = thread.currentAction;
+    if (!action || thread.pending) return;
 
     // Wait action
-    if (this.currentAction.type === 'wait') {
-      this.waitTimer++;
-      if (this.waitTimer >= (this.currentAction.frames || 60)) {
-        this.waitTimer = 0;
-        this._next();
+    if (action.type === 'wait') {
+      thread.waitTimer++;
+      if (thread.waitTimer >= (action.frames || 60)) {
+        thread.waitTimer = 0;
+        this._next(thread);
       }
       return;
     }
 
-    // All other actions are dispatched to handlers and advance immediately
-    const handler = handlers[this.currentAction.type];
-    if (handler) {
-      const result = handler(this.currentAction);
-      // If handler returns a promise or 'async', wait for callback
-      if (result === 'async') {
-        // Handler will call scriptRunner.advance() when done
-        return;
-      }
+    // Thread control actions
+    let result;
+    if (action.type === 'spawn') {
+      this.spawn(action.thread, action.actions || [], { loop: !!action.loop, cutscene: !!action.cutscene });
+    } else if (action.type === 'kill') {
+      this.kill(action.thread);
+    } else if (action.type === 'join') {
+      result = this.join(action.thread);
     } else {
-      console.warn(`No handler for script action: ${this.currentAction.type}`);
+      // All other actions are dispatched to handlers and advance immediately
+      const handler = handlers[action.type];
+      if (handler) {
+        result = handler(action, thread.name);
+      } else {
+        console.warn(`No handler for script action: ${action.type}`);
+      }
+    }
+
+    // The thread may have been killed or replaced by its own action
+    if (this.threads.get(thread.name) !== thread) return;
+
+    // If handler returns 'async', wait for advance() to be called
+    if (result === 'async') {
+      // Handler will call scriptRunner.advance() when done
+      return;
+    }
+
+    // If handler returns a promise, advance once it settles
+    if (result && typeof result.then === 'function') {
+      thread.pending = true;
+      const done = () => {
+        if (this.threads.get(thread.name) !== thread) return; // killed or replaced
+        thread.pending = false;
+        this._next(thread);
+      };
+      result.then(done, (err) => {
+        console.error(`Script action failed: ${action.type}`, err);
+        done();
+      });
+      return;
+    }
+
+    this._next(thread);
+  }
+
+  /**
+   * Fast-forward every (non-looping) cutscene thread to its end in one go.
+   * Waits are dropped; each remaining action goes through its skip handler
+   * if it has one (state change only, no animation), otherwise through its
+   * normal handler, whose result is ignored. Skip handlers receive
+   * (action, threadName, inProgress), where inProgress means the action had
+   * already started and was still being awaited.
+   * @param {object} skipHandlers - Instant variants of async/presentational actions
+   * @param {object} handlers - Normal action handlers
+   */
+  skip(skipHandlers, handlers) {
+    for (const thread of [...this.threads.values()]) {
+      if (thread.cutscene && !thread.loop) this._fastForward(thread, skipHandlers, handlers);
     }
+  }
+
+  _fastForward(thread, skipHandlers, handlers) {
+    let inProgress = thread.pending;
+    thread.pending = false;
+
+    while (this.threads.get(thread.name) === thread && thread.currentAction) {
+      const action = thread.currentAction;
+
+      if (action.type === 'spawn') {
+        this.spawn(action.thread, action.actions || [], { loop: !!action.loop, cutscene: !!action.cutscene });
+        const spawned = this.threads.get(action.thread);
+        if (spawned && spawned.cutscene && !spawned.loop) this._fastForward(spawned, skipHandlers, handlers);
+      } else if (action.type === 'kill') {
+        this.kill(action.thread);
+      } else if (action.type === 'join') {
+        // Finish the joined thread now, unless it loops forever
+        const target = this.threads.get(action.thread);
+        if (target && !target.loop && target !== thread) this._fastForward(target, skipHandlers, handlers);
+      } else if (action.type !== 'wait') {
+        const skipHandler = skipHandlers[action.type];
+        if (skipHandler) {
+          skipHandler(action, thread.name, inProgress);
+        } else if (!inProgress && handlers[action.type]) {
+          handlers[action.type](action, thread.name);
+        }
+      }
 
-    this._next();
+      if (this.threads.get(thread.name) !== thread) return; // killed by its own action
+      inProgress = false;
+      thread.waitTimer = 0;
+      this._next(thread);
+    }
   }
 
   /**
    * Advance to next action (called externally for async actions).
    */
-  advance() {
-    this._next();
+  advance(name = 'main') {
+    const thread = this.threads.get(name);
+    if (thread) this._next(thread);
   }
 
   /**
-   * Check if currently running.
+   * Check if a thread (or, with no name, any thread) is running.
    */
-  isRunning() {
-    return this.running;
+  isRunning(name) {
+    if (name !== undefined) return this.threads.has(name);
+    return this.threads.size > 0;
   }
 
   /**
-   * Cancel the current sequence.
+   * Check if a cutscene thread is running (player input is blocked).
+   */
+  isBlocking() {
+    for (const thread of this.threads.values()) {
+      if (thread.cutscene) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Cancel every thread.
    */
   cancel() {
-    this.queue = [];
-    this.running = false;
-    this.currentAction = null;
+    for (const thread of [...this.threads.values()]) {
+      this._finish(thread, false);
+    }
   }
 }
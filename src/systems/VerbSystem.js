@@ -11,6 +11,7 @@ export class VerbSystem {
     ];
     this.selectedVerb = 'Look at'; // Default verb
     this.selectedItem = null; // For "Use X with Y" style actions
+    this.highlightedVerb = null; // Hovered object's default verb (run by right-click)
     this.actionText = '';
 
     // Layout config (positioned in bottom panel)
@@ -26,14 +27,9 @@ export class VerbSystem {
    * Update verb selection based on input.
    */
   update(input) {
-    for (let i = 0; i < this.verbs.length; i++) {
-      const col = i % this.cols;
-      const row = Math.floor(i / this.cols);
-      const vx = this.x + col * (this.verbWidth + this.padding);
-      const vy = this.y + row * (this.verbHeight + this.padding);
-
-      if (input.isClickInRect(vx, vy, this.verbWidth, this.verbHeight)) {
-        this.selectedVerb = this.verbs[i];
+    for (const r of this.getVerbRects()) {
+      if (input.isClickInRect(r.x, r.y, r.width, r.height)) {
+        this.selectedVerb = r.verb;
         this.selectedItem = null; // Reset item selection
         return true;
       }
@@ -41,6 +37,28 @@ export class VerbSystem {
     return false;
   }
 
+  /**
+   * Screen rects of the verb buttons (gamepad cursor snap targets).
+   * @returns {{ verb: string, x: number, y: number, width: number, height: number }[]}
+   */
+  getVerbRects() {
+    return this.verbs.map((verb, i) => ({
+      verb,
+      x: this.x + (i % this.cols) * (this.verbWidth + this.padding),
+      y: this.y + Math.floor(i / this.cols) * (this.verbHeight + this.padding),
+      width: this.verbWidth,
+      height: this.verbHeight,
+    }));
+  }
+
+  /**
+   * Verb bar label for a DSL verb ID ('look_at' → 'Look at').
+   * @returns {string|null}
+   */
+  labelFor(verbId) {
+    return this.verbs.find(v => v.toLowerCase().replace(/\s+/g, '_') === verbId) || null;
+  }
+
   /**
    * Build action text based on current state.
    */
@@ -80,14 +98,15 @@ export class VerbSystem {
       const vy = this.y + row * (this.verbHeight + this.padding);
 
       const isSelected = this.verbs[i] === this.selectedVerb;
+      const isHighlighted = !isSelected && this.verbs[i] === this.highlightedVerb;
 
       // Button background
       renderer.drawRect(vx, vy, this.verbWidth, this.verbHeight,
-        isSelected ? '#4a6fa5' : '#252540');
+        isSelected ? '#4a6fa5' : isHighlighted ? '#333358' : '#252540');
 
       // Button text
       renderer.drawTextHiRes(this.verbs[i], vx + 3, vy + 2, {
-        color: isSelected ? '#fff' : '#a0a0c0',
+        color: isSelected ? '#fff' : isHighlighted ? '#e0c088' : '#a0a0c0',
         size: 7,
         shadow: false,
       });
@@ -1,5 +1,5 @@
 /**
- * WalkingSystem — Handles player character walking with simple pathfinding.
+ * WalkingSystem — Handles player character walking along waypoint paths.
  * Also manages idle animation state (breathing bob + blink).
  */
 export class WalkingSystem {
@@ -11,6 +11,7 @@ export class WalkingSystem {
     this.targetY = 110;
     this.walking = false;
     this.speed = 1.2;
+    this.speedScale = 1; // depth scaling multiplier, set per frame by GameEngine
     this.direction = 'right'; // 'left', 'right'
     this.frame = 0;
     this.frameTimer = 0;
@@ -29,16 +30,32 @@ export class WalkingSystem {
     this.idleThreshold = 120;  // ~2s before idle starts
     this.isIdle = false;
 
+    // Remaining waypoints; the last one is always (targetX, targetY)
+    this.path = [];
+
+    // Optional route provider: (sx, sy, tx, ty) => [{x, y}, ...].
+    // Wired by GameEngine; without it the walker moves in a straight line.
+    this.pathfinder = null;
+
     // Callback when destination reached
     this.onArrived = null;
   }
 
   /**
    * Walk to a target position.
+   * @param {number} tx
+   * @param {number} ty
+   * @param {Function} [onArrived]
+   * @param {boolean} [direct=false] - Walk in a straight line, ignoring the pathfinder
    */
-  walkTo(tx, ty, onArrived) {
-    this.targetX = tx;
-    this.targetY = ty;
+  walkTo(tx, ty, onArrived, direct = false) {
+    this.path = this.pathfinder && !direct ? this.pathfinder(this.x, this.y, tx, ty) : [];
+    if (this.path.length === 0) this.path = [{ x: tx, y: ty }];
+
+    // An unreachable target leaves the path short of it; stop where it ends
+    const end = this.path[this.path.length - 1];
+    this.targetX = end.x;
+    this.targetY = end.y;
     this.walking = true;
     this.onArrived = onArrived || null;
 
@@ -48,9 +65,10 @@ export class WalkingSystem {
     this.idleFrameTimer = 0;
     this.isIdle = false;
 
-    // Set facing direction
-    if (tx < this.x) this.direction = 'left';
-    else if (tx > this.x) this.direction = 'right';
+    // Set facing direction towards the first waypoint
+    const first = this.path[0];
+    if (first.x < this.x) this.direction = 'left';
+    else if (first.x > this.x) this.direction = 'right';
   }
 
   /**
@@ -61,6 +79,7 @@ export class WalkingSystem {
     this.y = y;
     this.targetX = x;
     this.targetY = y;
+    this.path = [];
     this.walking = false;
 
     // Reset idle state
@@ -70,6 +89,18 @@ export class WalkingSystem {
     this.isIdle = false;
   }
 
+  /**
+   * Stop where the walker stands, dropping any pending arrival callback.
+   */
+  stop() {
+    this.targetX = this.x;
+    this.targetY = this.y;
+    this.path = [];
+    this.walking = false;
+    this.frame = 0;
+    this.onArrived = null;
+  }
+
   /**
    * Update walking state each frame.
    */
@@ -88,13 +119,28 @@ export class WalkingSystem {
       return;
     }
 
-    const dx = this.targetX - this.x;
-    const dy = this.targetY - this.y;
-    const dist = Math.hypot(dx, dy);
+    let step = this.speed * this.speedScale;
+    let waypoint = this.path[0] || { x: this.targetX, y: this.targetY };
+    let dx = waypoint.x - this.x;
+    let dy = waypoint.y - this.y;
+    let dist = Math.hypot(dx, dy);
+
+    // Passed an intermediate waypoint: spend the rest of the step on the next leg
+    while (dist < step && this.path.length > 1) {
+      this.x = waypoint.x;
+      this.y = waypoint.y;
+      this.path.shift();
+      step -= dist;
+      waypoint = this.path[0];
+      dx = waypoint.x - this.x;
+      dy = waypoint.y - this.y;
+      dist = Math.hypot(dx, dy);
+    }
 
-    if (dist < this.speed) {
+    if (dist < step) {
       this.x = this.targetX;
       this.y = this.targetY;
+      this.path = [];
       this.walking = false;
       this.frame = 0;
 
@@ -112,9 +158,9 @@ export class WalkingSystem {
       return;
     }
 
-    // Move towards target
-    this.x += (dx / dist) * this.speed;
-    this.y += (dy / dist) * this.speed;
+    // Move towards current waypoint
+    this.x += (dx / dist) * step;
+    this.y += (dy / dist) * step;
 
     // Update facing direction
     if (dx < -0.5) this.direction = 'left';